@@ -0,0 +1,192 @@
+const crypto = require("crypto");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_GRACE_DAYS = 14;
+
+// Audit context for purges run by the scheduler rather than a request.
+const SYSTEM_CONTEXT = {
+  actorUserId: null,
+  ip: "",
+  userAgent: "",
+  method: "SCHEDULED",
+  path: "account-deletion sweep",
+};
+
+// Tables whose rows belong to exactly one member and are dropped outright.
+const OWNED_TABLES = [
+  "program_enrollments",
+  "user_profiles",
+  "auth_identities",
+  "login_tokens",
+  "email_changes",
+  "sessions",
+  "account_deletions",
+];
+
+// Audit actions whose details hold profile values.
+const PERSONAL_AUDIT_ACTIONS = ["profile_update", "member_import", "mail_change"];
+
+const createAccountDeletion = (
+  { runDb, getDb, allDb, withTransaction, recordAudit },
+  { graceDays = DEFAULT_GRACE_DAYS } = {}
+) => {
+  const getPendingDeletion = async (userId) => {
+    const row = await getDb(
+      "SELECT userId, requestedAt, purgeAfter, keepHistory FROM account_deletions WHERE userId = ?",
+      [userId]
+    );
+    return row ? { ...row, keepHistory: Boolean(row.keepHistory) } : null;
+  };
+
+  // An owner may only leave while another owner stays behind.
+  const isLastOwner = async (user) => {
+    if (user.role !== "owner") {
+      return false;
+    }
+    const row = await getDb(
+      "SELECT COUNT(*) AS count FROM users WHERE role = 'owner' AND id != ? AND id NOT IN (SELECT userId FROM account_deletions)",
+      [user.id]
+    );
+    return row.count === 0;
+  };
+
+  const requestDeletion = async (userId, { keepHistory, context }) =>
+    withTransaction(async () => {
+      const user = await getDb("SELECT id, role FROM users WHERE id = ?", [userId]);
+      if (!user) {
+        return { error: "not_found" };
+      }
+      if (await getPendingDeletion(userId)) {
+        return { error: "already_requested" };
+      }
+      if (await isLastOwner(user)) {
+        return { error: "last_owner" };
+      }
+      const requestedAt = new Date();
+      const purgeAfter = new Date(requestedAt.getTime() + graceDays * DAY_MS);
+      await runDb(
+        "INSERT INTO account_deletions (userId, requestedAt, purgeAfter, keepHistory) VALUES (?, ?, ?, ?)",
+        [userId, requestedAt.toISOString(), purgeAfter.toISOString(), keepHistory ? 1 : 0]
+      );
+      await recordAudit(context, {
+        action: "account_delete_request",
+        targetUserId: userId,
+        details: { purgeAfter: purgeAfter.toISOString(), keepHistory: Boolean(keepHistory) },
+      });
+      return getPendingDeletion(userId);
+    });
+
+  const cancelDeletion = async (userId, context) =>
+    withTransaction(async () => {
+      const result = await runDb("DELETE FROM account_deletions WHERE userId = ?", [userId]);
+      if (result.changes !== 1) {
+        return { error: "not_requested" };
+      }
+      await recordAudit(context, {
+        action: "account_delete_cancel",
+        targetUserId: userId,
+      });
+      return { userId };
+    });
+
+  // Removes everything that identifies the member. Kept stamp history and
+  // audit rows move to a random ID nothing else refers to, so counts per
+  // day or venue survive without pointing back at anyone. Must run inside
+  // withTransaction.
+  const purgeAccount = async (userId, { keepHistory, context }) => {
+    const anonymousId = `deleted-${crypto.randomUUID()}`;
+    const events = await getDb("SELECT COUNT(*) AS count FROM stamp_events WHERE userId = ?", [
+      userId,
+    ]);
+    if (keepHistory) {
+      await runDb("UPDATE stamp_events SET userId = ?, note = NULL WHERE userId = ?", [
+        anonymousId,
+        userId,
+      ]);
+      await runDb("UPDATE card_cycles SET userId = ? WHERE userId = ?", [anonymousId, userId]);
+    } else {
+      await runDb("DELETE FROM stamp_events WHERE userId = ?", [userId]);
+      await runDb("DELETE FROM card_cycles WHERE userId = ?", [userId]);
+    }
+    for (const table of OWNED_TABLES) {
+      await runDb(`DELETE FROM ${table} WHERE userId = ?`, [userId]);
+    }
+    await runDb(
+      `UPDATE audit_logs SET details = NULL WHERE targetUserId = ? AND action IN (${PERSONAL_AUDIT_ACTIONS.map(() => "?").join(", ")})`,
+      [userId, ...PERSONAL_AUDIT_ACTIONS]
+    );
+    await runDb(
+      "UPDATE audit_logs SET actorUserId = ?, ip = NULL, userAgent = NULL WHERE actorUserId = ?",
+      [anonymousId, userId]
+    );
+    await runDb("UPDATE audit_logs SET targetUserId = ? WHERE targetUserId = ?", [
+      anonymousId,
+      userId,
+    ]);
+    await runDb("DELETE FROM users WHERE id = ?", [userId]);
+    await recordAudit(context, {
+      action: "account_delete",
+      targetUserId: anonymousId,
+      details: { keepHistory: Boolean(keepHistory), stampEvents: events.count },
+    });
+    return { anonymousId, keepHistory: Boolean(keepHistory), stampEvents: events.count };
+  };
+
+  // Each account is purged in its own transaction. An owner who became the
+  // last owner during the grace period is left pending until another owner
+  // is appointed.
+  const purgeDueDeletions = async (now = new Date()) => {
+    const due = await allDb(
+      "SELECT userId FROM account_deletions WHERE purgeAfter <= ? ORDER BY purgeAfter ASC",
+      [now.toISOString()]
+    );
+    const purged = [];
+    for (const { userId } of due) {
+      const result = await withTransaction(async () => {
+        const pending = await getPendingDeletion(userId);
+        if (!pending) {
+          return null;
+        }
+        const user = await getDb("SELECT id, role FROM users WHERE id = ?", [userId]);
+        if (!user) {
+          await runDb("DELETE FROM account_deletions WHERE userId = ?", [userId]);
+          return null;
+        }
+        if (await isLastOwner(user)) {
+          console.warn(`Skipped deleting ${userId}: last remaining owner.`);
+          return null;
+        }
+        return purgeAccount(userId, { keepHistory: pending.keepHistory, context: SYSTEM_CONTEXT });
+      });
+      if (result) {
+        purged.push(result);
+      }
+    }
+    return purged;
+  };
+
+  const scheduleDeletionSweep = (intervalMs) => {
+    const sweep = () =>
+      purgeDueDeletions()
+        .then((purged) => {
+          if (purged.length) {
+            console.log(`Deleted ${purged.length} account(s) past the grace period.`);
+          }
+        })
+        .catch((error) => console.error("Failed to delete accounts:", error));
+    const timer = setInterval(sweep, intervalMs);
+    timer.unref();
+    return sweep();
+  };
+
+  return {
+    graceDays,
+    getPendingDeletion,
+    requestDeletion,
+    cancelDeletion,
+    purgeDueDeletions,
+    scheduleDeletionSweep,
+  };
+};
+
+module.exports = { DEFAULT_GRACE_DAYS, createAccountDeletion };
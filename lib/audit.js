@@ -0,0 +1,22 @@
+const createAuditRecorder = (runDb) => async (
+  context,
+  { action, targetUserId = null, beforeStamps = null, afterStamps = null, details = null }
+) =>
+  runDb(
+    "INSERT INTO audit_logs (actorUserId, targetUserId, action, beforeStamps, afterStamps, details, ip, userAgent, method, path, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+    [
+      context.actorUserId,
+      targetUserId,
+      action,
+      beforeStamps,
+      afterStamps,
+      details ? JSON.stringify(details) : null,
+      context.ip,
+      context.userAgent,
+      context.method,
+      context.path,
+      new Date().toISOString(),
+    ]
+  );
+
+module.exports = { createAuditRecorder };
@@ -0,0 +1,196 @@
+const fs = require("fs");
+const path = require("path");
+const sqlite3 = require("sqlite3");
+
+const defaultBackupDir = path.join(__dirname, "..", "data", "backups");
+const DEFAULT_BACKUP_KEEP = 14;
+const BACKUP_FILE_PATTERN = /^stamps-\d{8}T\d{9}Z\.db$/;
+const BACKUP_RETRY_MS = 200;
+
+const backupStamp = (date = new Date()) => date.toISOString().replace(/[-:.]/g, "");
+
+const openReadOnly = (filename) =>
+  new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(filename, sqlite3.OPEN_READONLY, (err) =>
+      err ? reject(err) : resolve(db)
+    );
+  });
+
+const closeQuietly = (db) => new Promise((resolve) => db.close(() => resolve()));
+
+// Copies every page in one step so the copy is a single consistent snapshot.
+// A busy source (a write is committing) is retried rather than treated as a
+// failure.
+const copyDatabase = async (source, destination) => {
+  const db = await openReadOnly(source);
+  try {
+    await new Promise((resolve, reject) => {
+      const backup = db.backup(destination, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        const step = () => {
+          backup.step(-1, (stepErr) => {
+            if (stepErr && backup.failed) {
+              backup.finish(() => reject(stepErr));
+              return;
+            }
+            if (!backup.completed) {
+              setTimeout(step, BACKUP_RETRY_MS);
+              return;
+            }
+            backup.finish((finishErr) => (finishErr ? reject(finishErr) : resolve()));
+          });
+        };
+        step();
+      });
+    });
+  } finally {
+    await closeQuietly(db);
+  }
+};
+
+// Checks that a file is an intact stamp database this code can run against.
+// Older schema versions are accepted; startup migrates them forward.
+const inspectBackupFile = async (filename, { latestVersion }) => {
+  if (!fs.existsSync(filename)) {
+    throw new Error(`${filename} does not exist.`);
+  }
+  let db;
+  try {
+    db = await openReadOnly(filename);
+  } catch (error) {
+    throw new Error(`${filename} could not be opened: ${error.message}`);
+  }
+  const get = (sql) =>
+    new Promise((resolve, reject) => {
+      db.get(sql, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+  try {
+    let check;
+    try {
+      check = await get("PRAGMA quick_check");
+    } catch (error) {
+      throw new Error(`${filename} is not a SQLite database.`);
+    }
+    if (!check || check.quick_check !== "ok") {
+      throw new Error(`${filename} failed the integrity check.`);
+    }
+    const table = await get(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'"
+    );
+    if (!table) {
+      throw new Error(`${filename} has no schema_migrations table.`);
+    }
+    const row = await get("SELECT MAX(version) AS version FROM schema_migrations");
+    const version = row && row.version ? row.version : 0;
+    if (!version) {
+      throw new Error(`${filename} has no applied migrations.`);
+    }
+    if (version > latestVersion) {
+      throw new Error(
+        `${filename} is at schema version ${version}, newer than this code (${latestVersion}).`
+      );
+    }
+    const users = await get("SELECT COUNT(*) AS count FROM users");
+    return { version, latestVersion, users: users.count };
+  } finally {
+    await closeQuietly(db);
+  }
+};
+
+const createBackupManager = ({
+  filename,
+  directory = defaultBackupDir,
+  keep = DEFAULT_BACKUP_KEEP,
+}) => {
+  const listBackups = () => {
+    if (!fs.existsSync(directory)) {
+      return [];
+    }
+    return fs
+      .readdirSync(directory)
+      .filter((file) => BACKUP_FILE_PATTERN.test(file))
+      .sort()
+      .reverse()
+      .map((file) => {
+        const stat = fs.statSync(path.join(directory, file));
+        return { file, size: stat.size, createdAt: stat.mtime.toISOString() };
+      });
+  };
+
+  const resolveBackup = (file) =>
+    BACKUP_FILE_PATTERN.test(file) && fs.existsSync(path.join(directory, file))
+      ? path.join(directory, file)
+      : null;
+
+  // Only files named by createBackup rotate; copies saved before a restore
+  // are kept until removed by hand.
+  const pruneBackups = () => {
+    const removed = listBackups().slice(keep);
+    removed.forEach((backup) => fs.unlinkSync(path.join(directory, backup.file)));
+    return removed.map((backup) => backup.file);
+  };
+
+  // Writes to a temporary name first so a half-written copy never looks
+  // like a backup.
+  const copyTo = async (target) => {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    const partial = `${target}.partial`;
+    try {
+      await copyDatabase(filename, partial);
+      fs.renameSync(partial, target);
+    } catch (error) {
+      fs.rmSync(partial, { force: true });
+      throw error;
+    }
+    return target;
+  };
+
+  const createBackup = async () => {
+    const file = `stamps-${backupStamp()}.db`;
+    await copyTo(path.join(directory, file));
+    const removed = pruneBackups();
+    const stat = fs.statSync(path.join(directory, file));
+    return { file, size: stat.size, createdAt: stat.mtime.toISOString(), removed };
+  };
+
+  const scheduleBackups = (intervalMs) => {
+    const timer = setInterval(() => {
+      createBackup()
+        .then((backup) => console.log(`Backed up database to ${backup.file}`))
+        .catch((error) => console.error("Failed to back up database:", error));
+    }, intervalMs);
+    timer.unref();
+    return timer;
+  };
+
+  return { directory, keep, listBackups, resolveBackup, copyTo, createBackup, scheduleBackups };
+};
+
+// The server must be stopped: it keeps the database open and would go on
+// writing to the file being replaced. The current database is copied aside
+// first, and any leftover journal is removed so SQLite does not replay it
+// into the restored file.
+const restoreDatabase = async ({ source, filename, directory = defaultBackupDir, latestVersion }) => {
+  const inspected = await inspectBackupFile(source, { latestVersion });
+  let previous = null;
+  if (fs.existsSync(filename)) {
+    previous = path.join(directory, `pre-restore-${backupStamp()}.db`);
+    await createBackupManager({ filename, directory }).copyTo(previous);
+  }
+  const staging = `${filename}.restoring`;
+  fs.copyFileSync(source, staging);
+  ["-journal", "-wal", "-shm"].forEach((suffix) => fs.rmSync(`${filename}${suffix}`, { force: true }));
+  fs.renameSync(staging, filename);
+  return { ...inspected, previous };
+};
+
+module.exports = {
+  defaultBackupDir,
+  DEFAULT_BACKUP_KEEP,
+  inspectBackupFile,
+  createBackupManager,
+  restoreDatabase,
+};
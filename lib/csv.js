@@ -0,0 +1,61 @@
+const CSV_BOM = "\uFEFF";
+
+// Strings that spreadsheet apps would evaluate as a formula get a leading
+// quote; numbers (including negative deltas) are written as-is.
+const formatCsvCell = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (values) => `${values.map(formatCsvCell).join(",")}\r\n`;
+
+// RFC 4180 records: quoted cells may hold commas, doubled quotes and line
+// breaks. Blank lines come back as [""] so record numbers stay aligned.
+const parseCsv = (text) => {
+  const input = String(text || "").replace(/^\uFEFF/, "");
+  const records = [];
+  let record = [];
+  let cell = "";
+  let quoted = false;
+  for (let index = 0; index < input.length; index += 1) {
+    const char = input[index];
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[index + 1] === "\n") {
+        index += 1;
+      }
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || record.length) {
+    record.push(cell);
+    records.push(record);
+  }
+  return records;
+};
+
+module.exports = { CSV_BOM, formatCsvCell, toCsvLine, parseCsv };
@@ -0,0 +1,153 @@
+const path = require("path");
+const fs = require("fs");
+const { AsyncLocalStorage } = require("async_hooks");
+const sqlite3 = require("sqlite3").verbose();
+
+const defaultDbPath = path.join(__dirname, "..", "data", "stamps.db");
+
+const openDatabase = (filename = defaultDbPath) => {
+  const dir = path.dirname(filename);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  const db = new sqlite3.Database(filename);
+
+  // Every query shares one connection, so a transaction would also take in
+  // statements from unrelated requests. While one is open, queries from
+  // outside it wait until it ends, and it starts only once the queries
+  // already running have finished. Its own queries are recognised through
+  // the async context withTransaction runs the work in.
+  const transactionScope = new AsyncLocalStorage();
+  let activeTransaction = null;
+  let outsideQueries = 0;
+  let idleWaiters = [];
+
+  const whenIdle = () =>
+    outsideQueries === 0
+      ? Promise.resolve()
+      : new Promise((resolve) => idleWaiters.push(resolve));
+
+  const gated = (query) => async (...args) => {
+    if (activeTransaction && transactionScope.getStore() === activeTransaction) {
+      return query(...args);
+    }
+    while (activeTransaction) {
+      await activeTransaction.done;
+    }
+    outsideQueries += 1;
+    try {
+      return await query(...args);
+    } finally {
+      outsideQueries -= 1;
+      if (outsideQueries === 0) {
+        const waiters = idleWaiters;
+        idleWaiters = [];
+        waiters.forEach((resolve) => resolve());
+      }
+    }
+  };
+
+  const rawRunDb = (sql, params = []) =>
+    new Promise((resolve, reject) => {
+      db.run(sql, params, function runCallback(err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(this);
+      });
+    });
+
+  const rawGetDb = (sql, params = []) =>
+    new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(row);
+      });
+    });
+
+  const rawAllDb = (sql, params = []) =>
+    new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(rows || []);
+      });
+    });
+
+  // Calls onRow for each row as SQLite produces it instead of buffering the
+  // whole result; resolves with the row count.
+  const rawEachDb = (sql, params, onRow) =>
+    new Promise((resolve, reject) => {
+      let failure = null;
+      db.each(
+        sql,
+        params,
+        (err, row) => {
+          if (err || failure) {
+            failure = failure || err;
+            return;
+          }
+          try {
+            onRow(row);
+          } catch (error) {
+            failure = error;
+          }
+        },
+        (err, count) => {
+          if (err || failure) {
+            reject(err || failure);
+            return;
+          }
+          resolve(count);
+        }
+      );
+    });
+
+  const runDb = gated(rawRunDb);
+  const getDb = gated(rawGetDb);
+  const allDb = gated(rawAllDb);
+  const eachDb = gated(rawEachDb);
+
+  let transactionQueue = Promise.resolve();
+
+  const withTransaction = (work) => {
+    const run = async () => {
+      let finish;
+      const transaction = { done: new Promise((resolve) => (finish = resolve)) };
+      activeTransaction = transaction;
+      try {
+        await whenIdle();
+        await rawRunDb("BEGIN IMMEDIATE");
+        try {
+          const result = await transactionScope.run(transaction, work);
+          await rawRunDb("COMMIT");
+          return result;
+        } catch (error) {
+          await rawRunDb("ROLLBACK").catch(() => {});
+          throw error;
+        }
+      } finally {
+        activeTransaction = null;
+        finish();
+      }
+    };
+    const result = transactionQueue.then(run, run);
+    transactionQueue = result.catch(() => {});
+    return result;
+  };
+
+  const close = () =>
+    new Promise((resolve, reject) => {
+      db.close((err) => (err ? reject(err) : resolve()));
+    });
+
+  return { db, runDb, getDb, allDb, eachDb, withTransaction, close };
+};
+
+module.exports = { defaultDbPath, openDatabase };
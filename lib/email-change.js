@@ -0,0 +1,130 @@
+const crypto = require("crypto");
+
+const MINUTE_MS = 60 * 1000;
+
+// A member changes their mail address by proving they can read the new one:
+// a code goes to the new address and only entering it moves the profile and
+// the local login over (or adds one for a Google-only member).
+const createEmailChange = (
+  { runDb, getDb, withTransaction, recordAudit, hashSecret },
+  { ttlMinutes, maxAttempts }
+) => {
+  const hashCode = (userId, mailAddress, code) =>
+    hashSecret(`email:${userId}:${mailAddress}:${code}`);
+
+  const getPendingEmailChange = async (userId, now = new Date()) =>
+    getDb(
+      "SELECT userId, mailAddress, expiresAt, createdAt FROM email_changes WHERE userId = ? AND expiresAt > ? AND attempts < ?",
+      [userId, now.toISOString(), maxAttempts]
+    );
+
+  // Another member already logs in with the address or shows it on their
+  // profile.
+  const isMailTaken = async (userId, mailAddress) =>
+    Boolean(
+      await getDb(
+        "SELECT userId FROM auth_identities WHERE provider = 'local' AND providerKey = ? AND userId != ? UNION SELECT userId FROM user_profiles WHERE lower(mailAddress) = ? AND userId != ? LIMIT 1",
+        [mailAddress, userId, mailAddress, userId]
+      )
+    );
+
+  // Replaces any earlier request, so only the latest code works.
+  const requestEmailChange = async (userId, mailAddress) =>
+    withTransaction(async () => {
+      const profile = await getDb("SELECT mailAddress FROM user_profiles WHERE userId = ?", [
+        userId,
+      ]);
+      if (profile && (profile.mailAddress || "").toLowerCase() === mailAddress) {
+        return { error: "same_address" };
+      }
+      if (await isMailTaken(userId, mailAddress)) {
+        return { error: "mail_taken" };
+      }
+      const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+      const createdAt = new Date();
+      const expiresAt = new Date(createdAt.getTime() + ttlMinutes * MINUTE_MS).toISOString();
+      await runDb(
+        "INSERT INTO email_changes (userId, mailAddress, codeHash, attempts, expiresAt, createdAt) VALUES (?, ?, ?, 0, ?, ?) ON CONFLICT (userId) DO UPDATE SET mailAddress = excluded.mailAddress, codeHash = excluded.codeHash, attempts = 0, expiresAt = excluded.expiresAt, createdAt = excluded.createdAt",
+        [userId, mailAddress, hashCode(userId, mailAddress, code), expiresAt, createdAt.toISOString()]
+      );
+      return { mailAddress, code, expiresAt };
+    });
+
+  // The profile and the local login move together; the UNIQUE index on
+  // auth_identities catches an address claimed since the check.
+  const confirmEmailChange = async (userId, code, context) => {
+    try {
+      return await withTransaction(async () => {
+        const pending = await getDb(
+          "SELECT mailAddress, codeHash FROM email_changes WHERE userId = ? AND expiresAt > ? AND attempts < ?",
+          [userId, new Date().toISOString(), maxAttempts]
+        );
+        if (!pending) {
+          return { error: "invalid_code" };
+        }
+        if (pending.codeHash !== hashCode(userId, pending.mailAddress, code)) {
+          await runDb("UPDATE email_changes SET attempts = attempts + 1 WHERE userId = ?", [userId]);
+          return { error: "invalid_code" };
+        }
+        await runDb("DELETE FROM email_changes WHERE userId = ?", [userId]);
+        if (await isMailTaken(userId, pending.mailAddress)) {
+          return { error: "mail_taken" };
+        }
+        const profile = await getDb("SELECT mailAddress FROM user_profiles WHERE userId = ?", [
+          userId,
+        ]);
+        const updatedAt = new Date().toISOString();
+        if (profile) {
+          await runDb("UPDATE user_profiles SET mailAddress = ?, updatedAt = ? WHERE userId = ?", [
+            pending.mailAddress,
+            updatedAt,
+            userId,
+          ]);
+        } else {
+          await runDb(
+            "INSERT INTO user_profiles (userId, username, mailAddress, description, job, hobbies, updatedAt) VALUES (?, '', ?, '', '', '', ?)",
+            [userId, pending.mailAddress, updatedAt]
+          );
+        }
+        const moved = await runDb(
+          "UPDATE auth_identities SET providerKey = ? WHERE userId = ? AND provider = 'local'",
+          [pending.mailAddress, userId]
+        );
+        // A Google-only member gets a local login too, so the confirmed
+        // address works with login codes like any other.
+        if (moved.changes === 0) {
+          await runDb(
+            "INSERT INTO auth_identities (userId, provider, providerKey, createdAt) VALUES (?, 'local', ?, ?)",
+            [userId, pending.mailAddress, updatedAt]
+          );
+        }
+        const previousMailAddress = profile ? profile.mailAddress || "" : "";
+        await recordAudit(context, {
+          action: "mail_change",
+          targetUserId: userId,
+          details: { from: previousMailAddress, to: pending.mailAddress },
+        });
+        return { previousMailAddress, mailAddress: pending.mailAddress };
+      });
+    } catch (error) {
+      if (error && error.code === "SQLITE_CONSTRAINT") {
+        return { error: "mail_taken" };
+      }
+      throw error;
+    }
+  };
+
+  const cancelEmailChange = async (userId) => {
+    const result = await runDb("DELETE FROM email_changes WHERE userId = ?", [userId]);
+    return result.changes === 1 ? { userId } : { error: "not_requested" };
+  };
+
+  return {
+    getPendingEmailChange,
+    requestEmailChange,
+    confirmEmailChange,
+    cancelEmailChange,
+  };
+};
+
+module.exports = { createEmailChange };
@@ -0,0 +1,114 @@
+const ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => ESCAPES[char]);
+
+// Markup that has already been escaped or built by `html`, passed through
+// untouched when interpolated.
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+const raw = (value) => new SafeHtml(String(value));
+
+// JSON that can sit inside a <script> element: "</script>" and the line
+// separators JavaScript treats as newlines cannot end the literal early.
+const scriptJson = (value) => {
+  const text = JSON.stringify(value);
+  return (text === undefined ? "null" : text)
+    .replace(/</g, "\\u003c")
+    .replace(/>/g, "\\u003e")
+    .replace(/\u2028/g, "\\u2028")
+    .replace(/\u2029/g, "\\u2029");
+};
+
+// Walks the literal parts of a template and records, for each
+// interpolation, whether it lands in text, a quoted attribute value, inside
+// a tag but outside quotes, or inside a <script> element. Interpolated
+// markup is assumed to be balanced, so only the literals move the state.
+const scanContexts = (strings) => {
+  const contexts = [];
+  let inTag = false;
+  let inScript = false;
+  let quote = null;
+  let tagName = "";
+  strings.forEach((literal, index) => {
+    for (let position = 0; position < literal.length; position += 1) {
+      const char = literal[position];
+      if (inScript) {
+        if (literal.startsWith("</script", position)) {
+          inScript = false;
+          inTag = true;
+          tagName = "/script";
+        }
+      } else if (!inTag) {
+        if (char === "<" && /[a-zA-Z/!]/.test(literal[position + 1] || "")) {
+          inTag = true;
+          tagName = /^[^\s>]*/.exec(literal.slice(position + 1))[0].toLowerCase();
+        }
+      } else if (quote) {
+        if (char === quote) {
+          quote = null;
+        }
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === ">") {
+        inTag = false;
+        inScript = tagName === "script";
+      }
+    }
+    if (index < strings.length - 1) {
+      contexts.push(inScript ? "script" : inTag ? (quote ? "attribute" : "tag") : "text");
+    }
+  });
+  return contexts;
+};
+
+const contextCache = new WeakMap();
+
+const renderValue = (value, context) => {
+  if (context === "script") {
+    return value instanceof SafeHtml ? value.value : scriptJson(value);
+  }
+  if (value === null || value === undefined || value === false || value === "") {
+    return "";
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => renderValue(item, context)).join("");
+  }
+  if (value instanceof SafeHtml) {
+    return value.value;
+  }
+  if (context === "tag") {
+    throw new Error("Attribute values in templates must be quoted.");
+  }
+  return escapeHtml(value);
+};
+
+// Tagged template for server-rendered markup. Text and quoted attribute
+// values are HTML-escaped, values inside <script> become JSON literals, and
+// nested `html` results and arrays of them are inserted as markup.
+const html = (strings, ...values) => {
+  if (!contextCache.has(strings)) {
+    contextCache.set(strings, scanContexts(strings));
+  }
+  const contexts = contextCache.get(strings);
+  let output = strings[0];
+  values.forEach((value, index) => {
+    output += renderValue(value, contexts[index]) + strings[index + 1];
+  });
+  return new SafeHtml(output);
+};
+
+module.exports = { escapeHtml, raw, html, SafeHtml };
@@ -0,0 +1,88 @@
+const CATALOGS = {
+  ja: require("../locales/ja"),
+  en: require("../locales/en"),
+};
+
+const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+const DEFAULT_LOCALE = "ja";
+
+// Shown in the language picker in each language's own name.
+const LOCALE_NAMES = {
+  ja: "日本語",
+  en: "English",
+};
+
+const isSupportedLocale = (value) => SUPPORTED_LOCALES.includes(value);
+
+// Picks the supported language the browser ranks highest; "en-US" counts
+// as "en". Without a match the site stays in the default language.
+const negotiateLocale = (acceptLanguage) => {
+  const ranked = String(acceptLanguage || "")
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(";");
+      const quality = params
+        .map((param) => param.trim())
+        .find((param) => param.startsWith("q="));
+      return {
+        locale: tag.trim().toLowerCase().split("-")[0],
+        quality: quality ? Number(quality.slice(2)) : 1,
+        index,
+      };
+    })
+    .filter((entry) => entry.quality > 0 && isSupportedLocale(entry.locale))
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+  return ranked.length ? ranked[0].locale : DEFAULT_LOCALE;
+};
+
+const interpolate = (template, params) =>
+  template.replace(/\{(\w+)\}/g, (match, name) =>
+    Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+  );
+
+const lookup = (locale, key) => {
+  if (Object.prototype.hasOwnProperty.call(CATALOGS[locale], key)) {
+    return CATALOGS[locale][key];
+  }
+  if (Object.prototype.hasOwnProperty.call(CATALOGS[DEFAULT_LOCALE], key)) {
+    return CATALOGS[DEFAULT_LOCALE][key];
+  }
+  return undefined;
+};
+
+const translators = new Map();
+
+// t(key, params) returns the message for key with "{name}" placeholders
+// filled from params, falling back to the default language and then to the
+// key itself. t.has tells whether a key exists, and t.messages collects the
+// keys under the given prefixes for page scripts.
+const createTranslator = (locale) => {
+  const resolved = isSupportedLocale(locale) ? locale : DEFAULT_LOCALE;
+  if (translators.has(resolved)) {
+    return translators.get(resolved);
+  }
+  const t = (key, params = {}) => {
+    const template = lookup(resolved, key);
+    return template === undefined ? key : interpolate(template, params);
+  };
+  t.locale = resolved;
+  t.has = (key) => lookup(resolved, key) !== undefined;
+  t.messages = (...prefixes) =>
+    Object.keys(CATALOGS[DEFAULT_LOCALE])
+      .filter((key) => prefixes.some((prefix) => key.startsWith(prefix)))
+      .reduce((messages, key) => {
+        messages[key] = lookup(resolved, key);
+        return messages;
+      }, {});
+  translators.set(resolved, t);
+  return t;
+};
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  LOCALE_NAMES,
+  isSupportedLocale,
+  negotiateLocale,
+  createTranslator,
+};
@@ -0,0 +1,28 @@
+const { html } = require("./html");
+
+// Every page shares the same <head>; t is the request's translator, title is
+// the page name shown before the app name, and body is the `html` markup
+// placed inside <body>. Pages whose scripts post to the API pass csrfToken
+// so the scripts can read it.
+const renderLayout = ({ t, title, body, csrfToken }) =>
+  html`<!DOCTYPE html>
+<html lang="${t.locale}">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>${title ? `${title} | ${t("app.title")}` : t("app.title")}</title>
+    ${csrfToken ? html`<meta name="csrf-token" content="${csrfToken}" />` : ""}
+    <link rel="preconnect" href="https://fonts.googleapis.com" />
+    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin />
+    <link
+      href="https://fonts.googleapis.com/css2?family=Noto+Serif+JP:wght@400;600&display=swap"
+      rel="stylesheet"
+    />
+    <link rel="stylesheet" href="/styles.css" />
+  </head>
+  <body>
+    ${body}
+  </body>
+</html>`.toString();
+
+module.exports = { renderLayout };
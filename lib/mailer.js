@@ -0,0 +1,66 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    console.log(
+      `[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`
+    );
+  },
+});
+
+// Writes each message as a JSON file so local runs and tests can read what
+// would have been sent.
+const createFileTransport = ({ directory }) => {
+  if (!directory) {
+    throw new Error("MAIL_FILE_DIR is required for the file transport.");
+  }
+  return {
+    send: async (message) => {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const fileName = `${Date.now()}-${crypto
+        .randomBytes(4)
+        .toString("hex")}.json`;
+      await fs.promises.writeFile(
+        path.join(directory, fileName),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+    },
+  };
+};
+
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  if (!host) {
+    throw new Error("SMTP_HOST is required for the smtp transport.");
+  }
+  const nodemailer = require("nodemailer");
+  const transporter = nodemailer.createTransport({
+    host,
+    port: Number(port) || (secure ? 465 : 587),
+    secure: Boolean(secure),
+    auth: user ? { user, pass } : undefined,
+  });
+  return {
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+const transports = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+  smtp: createSmtpTransport,
+};
+
+const createMailer = ({ transport = "console", from, ...options } = {}) => {
+  const createTransport = transports[transport];
+  if (!createTransport) {
+    throw new Error(`Unknown mail transport: ${transport}`);
+  }
+  const impl = createTransport(options);
+  return {
+    send: ({ to, subject, text }) => impl.send({ from, to, subject, text }),
+  };
+};
+
+module.exports = { createMailer };
@@ -0,0 +1,102 @@
+const fs = require("fs");
+const path = require("path");
+
+const defaultMigrationsDir = path.join(__dirname, "..", "migrations");
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Migration files are named NNN_description.js and export
+// `up({ runDb, getDb, allDb, addColumnIfMissing })`.
+const loadMigrations = (directory = defaultMigrationsDir) =>
+  fs
+    .readdirSync(directory)
+    .map((file) => ({ file, match: MIGRATION_FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      version: Number(match[1]),
+      name: match[2],
+      up: require(path.join(directory, file)).up,
+    }))
+    .sort((a, b) => a.version - b.version);
+
+const getLatestVersion = (directory = defaultMigrationsDir) => {
+  const migrations = loadMigrations(directory);
+  return migrations.length ? migrations[migrations.length - 1].version : 0;
+};
+
+const createMigrator = ({ runDb, getDb, allDb, withTransaction }, { directory } = {}) => {
+  const migrations = loadMigrations(directory);
+  const latestVersion = getLatestVersion(directory);
+
+  // Databases created before migrations existed already have some of the
+  // columns later migrations add, so column additions must be idempotent.
+  const addColumnIfMissing = async (table, name, definition) => {
+    const columns = await allDb(`PRAGMA table_info(${table})`);
+    if (columns.some((column) => column.name === name)) {
+      return false;
+    }
+    await runDb(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+    return true;
+  };
+
+  const ensureMigrationsTable = () =>
+    runDb(
+      "CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, appliedAt TEXT NOT NULL)"
+    );
+
+  const getAppliedMigrations = async () => {
+    await ensureMigrationsTable();
+    return allDb("SELECT version, name, appliedAt FROM schema_migrations ORDER BY version ASC");
+  };
+
+  const getCurrentVersion = async () => {
+    await ensureMigrationsTable();
+    const row = await getDb("SELECT MAX(version) AS version FROM schema_migrations");
+    return row && row.version ? row.version : 0;
+  };
+
+  // Lists every known migration with its appliedAt (null when pending),
+  // plus applied versions whose file is missing from this checkout.
+  const getStatus = async () => {
+    const applied = await getAppliedMigrations();
+    const appliedByVersion = new Map(applied.map((row) => [row.version, row]));
+    const known = new Set(migrations.map((migration) => migration.version));
+    return {
+      currentVersion: applied.length ? applied[applied.length - 1].version : 0,
+      latestVersion,
+      migrations: migrations.map((migration) => ({
+        version: migration.version,
+        name: migration.name,
+        appliedAt: appliedByVersion.has(migration.version)
+          ? appliedByVersion.get(migration.version).appliedAt
+          : null,
+      })),
+      unknown: applied.filter((row) => !known.has(row.version)),
+    };
+  };
+
+  // Applies pending migrations in order, each in its own transaction so a
+  // failure leaves the database at the last good version.
+  const migrateUp = async () => {
+    const currentVersion = await getCurrentVersion();
+    if (currentVersion > latestVersion) {
+      throw new Error(
+        `Database schema version ${currentVersion} is newer than this code (${latestVersion}).`
+      );
+    }
+    const pending = migrations.filter((migration) => migration.version > currentVersion);
+    for (const migration of pending) {
+      await withTransaction(async () => {
+        await migration.up({ runDb, getDb, allDb, addColumnIfMissing });
+        await runDb(
+          "INSERT INTO schema_migrations (version, name, appliedAt) VALUES (?, ?, ?)",
+          [migration.version, migration.name, new Date().toISOString()]
+        );
+      });
+    }
+    return pending.map(({ version, name }) => ({ version, name }));
+  };
+
+  return { latestVersion, getCurrentVersion, getStatus, migrateUp };
+};
+
+module.exports = { defaultMigrationsDir, loadMigrations, getLatestVersion, createMigrator };
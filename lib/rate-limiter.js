@@ -0,0 +1,132 @@
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 10;
+const DEFAULT_IP_MAX_ATTEMPTS = 100;
+const DEFAULT_WINDOW_MINUTES = 15;
+const DEFAULT_LOCKOUT_MINUTES = 15;
+
+// Counts attempts per scope ("login", "checkin", ...) for each subject, an
+// IP address or an account. A subject that reaches its kind's limit within
+// the window is locked for lockoutMinutes, and a request is refused while any
+// of its subjects is locked. IP addresses get a higher limit because members
+// at the same venue share one.
+const createRateLimiter = (
+  { runDb, getDb, allDb, withTransaction },
+  {
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    ipMaxAttempts = DEFAULT_IP_MAX_ATTEMPTS,
+    windowMinutes = DEFAULT_WINDOW_MINUTES,
+    lockoutMinutes = DEFAULT_LOCKOUT_MINUTES,
+  } = {}
+) => {
+  const toSubjects = (subjects) =>
+    Object.entries(subjects).filter(([, value]) => value);
+
+  // Returns the latest time any of the subjects stays locked, or null.
+  const getLockedUntil = async (scope, subjects, now = new Date()) => {
+    let lockedUntil = null;
+    for (const [kind, subject] of toSubjects(subjects)) {
+      const row = await getDb(
+        "SELECT lockedUntil FROM rate_limits WHERE scope = ? AND kind = ? AND subject = ? AND lockedUntil > ?",
+        [scope, kind, subject, now.toISOString()]
+      );
+      if (row && (!lockedUntil || row.lockedUntil > lockedUntil)) {
+        lockedUntil = row.lockedUntil;
+      }
+    }
+    return lockedUntil ? new Date(lockedUntil) : null;
+  };
+
+  const hitSubject = async (scope, kind, subject, now) => {
+    const nowValue = now.toISOString();
+    const row = await getDb(
+      "SELECT hits, windowStartedAt, lockedUntil FROM rate_limits WHERE scope = ? AND kind = ? AND subject = ?",
+      [scope, kind, subject]
+    );
+    const windowStart = new Date(now.getTime() - windowMinutes * MINUTE_MS).toISOString();
+    const expired =
+      !row ||
+      row.windowStartedAt <= windowStart ||
+      (row.lockedUntil && row.lockedUntil <= nowValue);
+    const hits = expired ? 1 : row.hits + 1;
+    const lockedUntil =
+      hits >= (kind === "ip" ? ipMaxAttempts : maxAttempts)
+        ? new Date(now.getTime() + lockoutMinutes * MINUTE_MS).toISOString()
+        : null;
+    await runDb(
+      "INSERT INTO rate_limits (scope, kind, subject, hits, windowStartedAt, lockedUntil) VALUES (?, ?, ?, ?, ?, ?) ON CONFLICT (scope, kind, subject) DO UPDATE SET hits = excluded.hits, windowStartedAt = excluded.windowStartedAt, lockedUntil = excluded.lockedUntil",
+      [scope, kind, subject, hits, expired ? nowValue : row.windowStartedAt, lockedUntil]
+    );
+  };
+
+  const recordAttempt = async (scope, subjects, now = new Date()) =>
+    withTransaction(async () => {
+      for (const [kind, subject] of toSubjects(subjects)) {
+        await hitSubject(scope, kind, subject, now);
+      }
+    });
+
+  // Forgets the counters of the given subjects, e.g. the account after a
+  // successful login. The IP counter is left alone so one valid account
+  // cannot be used to reset it.
+  const clearAttempts = async (scope, subjects) => {
+    for (const [kind, subject] of toSubjects(subjects)) {
+      await runDb("DELETE FROM rate_limits WHERE scope = ? AND kind = ? AND subject = ?", [
+        scope,
+        kind,
+        subject,
+      ]);
+    }
+  };
+
+  const listLockouts = async (now = new Date()) =>
+    allDb(
+      "SELECT scope, kind, subject, hits, windowStartedAt, lockedUntil FROM rate_limits WHERE lockedUntil > ? ORDER BY lockedUntil DESC",
+      [now.toISOString()]
+    );
+
+  const unlock = async ({ scope, kind, subject }) => {
+    const result = await runDb(
+      "DELETE FROM rate_limits WHERE scope = ? AND kind = ? AND subject = ?",
+      [scope, kind, subject]
+    );
+    return result.changes === 1;
+  };
+
+  const pruneAttempts = async (now = new Date()) => {
+    const windowStart = new Date(now.getTime() - windowMinutes * MINUTE_MS).toISOString();
+    const result = await runDb(
+      "DELETE FROM rate_limits WHERE windowStartedAt <= ? AND (lockedUntil IS NULL OR lockedUntil <= ?)",
+      [windowStart, now.toISOString()]
+    );
+    return result.changes;
+  };
+
+  const schedulePrune = (intervalMs) => {
+    const timer = setInterval(() => {
+      pruneAttempts().catch((error) => console.error("Failed to prune rate limits:", error));
+    }, intervalMs);
+    timer.unref();
+  };
+
+  return {
+    maxAttempts,
+    ipMaxAttempts,
+    windowMinutes,
+    lockoutMinutes,
+    getLockedUntil,
+    recordAttempt,
+    clearAttempts,
+    listLockouts,
+    unlock,
+    pruneAttempts,
+    schedulePrune,
+  };
+};
+
+module.exports = {
+  DEFAULT_MAX_ATTEMPTS,
+  DEFAULT_IP_MAX_ATTEMPTS,
+  DEFAULT_WINDOW_MINUTES,
+  DEFAULT_LOCKOUT_MINUTES,
+  createRateLimiter,
+};
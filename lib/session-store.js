@@ -0,0 +1,104 @@
+const noop = () => {};
+
+const createSqliteSessionStore = (session) => {
+  class SqliteSessionStore extends session.Store {
+    // Queries go through lib/db so they wait for open transactions instead
+    // of joining them.
+    constructor({ runDb, getDb, defaultTtlMs, pruneIntervalMs } = {}) {
+      super();
+      this.runDb = runDb;
+      this.getDb = getDb;
+      this.defaultTtlMs = defaultTtlMs || 24 * 60 * 60 * 1000;
+      if (pruneIntervalMs) {
+        this.pruneTimer = setInterval(() => {
+          this.prune((err) => {
+            if (err) {
+              console.error("Failed to prune sessions:", err);
+            }
+          });
+        }, pruneIntervalMs);
+        this.pruneTimer.unref();
+      }
+    }
+
+    expiresAtFor(sess) {
+      const expires = sess && sess.cookie && sess.cookie.expires;
+      const time = expires
+        ? new Date(expires).getTime()
+        : Date.now() + this.defaultTtlMs;
+      return new Date(time).toISOString();
+    }
+
+    get(sid, callback = noop) {
+      this.getDb("SELECT sess FROM sessions WHERE sid = ? AND expiresAt > ?", [
+        sid,
+        new Date().toISOString(),
+      ]).then(
+        (row) => {
+          if (!row) {
+            callback(null, null);
+            return;
+          }
+          let sess;
+          try {
+            sess = JSON.parse(row.sess);
+          } catch (parseErr) {
+            callback(parseErr);
+            return;
+          }
+          callback(null, sess);
+        },
+        (err) => callback(err)
+      );
+    }
+
+    set(sid, sess, callback = noop) {
+      this.runDb(
+        "INSERT INTO sessions (sid, userId, sess, expiresAt) VALUES (?, ?, ?, ?) ON CONFLICT(sid) DO UPDATE SET userId = excluded.userId, sess = excluded.sess, expiresAt = excluded.expiresAt",
+        [sid, sess.userId || null, JSON.stringify(sess), this.expiresAtFor(sess)]
+      ).then(() => callback(null), callback);
+    }
+
+    touch(sid, sess, callback = noop) {
+      this.runDb("UPDATE sessions SET expiresAt = ? WHERE sid = ?", [
+        this.expiresAtFor(sess),
+        sid,
+      ]).then(() => callback(null), callback);
+    }
+
+    destroy(sid, callback = noop) {
+      this.runDb("DELETE FROM sessions WHERE sid = ?", [sid]).then(
+        () => callback(null),
+        callback
+      );
+    }
+
+    clear(callback = noop) {
+      this.runDb("DELETE FROM sessions").then(() => callback(null), callback);
+    }
+
+    length(callback = noop) {
+      this.getDb("SELECT COUNT(*) AS count FROM sessions WHERE expiresAt > ?", [
+        new Date().toISOString(),
+      ]).then((row) => callback(null, row ? row.count : 0), callback);
+    }
+
+    destroyByUserId(userId, callback = noop) {
+      this.runDb("DELETE FROM sessions WHERE userId = ?", [userId]).then(
+        (result) => callback(null, result.changes),
+        (err) => callback(err, 0)
+      );
+    }
+
+    prune(callback = noop) {
+      this.runDb("DELETE FROM sessions WHERE expiresAt <= ?", [new Date().toISOString()]).then(
+        (result) => callback(null, result.changes),
+        (err) => callback(err, 0)
+      );
+    }
+  }
+
+  return SqliteSessionStore;
+};
+
+module.exports = { createSqliteSessionStore };
@@ -0,0 +1,300 @@
+const DEFAULT_PROGRAM_ID = "default";
+const DEFAULT_STAMP_COUNT = 13;
+// Reason of the ADJUST event written when two accounts are merged.
+const MERGE_REASON = "user_merge";
+
+const clampStamps = (stamps, total = DEFAULT_STAMP_COUNT) =>
+  Math.min(total, Math.max(0, stamps));
+
+// Clamps after every step the same way the live writes do.
+const applyStampEvent = (stamps, event, total = DEFAULT_STAMP_COUNT) => {
+  switch (event.eventType) {
+    case "ADD":
+      return clampStamps(stamps + 1, total);
+    case "REVOKE":
+      return clampStamps(stamps - 1, total);
+    case "ADJUST":
+      return clampStamps(stamps + (event.delta || 0), total);
+    case "RESET":
+      return 0;
+    default:
+      return stamps;
+  }
+};
+
+const replayStampEvents = (events, total = DEFAULT_STAMP_COUNT) =>
+  events.reduce((stamps, event) => applyStampEvent(stamps, event, total), 0);
+
+// One entry per RESET that closed a full card, in ledger order.
+const deriveCardCycles = (events, total = DEFAULT_STAMP_COUNT) => {
+  const cycles = [];
+  let stamps = 0;
+  let startedAt = null;
+  events.forEach((event) => {
+    if (event.eventType === "RESET") {
+      if (stamps >= total) {
+        cycles.push({
+          resetEventId: event.id,
+          startedAt: startedAt || event.createdAt,
+          completedAt: event.createdAt,
+          stamps,
+        });
+      }
+      startedAt = null;
+    } else if (!startedAt && (event.eventType === "ADD" || event.eventType === "ADJUST")) {
+      startedAt = event.createdAt;
+    }
+    stamps = applyStampEvent(stamps, event, total);
+  });
+  return cycles;
+};
+
+const createStampLedger = ({ runDb, getDb, allDb, withTransaction, recordAudit }) => {
+  const getProgramTotal = async (programId) => {
+    const row = await getDb("SELECT stampCount FROM card_programs WHERE id = ?", [
+      programId,
+    ]);
+    return row ? row.stampCount : DEFAULT_STAMP_COUNT;
+  };
+
+  // The default program keeps its count in users.stamps; every other program
+  // keeps it on the enrollment row. Returns null when the user has no card.
+  const readStoredStamps = async (userId, programId = DEFAULT_PROGRAM_ID) => {
+    const row =
+      programId === DEFAULT_PROGRAM_ID
+        ? await getDb("SELECT stamps FROM users WHERE id = ?", [userId])
+        : await getDb(
+            "SELECT stamps FROM program_enrollments WHERE userId = ? AND programId = ?",
+            [userId, programId]
+          );
+    return row ? Math.max(0, row.stamps) : null;
+  };
+
+  const writeStoredStamps = async (userId, programId, stamps) =>
+    programId === DEFAULT_PROGRAM_ID
+      ? runDb("UPDATE users SET stamps = ? WHERE id = ?", [stamps, userId])
+      : runDb(
+          "UPDATE program_enrollments SET stamps = ? WHERE userId = ? AND programId = ?",
+          [stamps, userId, programId]
+        );
+
+  // skipEventIds replays the ledger as if those events were never written.
+  const countStampsFromLedger = async (
+    userId,
+    programId = DEFAULT_PROGRAM_ID,
+    skipEventIds = new Set()
+  ) =>
+    replayStampEvents(
+      (
+        await allDb(
+          "SELECT id, eventType, delta FROM stamp_events WHERE userId = ? AND programId = ? ORDER BY createdAt ASC, id ASC",
+          [userId, programId]
+        )
+      ).filter((event) => !skipEventIds.has(event.id)),
+      await getProgramTotal(programId)
+    );
+
+  // Lists every card whose stored count disagrees with the ledger.
+  const findStampDrift = async () => {
+    const cards = await allDb(
+      `SELECT users.id AS userId, '${DEFAULT_PROGRAM_ID}' AS programId, users.stamps, user_profiles.username, user_profiles.mailAddress
+       FROM users LEFT JOIN user_profiles ON user_profiles.userId = users.id
+       UNION ALL
+       SELECT program_enrollments.userId, program_enrollments.programId, program_enrollments.stamps, user_profiles.username, user_profiles.mailAddress
+       FROM program_enrollments LEFT JOIN user_profiles ON user_profiles.userId = program_enrollments.userId
+       ORDER BY userId ASC, programId ASC`
+    );
+    const programs = await allDb("SELECT id, name, stampCount FROM card_programs");
+    const programsById = new Map(programs.map((program) => [program.id, program]));
+    const events = await allDb(
+      "SELECT userId, programId, eventType, delta FROM stamp_events ORDER BY userId ASC, createdAt ASC, id ASC"
+    );
+    const eventsByCard = new Map();
+    events.forEach((event) => {
+      const key = `${event.userId}\n${event.programId}`;
+      if (!eventsByCard.has(key)) {
+        eventsByCard.set(key, []);
+      }
+      eventsByCard.get(key).push(event);
+    });
+    return cards
+      .map((card) => {
+        const program = programsById.get(card.programId);
+        const cardEvents = eventsByCard.get(`${card.userId}\n${card.programId}`) || [];
+        return {
+          userId: card.userId,
+          username: card.username || null,
+          mailAddress: card.mailAddress || null,
+          programId: card.programId,
+          programName: program ? program.name : null,
+          storedStamps: card.stamps,
+          ledgerStamps: replayStampEvents(
+            cardEvents,
+            program ? program.stampCount : DEFAULT_STAMP_COUNT
+          ),
+          eventCount: cardEvents.length,
+        };
+      })
+      .filter((row) => row.storedStamps !== row.ledgerStamps);
+  };
+
+  const repairStampCounts = async ({ context, userIds } = {}) =>
+    withTransaction(async () => {
+      const drift = (await findStampDrift()).filter(
+        (row) => !userIds || userIds.includes(row.userId)
+      );
+      for (const row of drift) {
+        await writeStoredStamps(row.userId, row.programId, row.ledgerStamps);
+        await recordAudit(context, {
+          action: "stamp_repair",
+          targetUserId: row.userId,
+          beforeStamps: row.storedStamps,
+          afterStamps: row.ledgerStamps,
+          details:
+            row.programId === DEFAULT_PROGRAM_ID ? null : { programId: row.programId },
+        });
+      }
+      return drift;
+    });
+
+  const renumberCardCycles = async (userId, programId) => {
+    const cycles = await allDb(
+      "SELECT id FROM card_cycles WHERE userId = ? AND programId = ? ORDER BY completedAt ASC, id ASC",
+      [userId, programId]
+    );
+    for (const [index, cycle] of cycles.entries()) {
+      await runDb("UPDATE card_cycles SET cycleNumber = ? WHERE id = ?", [
+        index + 1,
+        cycle.id,
+      ]);
+    }
+  };
+
+  // Records completed cards missing from card_cycles and renumbers the
+  // user's cycles for the program by completion date. Events before the
+  // last merge come from two interleaved ledgers, so only RESETs after it
+  // can complete a card here; earlier ones were recorded by each account
+  // before the merge. Must run inside withTransaction.
+  const syncCardCycles = async (userId, programId = DEFAULT_PROGRAM_ID) => {
+    const events = await allDb(
+      "SELECT id, eventType, reason, delta, createdAt FROM stamp_events WHERE userId = ? AND programId = ? ORDER BY createdAt ASC, id ASC",
+      [userId, programId]
+    );
+    const existing = await allDb(
+      "SELECT resetEventId FROM card_cycles WHERE userId = ? AND programId = ?",
+      [userId, programId]
+    );
+    const known = new Set(existing.map((row) => row.resetEventId));
+    const mergedAt = events.map((event) => event.reason).lastIndexOf(MERGE_REASON);
+    const premerge = new Set(events.slice(0, mergedAt + 1).map((event) => event.id));
+    const total = await getProgramTotal(programId);
+    for (const cycle of deriveCardCycles(events, total)) {
+      if (known.has(cycle.resetEventId) || premerge.has(cycle.resetEventId)) {
+        continue;
+      }
+      await runDb(
+        "INSERT INTO card_cycles (userId, programId, cycleNumber, startedAt, completedAt, stamps, resetEventId) VALUES (?, ?, 0, ?, ?, ?, ?)",
+        [userId, programId, cycle.startedAt, cycle.completedAt, cycle.stamps, cycle.resetEventId]
+      );
+    }
+    await renumberCardCycles(userId, programId);
+  };
+
+  // Sets a merged account's card to the given count. An ADJUST closes the
+  // combined ledger so it still replays to the stored count, and marks
+  // where syncCardCycles starts deriving cycles again. The cycles each
+  // account brought along are kept as they are. Must run inside
+  // withTransaction.
+  const recordMergedStamps = async (userId, programId, stamps) => {
+    const total = await getProgramTotal(programId);
+    const merged = clampStamps(stamps, total);
+    const replayed = await countStampsFromLedger(userId, programId);
+    await runDb(
+      "INSERT INTO stamp_events (userId, createdAt, reason, eventType, delta, programId) VALUES (?, ?, ?, ?, ?, ?)",
+      [userId, new Date().toISOString(), MERGE_REASON, "ADJUST", merged - replayed, programId]
+    );
+    await writeStoredStamps(userId, programId, merged);
+    await renumberCardCycles(userId, programId);
+    return merged;
+  };
+
+  // Counts the cards whose replay would come out differently with another
+  // card size: replays clamp at the size and a RESET closes a cycle only on
+  // a full card, so either the count or the cycles can move.
+  const countCardsChangedBySize = async (programId, stampCount) => {
+    const total = await getProgramTotal(programId);
+    const events = await allDb(
+      "SELECT id, userId, createdAt, eventType, delta FROM stamp_events WHERE programId = ? ORDER BY userId ASC, createdAt ASC, id ASC",
+      [programId]
+    );
+    const eventsByUser = new Map();
+    events.forEach((event) => {
+      if (!eventsByUser.has(event.userId)) {
+        eventsByUser.set(event.userId, []);
+      }
+      eventsByUser.get(event.userId).push(event);
+    });
+    const cycleIds = (cardEvents, size) =>
+      deriveCardCycles(cardEvents, size)
+        .map((cycle) => cycle.resetEventId)
+        .join(",");
+    return [...eventsByUser.values()].filter(
+      (cardEvents) =>
+        replayStampEvents(cardEvents, stampCount) !== replayStampEvents(cardEvents, total) ||
+        cycleIds(cardEvents, stampCount) !== cycleIds(cardEvents, total)
+    ).length;
+  };
+
+  const backfillCardCycles = async () =>
+    withTransaction(async () => {
+      const cards = await allDb(
+        "SELECT DISTINCT userId, programId FROM stamp_events WHERE eventType = 'RESET' AND id NOT IN (SELECT resetEventId FROM card_cycles WHERE resetEventId IS NOT NULL)"
+      );
+      for (const card of cards) {
+        await syncCardCycles(card.userId, card.programId);
+      }
+      return cards.length;
+    });
+
+  const listCardCycles = async (userId, programId = DEFAULT_PROGRAM_ID) =>
+    allDb(
+      "SELECT cycleNumber, startedAt, completedAt, stamps FROM card_cycles WHERE userId = ? AND programId = ? ORDER BY cycleNumber DESC",
+      [userId, programId]
+    );
+
+  // Lifetime sittings count every grant that was not later revoked,
+  // including those on cards that have since been reset.
+  const getLifetimeSummary = async (userId, programId = DEFAULT_PROGRAM_ID) => {
+    const row = await getDb(
+      "SELECT COALESCE(SUM(CASE eventType WHEN 'ADD' THEN 1 WHEN 'REVOKE' THEN -1 ELSE 0 END), 0) AS lifetimeStamps, (SELECT COUNT(*) FROM card_cycles WHERE userId = ? AND programId = ?) AS completedCycles FROM stamp_events WHERE userId = ? AND programId = ?",
+      [userId, programId, userId, programId]
+    );
+    return {
+      lifetimeStamps: Math.max(0, row.lifetimeStamps),
+      completedCycles: row.completedCycles,
+    };
+  };
+
+  return {
+    readStoredStamps,
+    writeStoredStamps,
+    countStampsFromLedger,
+    findStampDrift,
+    repairStampCounts,
+    syncCardCycles,
+    recordMergedStamps,
+    countCardsChangedBySize,
+    backfillCardCycles,
+    listCardCycles,
+    getLifetimeSummary,
+  };
+};
+
+module.exports = {
+  DEFAULT_PROGRAM_ID,
+  DEFAULT_STAMP_COUNT,
+  clampStamps,
+  replayStampEvents,
+  deriveCardCycles,
+  createStampLedger,
+};
@@ -0,0 +1,78 @@
+const DEFAULT_HEARTBEAT_MS = 25 * 1000;
+const DEFAULT_RETRY_MS = 3000;
+
+// Keeps one open Server-Sent Events response per browser tab, grouped by
+// user, and fans stamp changes out to every tab of that user. Each tab
+// remembers the language it was opened in so a change can be sent to it
+// already translated.
+const createStampStream = ({
+  heartbeatMs = DEFAULT_HEARTBEAT_MS,
+  retryMs = DEFAULT_RETRY_MS,
+} = {}) => {
+  const clients = new Map();
+
+  const write = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Named ping events (not comments) so the page can tell a silent stream
+  // from a dead one and fall back to polling.
+  const heartbeatTimer = setInterval(() => {
+    const time = new Date().toISOString();
+    clients.forEach((responses) => {
+      responses.forEach((locale, res) => write(res, "ping", { time }));
+    });
+  }, heartbeatMs);
+  heartbeatTimer.unref();
+
+  const subscribe = (req, res, userId, locale = null) => {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.write(`retry: ${retryMs}\n\n`);
+    if (!clients.has(userId)) {
+      clients.set(userId, new Map());
+    }
+    clients.get(userId).set(res, locale);
+    req.on("close", () => {
+      const responses = clients.get(userId);
+      if (!responses) {
+        return;
+      }
+      responses.delete(res);
+      if (!responses.size) {
+        clients.delete(userId);
+      }
+    });
+    return (event, data) => write(res, event, data);
+  };
+
+  const hasSubscribers = (userId) => clients.has(userId);
+
+  const listLocales = (userId) => [...new Set((clients.get(userId) || new Map()).values())];
+
+  // With a locale, only the tabs opened in that language receive the event.
+  const publish = (userId, event, data, locale) => {
+    const responses = clients.get(userId);
+    if (responses) {
+      responses.forEach((tabLocale, res) => {
+        if (locale === undefined || tabLocale === locale) {
+          write(res, event, data);
+        }
+      });
+    }
+  };
+
+  const close = () => {
+    clearInterval(heartbeatTimer);
+    clients.forEach((responses) => responses.forEach((locale, res) => res.end()));
+    clients.clear();
+  };
+
+  return { heartbeatMs, subscribe, hasSubscribers, listLocales, publish, close };
+};
+
+module.exports = { createStampStream };
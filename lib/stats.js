@@ -0,0 +1,170 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STATS_PERIODS = ["day", "week", "month"];
+const STATS_MAX_BUCKETS = 400;
+const DEFAULT_BUCKETS = { day: 30, week: 12, month: 12 };
+
+// users has no creation time of its own; the first login method stands in
+// for the registration date.
+const USER_REGISTERED_AT_SQL =
+  "(SELECT MIN(auth_identities.createdAt) FROM auth_identities WHERE auth_identities.userId = users.id)";
+
+// Buckets are in server local time, matching the YYYY-MM-DD filters. Weeks
+// start on Monday and are keyed by that Monday's date.
+const periodSql = (period, column) => {
+  if (period === "month") {
+    return `strftime('%Y-%m', ${column}, 'localtime')`;
+  }
+  if (period === "week") {
+    return `date(${column}, 'localtime', 'weekday 0', '-6 days')`;
+  }
+  return `date(${column}, 'localtime')`;
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+
+const formatLocalDate = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const startOfPeriod = (period, date) => {
+  if (period === "month") {
+    return new Date(date.getFullYear(), date.getMonth(), 1);
+  }
+  if (period === "week") {
+    const offset = (date.getDay() + 6) % 7;
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() - offset);
+  }
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+};
+
+const nextPeriod = (period, date) =>
+  period === "month"
+    ? new Date(date.getFullYear(), date.getMonth() + 1, 1)
+    : new Date(date.getFullYear(), date.getMonth(), date.getDate() + (period === "week" ? 7 : 1));
+
+const periodKey = (period, date) =>
+  period === "month" ? formatLocalDate(date).slice(0, 7) : formatLocalDate(date);
+
+// from and to are local midnights; to is inclusive. Without from, the range
+// covers the last DEFAULT_BUCKETS periods up to to (or today).
+const resolveStatsRange = ({ period = "day", from, to } = {}) => {
+  if (!STATS_PERIODS.includes(period)) {
+    return { error: "invalid_period" };
+  }
+  const now = new Date();
+  const end = to || new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  let start = from;
+  if (!start) {
+    start = startOfPeriod(period, end);
+    for (let index = 1; index < DEFAULT_BUCKETS[period]; index += 1) {
+      start = startOfPeriod(period, new Date(start.getTime() - DAY_MS));
+    }
+  }
+  if (start > end) {
+    return { error: "invalid_range" };
+  }
+  const keys = [];
+  for (
+    let cursor = startOfPeriod(period, start);
+    cursor <= end;
+    cursor = nextPeriod(period, cursor)
+  ) {
+    keys.push(periodKey(period, cursor));
+    if (keys.length > STATS_MAX_BUCKETS) {
+      return { error: "range_too_long" };
+    }
+  }
+  return {
+    period,
+    from: start,
+    to: new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1),
+    keys,
+  };
+};
+
+// Every key in the range appears once, with zeroes where nothing happened.
+const fillBuckets = (keys, rows, fields) => {
+  const byKey = new Map(rows.map((row) => [row.period, row]));
+  return keys.map((key) => {
+    const row = byKey.get(key) || {};
+    return fields.reduce(
+      (bucket, field) => ({ ...bucket, [field]: row[field] || 0 }),
+      { period: key }
+    );
+  });
+};
+
+const createStatsQueries = ({ allDb, getDb }) => {
+  const rangeParams = (range) => [range.from.toISOString(), range.to.toISOString()];
+
+  const stampsPerPeriod = async (range, programId) => {
+    const rows = await allDb(
+      `SELECT ${periodSql(range.period, "createdAt")} AS period, SUM(eventType = 'ADD') AS granted, SUM(eventType = 'REVOKE') AS revoked FROM stamp_events WHERE createdAt >= ? AND createdAt < ?${programId ? " AND programId = ?" : ""} GROUP BY period`,
+      [...rangeParams(range), ...(programId ? [programId] : [])]
+    );
+    return fillBuckets(range.keys, rows, ["granted", "revoked"]);
+  };
+
+  const completedCardsPerPeriod = async (range, programId) => {
+    const rows = await allDb(
+      `SELECT ${periodSql(range.period, "completedAt")} AS period, COUNT(*) AS completed FROM card_cycles WHERE completedAt >= ? AND completedAt < ?${programId ? " AND programId = ?" : ""} GROUP BY period`,
+      [...rangeParams(range), ...(programId ? [programId] : [])]
+    );
+    return fillBuckets(range.keys, rows, ["completed"]);
+  };
+
+  const signupsPerPeriod = async (range) => {
+    const rows = await allDb(
+      `SELECT ${periodSql(range.period, "registeredAt")} AS period, COUNT(*) AS signups FROM (SELECT ${USER_REGISTERED_AT_SQL} AS registeredAt FROM users) WHERE registeredAt >= ? AND registeredAt < ? GROUP BY period`,
+      rangeParams(range)
+    );
+    return fillBuckets(range.keys, rows, ["signups"]);
+  };
+
+  // Active members sat (were granted a stamp) within the last activeDays;
+  // lapsed members sat before that but not since.
+  const memberActivity = async ({ activeDays, programId }) => {
+    const since = new Date(Date.now() - activeDays * DAY_MS).toISOString();
+    const row = await getDb(
+      `SELECT COUNT(*) AS total, SUM(lastSatAt >= ?) AS active, SUM(lastSatAt < ?) AS lapsed, SUM(lastSatAt IS NULL) AS never FROM (SELECT (SELECT MAX(createdAt) FROM stamp_events WHERE stamp_events.userId = users.id AND eventType = 'ADD'${programId ? " AND programId = ?" : ""}) AS lastSatAt FROM users)`,
+      [...(programId ? [programId] : []), since, since]
+    );
+    return {
+      activeDays,
+      since,
+      total: row.total,
+      active: row.active || 0,
+      lapsed: row.lapsed || 0,
+      never: row.never || 0,
+    };
+  };
+
+  const stampDistribution = async (program) => {
+    const rows = await allDb(
+      program.isDefault
+        ? "SELECT MIN(MAX(stamps, 0), ?) AS stamps, COUNT(*) AS members FROM users GROUP BY 1"
+        : "SELECT MIN(MAX(stamps, 0), ?) AS stamps, COUNT(*) AS members FROM program_enrollments WHERE programId = ? GROUP BY 1",
+      program.isDefault ? [program.stampCount] : [program.stampCount, program.id]
+    );
+    const byStamps = new Map(rows.map((row) => [row.stamps, row.members]));
+    return Array.from({ length: program.stampCount + 1 }, (_, stamps) => ({
+      stamps,
+      members: byStamps.get(stamps) || 0,
+    }));
+  };
+
+  return {
+    stampsPerPeriod,
+    completedCardsPerPeriod,
+    signupsPerPeriod,
+    memberActivity,
+    stampDistribution,
+  };
+};
+
+module.exports = {
+  STATS_PERIODS,
+  formatLocalDate,
+  USER_REGISTERED_AT_SQL,
+  resolveStatsRange,
+  createStatsQueries,
+};
@@ -0,0 +1,595 @@
+// English. Keys mirror locales/ja.js; a key missing here shows the Japanese
+// message instead.
+module.exports = {
+  "app.title": "Zazen Stamp Card",
+
+  "common.back": "Back",
+  "common.all": "All",
+  "common.card": "Card",
+  "common.from": "From",
+  "common.to": "To",
+  "common.filter": "Filter",
+  "common.mailAddress": "Email address",
+  "common.username": "Username",
+  "common.description": "About you",
+  "common.job": "Occupation",
+  "common.hobbies": "Hobbies (comma-separated)",
+  "common.hobbiesPlaceholder": "e.g. weight training, zazen, reading",
+  "common.codePlaceholder": "6-digit code",
+  "common.toStampCard": "Go to stamp card",
+  "common.backToAdmin": "Back to admin",
+  "common.invalidCode": "The code is incorrect or has expired.",
+  "common.forbidden": "You do not have permission to view this page.",
+  "common.googleNotConfigured": "Google login is not configured.",
+  "common.loading": "Loading...",
+  "common.processing": "Working...",
+  "common.networkError": "Could not reach the server.",
+  "common.loadListFailed": "Could not load the list.",
+  "common.revokedSuffix": " (revoked)",
+
+  "role.member": "Member",
+  "role.staff": "Staff",
+  "role.owner": "Owner",
+
+  "event.type.ADD": "Stamp +1",
+  "event.type.REVOKE": "Stamp revoked",
+  "event.type.ADJUST": "Stamp count corrected",
+  "event.type.RESET": "Reset",
+  "event.reason.admin_grant": "granted by staff",
+  "event.reason.admin_bulk_grant": "bulk grant",
+  "event.reason.session_bulk_grant": "sitting attendance",
+  "event.reason.session_checkin": "sitting check-in",
+  "event.reason.member_import": "member import",
+  "event.reason.user_reset": "reward claimed",
+  "event.reason.user_merge": "account merge",
+  "event.reason.user_merge_duplicate": "account merge (same session recorded twice)",
+  "event.withDetail": "{label} ({detail})",
+
+  "csrf.title": "Form error",
+  "csrf.heading": "Your form could not be sent",
+  "csrf.message":
+    "The page has expired or the form was sent from another page. Reload the page and try again.",
+
+  "auth.signupLink": "New here? Sign up",
+  "auth.loginLink": "Log in",
+
+  "login.title": "Log in",
+  "login.subtitle": "Log in to see your stamps.",
+  "login.sendCode": "Send login code",
+  "login.or": "or",
+  "login.google": "Log in with Google",
+  "login.googleUnavailable": "Google login is not available yet",
+  "login.googleHelp": "Set GOOGLE_* in .env to enable it.",
+  "login.footer": "First time here? Please sign up.",
+  "login.error.invalid_link":
+    "The login link is invalid or has expired. Please send a new code.",
+  "login.error.invalid_mail": "Please enter an email address.",
+  "login.error.mail": "We could not send the email. Please try again later.",
+  "login.error.google": "Google login failed.",
+  "login.error.google_email_in_use":
+    "This email address is already registered. Log in with your email address, then link Google from your profile.",
+  "login.info.logged_out": "You have been logged out.",
+
+  "loginVerify.title": "Login code",
+  "loginVerify.heading": "Enter your login code",
+  "loginVerify.subtitle": "Enter the 6-digit code from the email, or open the link in it.",
+  "loginVerify.code": "Login code",
+  "loginVerify.submit": "Log in",
+  "loginVerify.footer":
+    "The code works once within {minutes} minutes. If it does not arrive, send it again from the login page.",
+  "loginVerify.info.code_sent": "If the address is registered, we have sent a login code to it.",
+  "loginVerify.info.signup_sent":
+    "We have emailed you a login code. Enter it below. If the address was already registered, you will log in to that account.",
+
+  "magicLink.title": "Confirm login",
+  "magicLink.subtitle": "Press the button below to log in. The link works only once.",
+  "magicLink.submit": "Log in",
+
+  "signup.title": "Sign up",
+  "signup.subtitle": "You can edit your profile later.",
+  "signup.usernamePlaceholder": "e.g. Honen",
+  "signup.descriptionPlaceholder": "Anything you like",
+  "signup.jobPlaceholder": "e.g. Monk",
+  "signup.submit": "Sign up and get a login code",
+  "signup.footer": "You can change your email address from your profile after signing up.",
+  "signup.required": "Username and email address are required.",
+
+  "profile.title": "Profile",
+  "profile.subtitle": "Edit the details of the member who is logged in.",
+  "profile.changeMail": "Change email address",
+  "profile.locale": "Language",
+  "profile.localeAuto": "Match my browser",
+  "profile.save": "Save",
+  "profile.footer": "Changing your email address requires a code sent to the new address.",
+  "profile.saved": "Saved.",
+  "profile.usernameRequired": "Username is required.",
+  "profile.mailLocked": "Use \"Change email address\" to change your email address.",
+  "profile.info.google_linked": "Your Google account has been linked.",
+  "profile.info.google_merged":
+    "The card of your Google account has been merged. Your stamp history is now on one card.",
+  "profile.info.google_already_linked": "This Google account is already linked.",
+  "profile.info.google_merge_cancelled": "The merge was cancelled. Your Google account was not linked.",
+  "profile.info.identity_unlinked": "The login method has been unlinked.",
+  "profile.info.mail_changed": "Your email address has been changed.",
+  "profile.error.last_identity": "You cannot unlink your last login method.",
+  "profile.error.identity_not_found": "The login method was not found.",
+  "profile.error.google_merge_expired":
+    "This merge can no longer be confirmed. Please link your Google account again.",
+  "profile.error.last_owner":
+    "The account to merge is the last owner and cannot be merged. Make another member an owner first.",
+
+  "identity.heading": "Login methods",
+  "identity.local": "Email ({mailAddress})",
+  "identity.unlink": "Unlink",
+  "identity.linkGoogle": "Link Google account",
+  "identity.googleDefaultName": "Google user",
+  "identity.help": "A login method cannot be unlinked while it is the only one.",
+
+  "account.heading": "Data and account",
+  "account.download": "Download my data",
+  "account.delete": "Delete account",
+  "account.help": "Download your profile, login methods and stamp history as a JSON file.",
+
+  "googleMerge.title": "Merge accounts",
+  "googleMerge.subtitle": "This Google account already has its own card.",
+  "googleMerge.source": "Account to merge: {name} ({stamps} stamps)",
+  "googleMerge.explain":
+    "Merging moves that account's stamps, history, completed cards and login methods to the account you are using, and deletes that account. This cannot be undone.",
+  "googleMerge.role": "You keep your current role ({role}); the role of the merged account is not carried over.",
+  "googleMerge.submit": "Merge",
+  "googleMerge.cancel": "Don't merge",
+
+  "deletion.title": "Delete account",
+  "deletion.subtitle":
+    "{days} days after you ask, we delete your profile, login methods and sessions. Until then you can keep using your account and cancel the deletion.",
+  "deletion.scheduled": "Your account will be deleted after {date}.",
+  "deletion.keepHistory": "Your stamp history will be kept anonymously for statistics.",
+  "deletion.dropHistory": "Your stamp history will be deleted too.",
+  "deletion.cancel": "Cancel deletion",
+  "deletion.keepHistoryLabel": "Keep my stamp history anonymously for statistics",
+  "deletion.confirmationLabel": "Type \"{word}\" to confirm",
+  "deletion.confirmationWord": "DELETE",
+  "deletion.submit": "Request deletion",
+  "deletion.footerBefore": "Before deleting, you can ",
+  "deletion.footerAfter": ". A deleted account cannot be restored.",
+  "deletion.info.deletion_requested":
+    "We have received your request. You can cancel it until the deletion date.",
+  "deletion.info.deletion_cancelled": "The deletion has been cancelled.",
+  "deletion.error.confirmation": "Type \"{word}\" to confirm.",
+  "deletion.error.last_owner":
+    "The last owner cannot be deleted. Make someone else an owner first.",
+  "deletion.error.already_requested": "You have already requested deletion.",
+  "deletion.error.not_requested": "There is no deletion request.",
+
+  "emailChange.title": "Change email address",
+  "emailChange.subtitle":
+    "We send a confirmation code to the new address. Entering the code completes the change, and we notify your previous address.",
+  "emailChange.current": "Current email address: {mailAddress}",
+  "emailChange.unset": "not set",
+  "emailChange.pending": "We sent a confirmation code to {mailAddress} (valid until {date}).",
+  "emailChange.code": "Confirmation code",
+  "emailChange.submit": "Change",
+  "emailChange.cancel": "Cancel the change",
+  "emailChange.newAddress": "New email address",
+  "emailChange.send": "Send confirmation code",
+  "emailChange.resend": "Send the code again",
+  "emailChange.footer": "After the change, email login also uses the new address.",
+  "emailChange.info.code_sent": "We sent a confirmation code. Enter the code from the email.",
+  "emailChange.info.cancelled": "The email address change has been cancelled.",
+  "emailChange.error.invalid_mail": "The email address is not valid.",
+  "emailChange.error.same_address": "This is your current email address.",
+  "emailChange.error.mail_taken": "This email address is used by another account.",
+  "emailChange.error.invalid_code": "The code is incorrect or has expired.",
+  "emailChange.error.not_requested": "There is no pending change.",
+  "emailChange.error.mail": "We could not send the email. Please try again later.",
+  "emailChange.error.too_many_attempts": "Too many attempts. Please try again later.",
+
+  "user.programTabs": "Cards",
+  "user.welcome": "Welcome, {name}{job}",
+  "user.jobSuffix": " ({job})",
+  "user.defaultName": "friend",
+  "user.admin": "Admin",
+  "user.profile": "Profile",
+  "user.logout": "Log out",
+  "user.deletionNotice": "This account will be deleted after {date}.",
+  "user.deletionCancel": "Cancel",
+  "user.ring": "Stamp progress ring",
+  "user.refresh": "Refresh",
+  "user.refreshing": "Refreshing...",
+  "user.refreshFailed": "Could not refresh.",
+  "user.resetFailed": "Could not reset the card.",
+  "user.checkin": "Sitting check-in",
+  "user.checkinSubmit": "Check in",
+  "user.checkinHint": "Enter the code shown at the venue, or scan the QR code.",
+  "user.checkinFailed": "Check-in failed.",
+  "user.checkedIn": "Checked in at {venue}.",
+  "user.lastUpdated": "Last updated: {time}",
+  "user.notUpdated": "Not yet",
+  "user.recent": "Latest 3",
+  "user.noEvents": "No history yet.",
+  "user.allHistory": "See full history",
+  "user.cycles": "Past cards",
+  "user.lifetime": "{stamps} sittings in total / {cycles} completed cards",
+  "user.noCycles": "No completed cards yet.",
+  "user.cycle": "Round {number}: {from} – {to} ({stamps} stamps)",
+  "user.cyclesFailed": "Could not load your past cards.",
+  "user.milestone": "You reached {count} stamps.",
+  "user.footer": "A card that records quiet, steady practice.",
+
+  "checkin.title": "Check-in",
+  "checkin.heading": "Sitting check-in",
+  "checkin.code": "Check-in code",
+  "checkin.submit": "Check in",
+  "checkin.footer": "Checking in adds one stamp for this sitting.",
+  "checkin.done": "Checked in. Current stamps ({program}): {stamps} / {total}",
+
+  "history.title": "Stamp history",
+  "history.subtitle": "Every check-in, grant, correction and reset.",
+  "history.back": "Back to stamp card",
+  "history.type": "Type",
+  "history.date": "Date",
+  "history.detail": "Details",
+  "history.session": "Sitting",
+  "history.more": "Load more",
+  "history.empty": "No matching history.",
+  "history.failed": "Could not load your history.",
+
+  "admin.title": "Admin stamp grants",
+  "admin.roster": "Members",
+  "admin.stats": "Statistics",
+  "admin.audit": "Audit log",
+  "admin.userId": "User ID",
+  "admin.grant": "Grant a stamp",
+  "admin.resultHint": "The result appears here after you submit.",
+  "admin.currentStamps": "Current stamps: {stamps} / {total}",
+  "admin.correction": "Revoke and correct",
+  "admin.showEvents": "Show history",
+  "admin.adjustStamps": "Corrected stamp count",
+  "admin.reason": "Reason",
+  "admin.reasonPlaceholder": "e.g. missed grant",
+  "admin.adjust": "Correct stamp count",
+  "admin.cardStamps": "Current stamps: {cards}",
+  "admin.cardStampsSeparator": ", ",
+  "admin.revoke": "Revoke",
+  "admin.revokePrompt": "Enter the reason for revoking.",
+  "admin.eventsFailed": "Could not load the history.",
+  "admin.revokeFailed": "Could not revoke the stamp.",
+  "admin.adjustFailed": "Could not correct the stamp count.",
+  "admin.sessions": "Sittings",
+  "admin.sessionDate": "Date",
+  "admin.startTime": "Start",
+  "admin.endTime": "End",
+  "admin.venue": "Venue",
+  "admin.venuePlaceholder": "e.g. Main hall",
+  "admin.createSession": "Create sitting",
+  "admin.loadSessions": "Load sittings",
+  "admin.showQr": "Show QR",
+  "admin.checkinOpen": " (open)",
+  "admin.checkinClosed": " (closed)",
+  "admin.nextRefresh": "Next refresh: {time}",
+  "admin.checkinCodeFailed": "Could not load the code.",
+  "admin.sessionsFailed": "Could not load the sittings.",
+  "admin.sessionCreateFailed": "Could not create the sitting.",
+  "admin.bulk": "Bulk grant",
+  "admin.bulkInput": "User IDs or email addresses (one per line, CSV allowed)",
+  "admin.csvFile": "CSV file",
+  "admin.bulkSession": "Sitting",
+  "admin.bulkNoSession": "Not linked to a sitting",
+  "admin.bulkProgram": "Card (the sitting's card when a sitting is selected)",
+  "admin.bulkSubmit": "Grant to all",
+  "admin.row": "Row",
+  "admin.input": "Input",
+  "admin.userIdColumn": "User ID",
+  "admin.resultColumn": "Result",
+  "admin.stampsColumn": "Stamps",
+  "admin.bulkFailed": "Could not grant the stamps.",
+  "admin.bulkStatus.granted": "Granted",
+  "admin.bulkStatus.at_cap": "Card already full",
+  "admin.bulkStatus.already_checked_in": "Already recorded for this sitting",
+  "admin.bulkStatus.duplicate": "Duplicate",
+  "admin.bulkStatus.unknown_user": "User not found",
+  "admin.summaryCount": "{label}: {count}",
+  "admin.programs": "Cards",
+  "admin.programName": "Name",
+  "admin.programNamePlaceholder": "e.g. Sutra copying",
+  "admin.stampCount": "Stamps",
+  "admin.milestones": "Celebrate at (comma-separated)",
+  "admin.milestonesPlaceholder": "e.g. 5,10",
+  "admin.rewardText": "Button when full",
+  "admin.rewardTextPlaceholder": "Claim your reward",
+  "admin.defaultProgramName": "Zazen sittings",
+  "admin.defaultRewardText": "Claim your reward",
+  "admin.saveProgram": "Save",
+  "admin.newProgram": "Enter as a new card",
+  "admin.enroll": "Enroll",
+  "admin.unenroll": "Unenroll",
+  "admin.programOption": "{name} ({count} stamps)",
+  "admin.programSummary": "{name} / {count} stamps",
+  "admin.programMilestones": " / celebrate at {milestones}",
+  "admin.programMilestonesSeparator": ", ",
+  "admin.programReward": " / when full: {reward}",
+  "admin.edit": "Edit",
+  "admin.programsFailed": "Could not load the cards.",
+  "admin.programSaveFailed": "Could not save.",
+  "admin.programSaved": "Saved \"{name}\".",
+  "admin.enrollFailed": "Could not change the enrollment.",
+  "admin.enrolled": "Enrolled.",
+  "admin.unenrolled": "Unenrolled.",
+  "admin.staff": "Staff",
+  "admin.role": "Role",
+  "admin.roleStaff": "Staff (grants stamps and runs sittings)",
+  "admin.roleOwner": "Owner (also manages staff)",
+  "admin.roleMember": "Member (removes the role)",
+  "admin.changeRole": "Change role",
+  "admin.removeRole": "Remove role",
+  "admin.roleChanged": "Role changed to \"{role}\".",
+  "admin.lastOwner": "At least one owner is required.",
+  "admin.userNotFound": "User not found.",
+  "admin.roleChangeFailed": "Could not change the role.",
+  "admin.staffFailed": "Could not load the staff list.",
+  "admin.staffMember": "{name} ({role})",
+  "admin.integrity": "Stamp count integrity",
+  "admin.integrityHelp": "Compares the stored stamp counts with the counts computed from the stamp history.",
+  "admin.integrityCheck": "Check",
+  "admin.integrityRepair": "Repair from history",
+  "admin.integrityUser": "User",
+  "admin.integrityStored": "Stored",
+  "admin.integrityLedger": "From history",
+  "admin.integrityChecking": "Checking...",
+  "admin.integrityIssues": "{issues} cards of {users} members do not match their history.",
+  "admin.integrityOk": "The stamp counts of all {users} members match their history.",
+  "admin.integrityFailed": "The check failed.",
+  "admin.integrityConfirm": "Overwrite the stamp counts with the values computed from history?",
+  "admin.integrityRepaired": "Repaired the stamp counts of {count} cards.",
+  "admin.integrityRepairFailed": "The repair failed.",
+  "admin.export": "Export data",
+  "admin.exportHelp":
+    "CSV files open directly in Excel (UTF-8 with BOM). The date range filters members by sign-up date and stamp history by record date.",
+  "admin.exportDataset": "Data",
+  "admin.exportProfiles": "Member profiles",
+  "admin.exportUsers": "Member stamps and roles",
+  "admin.exportEvents": "Stamp history",
+  "admin.exportFormat": "Format",
+  "admin.download": "Download",
+  "admin.import": "Import members",
+  "admin.importHelp":
+    "Imports a CSV whose first row has the headers username, mailAddress, job, hobbies and stamps (optional, starting stamps). Check it first and import after reviewing the result.",
+  "admin.importPlaceholder": "username,mailAddress,job,hobbies,stamps\nTaro Yamada,taro@example.com,Office worker,Reading,3",
+  "admin.importExisting": "Registered email addresses",
+  "admin.importSkip": "Do not import",
+  "admin.importUpdate": "Overwrite name, occupation and hobbies",
+  "admin.importPreview": "Check",
+  "admin.importApply": "Import",
+  "admin.importName": "Name",
+  "admin.importDetail": "Details",
+  "admin.importStatus.created": "New member",
+  "admin.importStatus.updated": "Overwritten",
+  "admin.importStatus.unchanged": "Unchanged",
+  "admin.importStatus.skipped": "Already registered, not imported",
+  "admin.importStatus.duplicate": "Duplicate in CSV",
+  "admin.importStatus.invalid": "Error",
+  "admin.importError.missing_username": "Name is missing",
+  "admin.importError.invalid_mail": "Email address is not valid",
+  "admin.importError.invalid_stamps": "Stamp count is not valid",
+  "admin.importErrorSeparator": ", ",
+  "admin.importInitialStamps": "Starting with {count} stamps",
+  "admin.importChanged": "The input has changed. Please check it again.",
+  "admin.importFailed": "The import failed.",
+  "admin.importPreviewed": "Check result (nothing imported yet): {summary}",
+  "admin.imported": "Imported: {summary}",
+  "admin.importCount": "{label} {count}",
+  "admin.backup": "Backups",
+  "admin.backupScheduled":
+    "Created automatically every {hours} hours; the newest {keep} are kept.",
+  "admin.backupManual": "Automatic backups are off; the newest {keep} are kept.",
+  "admin.backupRestoreBefore": " To restore, stop the server and run ",
+  "admin.backupRestoreAfter": ".",
+  "admin.backupCreate": "Create now",
+  "admin.showList": "Show list",
+  "admin.backupFile": "File",
+  "admin.backupCreatedAt": "Created",
+  "admin.backupSize": "Size",
+  "admin.backupEmpty": "No backups yet.",
+  "admin.backupCreating": "Creating...",
+  "admin.backupCreated": "Created {file}.",
+  "admin.backupFailed": "Could not create the backup.",
+  "admin.lockouts": "Locked accounts and IP addresses",
+  "admin.lockoutsHelp":
+    "After {max} attempts per account or {ipMax} per IP address within {window} minutes, access is locked for {lockout} minutes.",
+  "admin.lockoutScopeColumn": "Scope",
+  "admin.lockoutKindColumn": "Kind",
+  "admin.lockoutSubjectColumn": "Account / IP",
+  "admin.lockoutHitsColumn": "Attempts",
+  "admin.lockoutUntilColumn": "Locked until",
+  "admin.lockoutScope.login": "Login",
+  "admin.lockoutScope.login_code": "Login code requests",
+  "admin.lockoutScope.signup": "Sign-up",
+  "admin.lockoutScope.checkin": "Check-in",
+  "admin.lockoutScope.email_change": "Email change",
+  "admin.lockoutScope.admin": "Admin pages",
+  "admin.lockoutKind.ip": "IP address",
+  "admin.lockoutKind.account": "Account",
+  "admin.unlock": "Unlock",
+  "admin.unlocked": "Unlocked {subject}.",
+  "admin.unlockFailed": "Could not unlock.",
+  "admin.lockoutsEmpty": "No accounts or IP addresses are locked.",
+  "admin.footer": "Grants stamps and runs sitting check-ins through the admin API.",
+
+  "roster.subtitle": "Search by name or email address and grant stamps on the spot.",
+  "roster.searchPlaceholder": "Name / email address",
+  "roster.search": "Search",
+  "roster.name": "Name",
+  "roster.mail": "Email",
+  "roster.stamps": "Stamps",
+  "roster.lastEvent": "Last record",
+  "roster.prev": "Previous",
+  "roster.next": "Next",
+  "roster.grant": "+1 stamp",
+  "roster.unnamed": "(not set)",
+  "roster.granted": "Granted a stamp to {name}.",
+  "roster.grantFailed": "Could not grant the stamp.",
+  "roster.pageInfo": "Page {page} / {lastPage} ({total} members)",
+  "roster.empty": "No matching members.",
+  "roster.failed": "Could not load the members.",
+
+  "stats.subtitle": "Summarizes attendance from the stamp history. Days follow the server's clock.",
+  "stats.period": "Period",
+  "stats.day": "Day",
+  "stats.week": "Week (from Monday)",
+  "stats.month": "Month",
+  "stats.activeDays": "Days a member counts as active",
+  "stats.submit": "Show",
+  "stats.members": "Members",
+  "stats.stamps": "Stamps granted",
+  "stats.cycles": "Completed cards",
+  "stats.signups": "Sign-ups",
+  "stats.distribution": "Current stamp distribution",
+  "stats.loading": "Calculating...",
+  "stats.memberSummary":
+    "{total} members / {active} active / {lapsed} lapsed / {never} never attended (based on the last {days} days)",
+  "stats.granted": "{count} stamps",
+  "stats.revoked": " ({count} revoked)",
+  "stats.cards": "{count} cards",
+  "stats.people": "{count} members",
+  "stats.defaultProgramNote": "Stamp counts on the standard card.",
+  "stats.range": "{from} – {to}",
+  "stats.failed": "Could not calculate the statistics.",
+
+  "audit.subtitle": "Records of stamp grants, resets, profile edits, role changes and more.",
+  "audit.actor": "Actor (ID / name / email)",
+  "audit.target": "Target user (ID / name / email)",
+  "audit.action": "Action",
+  "audit.actorColumn": "Actor",
+  "audit.targetColumn": "Target",
+  "audit.stamps": "Stamps",
+  "audit.details": "Details",
+  "audit.source": "Source",
+  "audit.empty": "No matching records.",
+  "audit.failed": "Could not load the audit log.",
+  "audit.action.stamp_grant": "Stamp grant",
+  "audit.action.stamp_reset": "Reset",
+  "audit.action.profile_update": "Profile edit",
+  "audit.action.role_change": "Role change",
+  "audit.action.user_merge": "Account merge",
+  "audit.action.stamp_revoke": "Stamp revoke",
+  "audit.action.stamp_adjust": "Stamp correction",
+  "audit.action.stamp_repair": "Stamp repair",
+  "audit.action.sessions_revoke": "Sessions revoked",
+  "audit.action.zazen_session_create": "Sitting created",
+  "audit.action.program_create": "Card created",
+  "audit.action.program_update": "Card changed",
+  "audit.action.program_enroll": "Card enrollment",
+  "audit.action.program_unenroll": "Card unenrollment",
+  "audit.action.data_export": "Data export",
+  "audit.action.backup_create": "Backup created",
+  "audit.action.backup_download": "Backup download",
+  "audit.action.member_import": "Member import",
+  "audit.action.personal_data_export": "Personal data export",
+  "audit.action.account_delete_request": "Deletion requested",
+  "audit.action.account_delete_cancel": "Deletion cancelled",
+  "audit.action.account_delete": "Account deleted",
+  "audit.action.lockout_clear": "Lockout cleared",
+  "audit.action.mail_change": "Email change",
+
+  "mail.login.subject": "[Zazen Stamp Card] Login code",
+  "mail.login.text":
+    "Login code: {code}\n\nYou can also log in by opening this link:\n{magicLink}\n\nThe code and link work once within {minutes} minutes.\nIf you did not ask for this, please ignore this email.",
+  "mail.emailChangeCode.subject": "[Zazen Stamp Card] Confirmation code for your new email address",
+  "mail.emailChangeCode.text":
+    "Confirmation code: {code}\n\nEnter this code under \"Change email address\" on your profile to switch to this address.\nThe code is valid for {minutes} minutes.\nIf you did not ask for this, please ignore this email.",
+  "mail.emailChanged.subject": "[Zazen Stamp Card] Your email address has been changed",
+  "mail.emailChanged.text":
+    "The email address of your account has been changed to {mailAddress}.\nLogin codes and notices will now go to the new address.\n\nIf you did not do this, please contact the organizers.",
+  "mail.deletion.subject": "[Zazen Stamp Card] Account deletion request",
+  "mail.deletion.text":
+    "We have received your request to delete your account.\nYour profile and login methods will be deleted after {date}.\n{history}\n\nUntil then you can log in and cancel from your profile.\nIf you did not ask for this, log in and cancel right away.",
+
+  "errors.invalid_csrf_token":
+    "The page has expired or the form was sent from another page. Reload the page and try again.",
+  "errors.too_many_attempts": "Too many attempts. Please try again later.",
+  "errors.unauthorized": "Please log in.",
+  "errors.forbidden": "You do not have permission to do this.",
+  "errors.user_mismatch": "This is not the member who is logged in.",
+  "errors.user_not_found": "User not found.",
+  "errors.user_load_failed": "Failed to load user.",
+  "errors.stream_open_failed": "Failed to open stamp stream.",
+  "errors.personal_data_export_failed": "Failed to export personal data.",
+  "errors.cycles_load_failed": "Failed to load card cycles.",
+  "errors.invalid_event_type": "type must be a comma-separated list of ADD, REVOKE, ADJUST, RESET.",
+  "errors.invalid_cursor": "Invalid cursor.",
+  "errors.history_load_failed": "Failed to load stamp history.",
+  "errors.user_id_required": "userId is required.",
+  "errors.program_not_found": "Program not found.",
+  "errors.session_not_found": "Session not found.",
+  "errors.stamp_grant_failed": "Failed to update stamp.",
+  "errors.bulk_input_required": "identifiers or csv is required.",
+  "errors.too_many_rows": "At most {max} rows can be granted at once.",
+  "errors.bulk_grant_failed": "Failed to grant stamps.",
+  "errors.invalid_import_mode": "mode must be skip or update.",
+  "errors.missing_columns": "CSV must have a header row with username and mailAddress.",
+  "errors.no_rows": "CSV has no member rows.",
+  "errors.too_many_import_rows": "Import at most {max} rows at a time.",
+  "errors.import_failed": "Failed to import members.",
+  "errors.programs_load_failed": "Failed to load programs.",
+  "errors.name_required": "name is required.",
+  "errors.invalid_program_text": "name and rewardText must be strings.",
+  "errors.invalid_stamp_count": "stampCount must be an integer from 1 to {max}.",
+  "errors.program_create_failed": "Failed to create program.",
+  "errors.stamp_count_in_use":
+    "The stamp count cannot change because it would alter the stamps or completed cards of {cards} member(s). Create a new card instead.",
+  "errors.program_update_failed": "Failed to update program.",
+  "errors.default_program": "Every user is enrolled in the default program.",
+  "errors.enrollment_update_failed": "Failed to update enrollment.",
+  "errors.events_load_failed": "Failed to load stamp events.",
+  "errors.invalid_reason": "reason must be a string.",
+  "errors.reason_required": "reason is required.",
+  "errors.stamp_event_not_found": "Stamp event not found.",
+  "errors.not_revocable": "Only stamp grants since the last reset can be revoked.",
+  "errors.already_revoked": "Stamp event is already revoked.",
+  "errors.stamp_count_unchanged": "Stamp count is unchanged.",
+  "errors.revoke_failed": "Failed to revoke stamp.",
+  "errors.invalid_stamps": "stamps must be an integer from 0 to {max}.",
+  "errors.adjust_failed": "Failed to adjust stamps.",
+  "errors.invalid_merge_users": "sourceUserId and targetUserId must be two different users.",
+  "errors.merge_failed": "Failed to merge users.",
+  "errors.users_load_failed": "Failed to load users.",
+  "errors.invalid_date": "from and to must be YYYY-MM-DD.",
+  "errors.invalid_period": "period must be day, week or month.",
+  "errors.invalid_range": "from must not be after to.",
+  "errors.range_too_long": "Too many periods in range; choose a longer period or a shorter range.",
+  "errors.stamp_stats_failed": "Failed to load stamp statistics.",
+  "errors.cycle_stats_failed": "Failed to load card cycle statistics.",
+  "errors.signup_stats_failed": "Failed to load signup statistics.",
+  "errors.invalid_active_days": "activeDays must be an integer from 1 to 365.",
+  "errors.member_stats_failed": "Failed to load member statistics.",
+  "errors.distribution_failed": "Failed to load stamp distribution.",
+  "errors.audit_load_failed": "Failed to load audit logs.",
+  "errors.staff_load_failed": "Failed to load staff.",
+  "errors.integrity_check_failed": "Failed to check stamp integrity.",
+  "errors.repair_failed": "Failed to repair stamp counts.",
+  "errors.unknown_dataset": "Unknown export dataset.",
+  "errors.invalid_export_format": "format must be csv or json.",
+  "errors.export_failed": "Failed to export data.",
+  "errors.backups_load_failed": "Failed to load backups.",
+  "errors.backup_create_failed": "Failed to create backup.",
+  "errors.backup_not_found": "Backup not found.",
+  "errors.backup_download_failed": "Failed to download backup.",
+  "errors.lockouts_load_failed": "Failed to load lockouts.",
+  "errors.lockout_fields_required": "scope, kind and subject are required.",
+  "errors.lockout_not_found": "Lockout not found.",
+  "errors.lockout_clear_failed": "Failed to clear lockout.",
+  "errors.invalid_role": "role must be one of member, staff, owner.",
+  "errors.last_owner": "At least one owner is required.",
+  "errors.role_change_failed": "Failed to change role.",
+  "errors.sessions_revoke_failed": "Failed to revoke sessions.",
+  "errors.sessions_load_failed": "Failed to load sessions.",
+  "errors.session_fields_required": "date, startTime, endTime and venue are required.",
+  "errors.session_create_failed": "Failed to create session.",
+  "errors.checkin_code_failed": "Failed to create check-in code.",
+  "errors.invalid_checkin_code": "Invalid check-in code.",
+  "errors.session_closed": "Check-in is not open for this session.",
+  "errors.already_checked_in": "Already checked in.",
+  "errors.checkin_failed": "Failed to check in.",
+  "errors.not_enrolled": "Not enrolled in this program.",
+  "errors.reset_failed": "Failed to reset stamps.",
+};
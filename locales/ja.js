@@ -0,0 +1,597 @@
+// Japanese, the default language. Keys are grouped by screen; "{name}" is
+// replaced with the value passed as name. Keys missing from another
+// language fall back to these.
+module.exports = {
+  "app.title": "坐禅会スタンプカード",
+
+  "common.back": "戻る",
+  "common.all": "すべて",
+  "common.card": "カード",
+  "common.from": "開始日",
+  "common.to": "終了日",
+  "common.filter": "絞り込む",
+  "common.mailAddress": "メールアドレス",
+  "common.username": "ユーザー名",
+  "common.description": "ひとこと",
+  "common.job": "お仕事",
+  "common.hobbies": "趣味（カンマ区切り）",
+  "common.hobbiesPlaceholder": "例: 筋トレ, 坐禅, 読書",
+  "common.codePlaceholder": "6桁のコード",
+  "common.toStampCard": "スタンプカードへ",
+  "common.backToAdmin": "管理者画面へ戻る",
+  "common.invalidCode": "コードが正しくないか、有効期限が切れています。",
+  "common.forbidden": "権限がありません。",
+  "common.googleNotConfigured": "Googleログインは設定されていません。",
+  "common.loading": "読み込み中...",
+  "common.processing": "処理中...",
+  "common.networkError": "通信に失敗しました。",
+  "common.loadListFailed": "一覧の取得に失敗しました。",
+  "common.revokedSuffix": "（取り消し済み）",
+
+  "role.member": "一般",
+  "role.staff": "スタッフ",
+  "role.owner": "オーナー",
+
+  "event.type.ADD": "スタンプ +1",
+  "event.type.REVOKE": "スタンプ取り消し",
+  "event.type.ADJUST": "スタンプ数の修正",
+  "event.type.RESET": "リセット",
+  "event.reason.admin_grant": "管理者付与",
+  "event.reason.admin_bulk_grant": "まとめて付与",
+  "event.reason.session_bulk_grant": "坐禅会の出席",
+  "event.reason.session_checkin": "坐禅会チェックイン",
+  "event.reason.member_import": "名簿の取り込み",
+  "event.reason.user_reset": "果報をうける",
+  "event.reason.user_merge": "アカウント統合",
+  "event.reason.user_merge_duplicate": "アカウント統合（同じ坐禅会の重複）",
+  "event.withDetail": "{label}（{detail}）",
+
+  "csrf.title": "送信エラー",
+  "csrf.heading": "送信できませんでした",
+  "csrf.message":
+    "画面の有効期限が切れたか、別の画面から送信されました。画面を開き直してからもう一度お試しください。",
+
+  "auth.signupLink": "新規登録はこちら",
+  "auth.loginLink": "ログインはこちら",
+
+  "login.title": "ログイン",
+  "login.subtitle": "ログインしてスタンプ状況を確認します。",
+  "login.sendCode": "ログインコードを送る",
+  "login.or": "または",
+  "login.google": "Googleでログイン",
+  "login.googleUnavailable": "Googleログインは準備中",
+  "login.googleHelp": ".env の GOOGLE_* を設定すると有効になります。",
+  "login.footer": "はじめての方は新規登録を行ってください。",
+  "login.error.invalid_link":
+    "ログインリンクが無効か、有効期限が切れています。もう一度コードを送信してください。",
+  "login.error.invalid_mail": "メールアドレスを入力してください。",
+  "login.error.mail": "メールの送信に失敗しました。時間をおいて再度お試しください。",
+  "login.error.google": "Googleログインに失敗しました。",
+  "login.error.google_email_in_use":
+    "このメールアドレスはすでに登録されています。メールアドレスでログインしてから、プロフィール画面で Google を連携してください。",
+  "login.info.logged_out": "ログアウトしました。",
+
+  "loginVerify.title": "ログインコード",
+  "loginVerify.heading": "ログインコードの入力",
+  "loginVerify.subtitle":
+    "メールに記載された 6 桁のコードを入力するか、メール内のリンクを開いてください。",
+  "loginVerify.code": "ログインコード",
+  "loginVerify.submit": "ログイン",
+  "loginVerify.footer":
+    "コードは {minutes} 分間、1 回だけ使えます。届かない場合はログイン画面からもう一度送信してください。",
+  "loginVerify.info.code_sent": "登録済みのメールアドレスであれば、ログインコードを送信しました。",
+  "loginVerify.info.signup_sent":
+    "ログインコードをメールで送信しました。届いたコードを入力してください。すでに登録済みのアドレスの場合は、これまでのアカウントにログインします。",
+
+  "magicLink.title": "ログインの確認",
+  "magicLink.subtitle": "下のボタンを押すとログインします。リンクは 1 回だけ使えます。",
+  "magicLink.submit": "ログインする",
+
+  "signup.title": "新規登録",
+  "signup.subtitle": "プロフィールは後から編集できます。",
+  "signup.usernamePlaceholder": "例: 法然",
+  "signup.descriptionPlaceholder": "自由に記入してください",
+  "signup.jobPlaceholder": "例: 僧侶",
+  "signup.submit": "登録してログインコードを受け取る",
+  "signup.footer": "メールアドレスは登録後にプロフィール画面から変更できます。",
+  "signup.required": "ユーザー名とメールアドレスは必須です。",
+
+  "profile.title": "プロフィール",
+  "profile.subtitle": "ログイン中ユーザーの情報を編集します。",
+  "profile.changeMail": "メールアドレスを変更する",
+  "profile.locale": "表示言語",
+  "profile.localeAuto": "ブラウザの設定に合わせる",
+  "profile.save": "保存",
+  "profile.footer":
+    "メールアドレスを変更するときは、新しいアドレスに届く確認コードで本人確認を行います。",
+  "profile.saved": "保存しました。",
+  "profile.usernameRequired": "ユーザー名は必須です。",
+  "profile.mailLocked": "メールアドレスは「メールアドレスを変更する」から変更してください。",
+  "profile.info.google_linked": "Googleアカウントを連携しました。",
+  "profile.info.google_merged":
+    "Googleアカウントのカードを統合しました。スタンプ履歴は 1 枚のカードにまとまります。",
+  "profile.info.google_already_linked": "このGoogleアカウントはすでに連携済みです。",
+  "profile.info.google_merge_cancelled": "統合を取りやめました。Googleアカウントは連携していません。",
+  "profile.info.identity_unlinked": "連携を解除しました。",
+  "profile.info.mail_changed": "メールアドレスを変更しました。",
+  "profile.error.last_identity": "最後のログイン方法は解除できません。",
+  "profile.error.identity_not_found": "連携が見つかりませんでした。",
+  "profile.error.google_merge_expired":
+    "統合の確認が無効になりました。もう一度Googleアカウントと連携してください。",
+  "profile.error.last_owner":
+    "統合するアカウントは最後のオーナーのため統合できません。先に別のユーザーをオーナーにしてください。",
+
+  "identity.heading": "ログイン方法",
+  "identity.local": "メール（{mailAddress}）",
+  "identity.unlink": "連携解除",
+  "identity.linkGoogle": "Googleアカウントと連携",
+  "identity.googleDefaultName": "Googleユーザー",
+  "identity.help": "ログイン方法が 1 つだけのときは解除できません。",
+
+  "account.heading": "データとアカウント",
+  "account.download": "データをダウンロード",
+  "account.delete": "アカウントの削除",
+  "account.help": "プロフィール・ログイン方法・スタンプ履歴を JSON ファイルでダウンロードできます。",
+
+  "googleMerge.title": "アカウントの統合",
+  "googleMerge.subtitle": "このGoogleアカウントには別のカードがあります。",
+  "googleMerge.source": "統合するアカウント: {name}（スタンプ {stamps} 個）",
+  "googleMerge.explain":
+    "統合すると、そのアカウントのスタンプ・履歴・これまでのカード・ログイン方法がいまのアカウントに移り、そのアカウントは削除されます。元に戻すことはできません。",
+  "googleMerge.role": "権限はいまのアカウントの「{role}」のままで、統合するアカウントの権限は引き継ぎません。",
+  "googleMerge.submit": "統合する",
+  "googleMerge.cancel": "統合しない",
+
+  "deletion.title": "アカウントの削除",
+  "deletion.subtitle":
+    "お申し込みから {days} 日後に、プロフィール・ログイン方法・ログイン中のセッションを削除します。それまではこれまでどおり利用でき、取り消すこともできます。",
+  "deletion.scheduled": "{date} 以降に削除します。",
+  "deletion.keepHistory": "スタンプ履歴は個人が分からない形で統計用に残します。",
+  "deletion.dropHistory": "スタンプ履歴もあわせて削除します。",
+  "deletion.cancel": "削除を取り消す",
+  "deletion.keepHistoryLabel": "スタンプ履歴を個人が分からない形で統計用に残す",
+  "deletion.confirmationLabel": "確認のため「{word}」と入力してください",
+  "deletion.confirmationWord": "削除",
+  "deletion.submit": "削除を申し込む",
+  "deletion.footerBefore": "削除の前に ",
+  "deletion.footerAfter": " しておくことができます。削除後は元に戻せません。",
+  "deletion.info.deletion_requested": "削除を受け付けました。期日までは取り消すことができます。",
+  "deletion.info.deletion_cancelled": "削除を取り消しました。",
+  "deletion.error.confirmation": "確認のため「{word}」と入力してください。",
+  "deletion.error.last_owner":
+    "最後のオーナーは削除できません。先に別のオーナーを任命してください。",
+  "deletion.error.already_requested": "すでに削除を申し込んでいます。",
+  "deletion.error.not_requested": "削除の申し込みはありません。",
+
+  "emailChange.title": "メールアドレスの変更",
+  "emailChange.subtitle":
+    "新しいメールアドレスに確認コードを送ります。コードを入力すると変更が完了し、これまでのアドレスにもお知らせします。",
+  "emailChange.current": "現在のメールアドレス: {mailAddress}",
+  "emailChange.unset": "未設定",
+  "emailChange.pending": "{mailAddress} に確認コードを送りました（{date} まで有効）。",
+  "emailChange.code": "確認コード",
+  "emailChange.submit": "変更する",
+  "emailChange.cancel": "変更を取り消す",
+  "emailChange.newAddress": "新しいメールアドレス",
+  "emailChange.send": "確認コードを送る",
+  "emailChange.resend": "確認コードを送り直す",
+  "emailChange.footer": "変更すると、メールでログインするときも新しいアドレスを使います。",
+  "emailChange.info.code_sent": "確認コードを送りました。メールに記載されたコードを入力してください。",
+  "emailChange.info.cancelled": "メールアドレスの変更を取り消しました。",
+  "emailChange.error.invalid_mail": "メールアドレスの形式が正しくありません。",
+  "emailChange.error.same_address": "現在のメールアドレスと同じです。",
+  "emailChange.error.mail_taken": "このメールアドレスは別のアカウントで使われています。",
+  "emailChange.error.invalid_code": "コードが正しくないか、有効期限が切れています。",
+  "emailChange.error.not_requested": "変更の申し込みはありません。",
+  "emailChange.error.mail": "メールの送信に失敗しました。時間をおいて再度お試しください。",
+  "emailChange.error.too_many_attempts":
+    "試行回数が上限に達しました。しばらくしてからもう一度お試しください。",
+
+  "user.programTabs": "カードの種類",
+  "user.welcome": "ようこそ {name}{job}",
+  "user.jobSuffix": "（{job}）",
+  "user.defaultName": "利用者",
+  "user.admin": "管理",
+  "user.profile": "プロフィール",
+  "user.logout": "ログアウト",
+  "user.deletionNotice": "このアカウントは {date} 以降に削除されます。",
+  "user.deletionCancel": "取り消す",
+  "user.ring": "スタンプ進捗リング",
+  "user.refresh": "更新",
+  "user.refreshing": "更新中...",
+  "user.refreshFailed": "更新に失敗しました。",
+  "user.resetFailed": "リセットに失敗しました。",
+  "user.checkin": "坐禅会チェックイン",
+  "user.checkinSubmit": "チェックイン",
+  "user.checkinHint": "会場に表示されたコードを入力するか、QRコードを読み取ってください。",
+  "user.checkinFailed": "チェックインに失敗しました。",
+  "user.checkedIn": "{venue} にチェックインしました。",
+  "user.lastUpdated": "最終更新: {time}",
+  "user.notUpdated": "未更新",
+  "user.recent": "直近3件",
+  "user.noEvents": "履歴はまだありません。",
+  "user.allHistory": "すべての履歴を見る",
+  "user.cycles": "これまでのカード",
+  "user.lifetime": "通算 {stamps} 回の坐禅 / 満了したカード {cycles} 枚",
+  "user.noCycles": "満了したカードはまだありません。",
+  "user.cycle": "第{number}巡 {from} 〜 {to}（{stamps}個）",
+  "user.cyclesFailed": "これまでのカードを取得できませんでした。",
+  "user.milestone": "{count}個到達しました。",
+  "user.footer": "静かな積み重ねを記録するカードです。",
+
+  "checkin.title": "チェックイン",
+  "checkin.heading": "坐禅会チェックイン",
+  "checkin.code": "チェックインコード",
+  "checkin.submit": "チェックインする",
+  "checkin.footer": "チェックインすると、その坐禅会のスタンプが 1 つ押されます。",
+  "checkin.done": "チェックインしました。現在のスタンプ数（{program}）: {stamps} / {total}",
+
+  "history.title": "スタンプ履歴",
+  "history.subtitle": "これまでのチェックイン・付与・修正・リセットをすべて表示します。",
+  "history.back": "スタンプカードへ戻る",
+  "history.type": "種類",
+  "history.date": "日時",
+  "history.detail": "内容",
+  "history.session": "坐禅会",
+  "history.more": "さらに読み込む",
+  "history.empty": "該当する履歴はありません。",
+  "history.failed": "履歴の取得に失敗しました。",
+
+  "admin.title": "管理者スタンプ付与",
+  "admin.roster": "参加者一覧",
+  "admin.stats": "集計",
+  "admin.audit": "操作履歴",
+  "admin.userId": "対象ユーザーID",
+  "admin.grant": "スタンプを付与する",
+  "admin.resultHint": "入力を送信すると結果が表示されます。",
+  "admin.currentStamps": "現在のスタンプ数: {stamps} / {total}",
+  "admin.correction": "取り消し・修正",
+  "admin.showEvents": "履歴を表示",
+  "admin.adjustStamps": "修正後のスタンプ数",
+  "admin.reason": "理由",
+  "admin.reasonPlaceholder": "例: 付与漏れ",
+  "admin.adjust": "スタンプ数を修正する",
+  "admin.cardStamps": "現在のスタンプ数: {cards}",
+  "admin.cardStampsSeparator": "、",
+  "admin.revoke": "取り消す",
+  "admin.revokePrompt": "取り消しの理由を入力してください。",
+  "admin.eventsFailed": "履歴の取得に失敗しました。",
+  "admin.revokeFailed": "取り消しに失敗しました。",
+  "admin.adjustFailed": "修正に失敗しました。",
+  "admin.sessions": "坐禅会",
+  "admin.sessionDate": "開催日",
+  "admin.startTime": "開始",
+  "admin.endTime": "終了",
+  "admin.venue": "会場",
+  "admin.venuePlaceholder": "例: 本堂",
+  "admin.createSession": "坐禅会を作成する",
+  "admin.loadSessions": "坐禅会一覧を読み込む",
+  "admin.showQr": "QRを表示",
+  "admin.checkinOpen": "（受付中）",
+  "admin.checkinClosed": "（受付時間外）",
+  "admin.nextRefresh": "次の更新: {time}",
+  "admin.checkinCodeFailed": "コードの取得に失敗しました。",
+  "admin.sessionsFailed": "坐禅会一覧の取得に失敗しました。",
+  "admin.sessionCreateFailed": "坐禅会の作成に失敗しました。",
+  "admin.bulk": "まとめて付与",
+  "admin.bulkInput": "ユーザーIDまたはメールアドレス（1行に1件、CSV可）",
+  "admin.csvFile": "CSVファイル",
+  "admin.bulkSession": "坐禅会",
+  "admin.bulkNoSession": "坐禅会に紐づけない",
+  "admin.bulkProgram": "カード（坐禅会を選んだ場合はその坐禅会のカード）",
+  "admin.bulkSubmit": "まとめて付与する",
+  "admin.row": "行",
+  "admin.input": "入力",
+  "admin.userIdColumn": "ユーザーID",
+  "admin.resultColumn": "結果",
+  "admin.stampsColumn": "スタンプ",
+  "admin.bulkFailed": "付与に失敗しました。",
+  "admin.bulkStatus.granted": "付与しました",
+  "admin.bulkStatus.at_cap": "すでに満了",
+  "admin.bulkStatus.already_checked_in": "この坐禅会は記録済み",
+  "admin.bulkStatus.duplicate": "重複",
+  "admin.bulkStatus.unknown_user": "ユーザーが見つかりません",
+  "admin.summaryCount": "{label}: {count}件",
+  "admin.programs": "カードの種類",
+  "admin.programName": "名前",
+  "admin.programNamePlaceholder": "例: 写経会",
+  "admin.stampCount": "スタンプ数",
+  "admin.milestones": "演出を出す個数（カンマ区切り）",
+  "admin.milestonesPlaceholder": "例: 5,10",
+  "admin.rewardText": "満了時のボタン",
+  "admin.rewardTextPlaceholder": "果報をうける",
+  "admin.defaultProgramName": "坐禅会",
+  "admin.defaultRewardText": "果報をうける",
+  "admin.saveProgram": "保存する",
+  "admin.newProgram": "新しいカードとして入力",
+  "admin.enroll": "参加登録する",
+  "admin.unenroll": "登録を外す",
+  "admin.programOption": "{name}（{count}個）",
+  "admin.programSummary": "{name} / {count}個",
+  "admin.programMilestones": " / 演出: {milestones}個",
+  "admin.programMilestonesSeparator": "・",
+  "admin.programReward": " / 満了時: {reward}",
+  "admin.edit": "編集",
+  "admin.programsFailed": "カードの種類を取得できませんでした。",
+  "admin.programSaveFailed": "保存に失敗しました。",
+  "admin.programSaved": "「{name}」を保存しました。",
+  "admin.enrollFailed": "登録の変更に失敗しました。",
+  "admin.enrolled": "参加登録しました。",
+  "admin.unenrolled": "登録を外しました。",
+  "admin.staff": "スタッフ管理",
+  "admin.role": "権限",
+  "admin.roleStaff": "スタッフ（スタンプ付与・坐禅会の受付）",
+  "admin.roleOwner": "オーナー（スタッフ管理も可能）",
+  "admin.roleMember": "一般（権限を外す）",
+  "admin.changeRole": "権限を変更する",
+  "admin.removeRole": "権限を外す",
+  "admin.roleChanged": "権限を「{role}」に変更しました。",
+  "admin.lastOwner": "オーナーは最低 1 人必要です。",
+  "admin.userNotFound": "ユーザーが見つかりません。",
+  "admin.roleChangeFailed": "権限の変更に失敗しました。",
+  "admin.staffFailed": "スタッフ一覧の取得に失敗しました。",
+  "admin.staffMember": "{name}（{role}）",
+  "admin.integrity": "スタンプ数の整合性",
+  "admin.integrityHelp": "保存されているスタンプ数とスタンプ履歴から計算した値を照合します。",
+  "admin.integrityCheck": "照合する",
+  "admin.integrityRepair": "履歴の値で修復する",
+  "admin.integrityUser": "ユーザー",
+  "admin.integrityStored": "保存値",
+  "admin.integrityLedger": "履歴から計算",
+  "admin.integrityChecking": "照合中...",
+  "admin.integrityIssues": "{users} 人中 {issues} 枚のカードのスタンプ数が履歴と一致しません。",
+  "admin.integrityOk": "{users} 人全員のスタンプ数が履歴と一致しています。",
+  "admin.integrityFailed": "照合に失敗しました。",
+  "admin.integrityConfirm": "スタンプ数を履歴から計算した値で上書きします。よろしいですか？",
+  "admin.integrityRepaired": "{count} 枚のカードのスタンプ数を修復しました。",
+  "admin.integrityRepairFailed": "修復に失敗しました。",
+  "admin.export": "データの書き出し",
+  "admin.exportHelp":
+    "CSV は Excel でそのまま開けます（UTF-8 / BOM 付き）。期間は会員は登録日、スタンプ履歴は記録日で絞り込みます。",
+  "admin.exportDataset": "データ",
+  "admin.exportProfiles": "会員のプロフィール",
+  "admin.exportUsers": "会員のスタンプ数と権限",
+  "admin.exportEvents": "スタンプ履歴",
+  "admin.exportFormat": "形式",
+  "admin.download": "ダウンロード",
+  "admin.import": "名簿の取り込み",
+  "admin.importHelp":
+    "1 行目に username, mailAddress, job, hobbies, stamps（任意・開始時のスタンプ数）の見出しを付けた CSV を取り込みます。まず確認を行い、結果を見てから取り込んでください。",
+  "admin.importPlaceholder": "username,mailAddress,job,hobbies,stamps\n山田太郎,taro@example.com,会社員,読書,3",
+  "admin.importExisting": "登録済みのメールアドレス",
+  "admin.importSkip": "取り込まない",
+  "admin.importUpdate": "名前・お仕事・趣味を上書きする",
+  "admin.importPreview": "確認する",
+  "admin.importApply": "取り込む",
+  "admin.importName": "名前",
+  "admin.importDetail": "内容",
+  "admin.importStatus.created": "新規登録",
+  "admin.importStatus.updated": "上書き",
+  "admin.importStatus.unchanged": "変更なし",
+  "admin.importStatus.skipped": "登録済みのため取り込まない",
+  "admin.importStatus.duplicate": "CSV 内で重複",
+  "admin.importStatus.invalid": "エラー",
+  "admin.importError.missing_username": "名前がありません",
+  "admin.importError.invalid_mail": "メールアドレスが正しくありません",
+  "admin.importError.invalid_stamps": "スタンプ数が正しくありません",
+  "admin.importErrorSeparator": "、",
+  "admin.importInitialStamps": "開始時のスタンプ {count} 個",
+  "admin.importChanged": "内容が変わったため、もう一度確認してください。",
+  "admin.importFailed": "取り込みに失敗しました。",
+  "admin.importPreviewed": "確認結果（まだ取り込んでいません）: {summary}",
+  "admin.imported": "取り込みました: {summary}",
+  "admin.importCount": "{label} {count}件",
+  "admin.backup": "バックアップ",
+  "admin.backupScheduled": "{hours} 時間ごとに自動で作成し、新しいものから {keep} 件を残します。",
+  "admin.backupManual": "自動作成は無効です。新しいものから {keep} 件を残します。",
+  "admin.backupRestoreBefore": "復元はサーバーを止めてから ",
+  "admin.backupRestoreAfter": " で行います。",
+  "admin.backupCreate": "今すぐ作成する",
+  "admin.showList": "一覧を表示",
+  "admin.backupFile": "ファイル",
+  "admin.backupCreatedAt": "作成日時",
+  "admin.backupSize": "サイズ",
+  "admin.backupEmpty": "バックアップはまだありません。",
+  "admin.backupCreating": "作成中...",
+  "admin.backupCreated": "{file} を作成しました。",
+  "admin.backupFailed": "バックアップの作成に失敗しました。",
+  "admin.lockouts": "ロック中のアカウントと IP",
+  "admin.lockoutsHelp":
+    "{window} 分間にアカウントごとに {max} 回、IP アドレスごとに {ipMax} 回に達すると、{lockout} 分間ロックします。",
+  "admin.lockoutScopeColumn": "対象",
+  "admin.lockoutKindColumn": "種類",
+  "admin.lockoutSubjectColumn": "アカウント / IP",
+  "admin.lockoutHitsColumn": "回数",
+  "admin.lockoutUntilColumn": "解除予定",
+  "admin.lockoutScope.login": "ログイン",
+  "admin.lockoutScope.login_code": "ログインコードの送信",
+  "admin.lockoutScope.signup": "新規登録",
+  "admin.lockoutScope.checkin": "チェックイン",
+  "admin.lockoutScope.email_change": "メールアドレス変更",
+  "admin.lockoutScope.admin": "管理者画面",
+  "admin.lockoutKind.ip": "IP アドレス",
+  "admin.lockoutKind.account": "アカウント",
+  "admin.unlock": "解除",
+  "admin.unlocked": "{subject} のロックを解除しました。",
+  "admin.unlockFailed": "ロックの解除に失敗しました。",
+  "admin.lockoutsEmpty": "ロック中のアカウントや IP はありません。",
+  "admin.footer": "管理者 API を通じてスタンプ付与と坐禅会の受付を行います。",
+
+  "roster.subtitle": "名前かメールアドレスで検索し、その場でスタンプを付与できます。",
+  "roster.searchPlaceholder": "名前 / メールアドレス",
+  "roster.search": "検索",
+  "roster.name": "名前",
+  "roster.mail": "メール",
+  "roster.stamps": "スタンプ",
+  "roster.lastEvent": "最終記録",
+  "roster.prev": "前へ",
+  "roster.next": "次へ",
+  "roster.grant": "+1 スタンプ",
+  "roster.unnamed": "(未設定)",
+  "roster.granted": "{name} さんにスタンプを付与しました。",
+  "roster.grantFailed": "スタンプの付与に失敗しました。",
+  "roster.pageInfo": "{page} / {lastPage} ページ（{total} 人）",
+  "roster.empty": "該当する参加者はいません。",
+  "roster.failed": "参加者一覧の取得に失敗しました。",
+
+  "stats.subtitle": "スタンプ履歴から参加の様子をまとめます。日付はサーバーの時刻で区切ります。",
+  "stats.period": "単位",
+  "stats.day": "日",
+  "stats.week": "週（月曜始まり）",
+  "stats.month": "月",
+  "stats.activeDays": "参加が続いているとみなす日数",
+  "stats.submit": "集計する",
+  "stats.members": "会員の状況",
+  "stats.stamps": "スタンプの付与数",
+  "stats.cycles": "満了したカード",
+  "stats.signups": "新規登録",
+  "stats.distribution": "現在のスタンプ数の分布",
+  "stats.loading": "集計中...",
+  "stats.memberSummary":
+    "会員 {total} 人 / 参加が続いている {active} 人 / 足が遠のいている {lapsed} 人 / まだ参加のない {never} 人（直近 {days} 日で判定）",
+  "stats.granted": "{count} 個",
+  "stats.revoked": "（取り消し {count}）",
+  "stats.cards": "{count} 枚",
+  "stats.people": "{count} 人",
+  "stats.defaultProgramNote": "標準のカードのスタンプ数です。",
+  "stats.range": "{from} 〜 {to}",
+  "stats.failed": "集計に失敗しました。",
+
+  "audit.subtitle": "スタンプ付与・リセット・プロフィール編集・権限変更などの記録です。",
+  "audit.actor": "操作した人（ID / 名前 / メール）",
+  "audit.target": "対象ユーザー（ID / 名前 / メール）",
+  "audit.action": "操作",
+  "audit.actorColumn": "操作した人",
+  "audit.targetColumn": "対象",
+  "audit.stamps": "スタンプ",
+  "audit.details": "詳細",
+  "audit.source": "接続元",
+  "audit.empty": "該当する記録はありません。",
+  "audit.failed": "操作履歴の取得に失敗しました。",
+  "audit.action.stamp_grant": "スタンプ付与",
+  "audit.action.stamp_reset": "リセット",
+  "audit.action.profile_update": "プロフィール編集",
+  "audit.action.role_change": "権限変更",
+  "audit.action.user_merge": "アカウント統合",
+  "audit.action.stamp_revoke": "スタンプ取り消し",
+  "audit.action.stamp_adjust": "スタンプ数の修正",
+  "audit.action.stamp_repair": "スタンプ数の修復",
+  "audit.action.sessions_revoke": "セッション無効化",
+  "audit.action.zazen_session_create": "坐禅会作成",
+  "audit.action.program_create": "カード作成",
+  "audit.action.program_update": "カード変更",
+  "audit.action.program_enroll": "カード参加登録",
+  "audit.action.program_unenroll": "カード登録解除",
+  "audit.action.data_export": "データ書き出し",
+  "audit.action.backup_create": "バックアップ作成",
+  "audit.action.backup_download": "バックアップのダウンロード",
+  "audit.action.member_import": "名簿の取り込み",
+  "audit.action.personal_data_export": "個人データの書き出し",
+  "audit.action.account_delete_request": "退会の申し込み",
+  "audit.action.account_delete_cancel": "退会の取り消し",
+  "audit.action.account_delete": "アカウント削除",
+  "audit.action.lockout_clear": "ロック解除",
+  "audit.action.mail_change": "メールアドレス変更",
+
+  "mail.login.subject": "【坐禅会スタンプカード】ログインコード",
+  "mail.login.text":
+    "ログインコード: {code}\n\n次のリンクを開いてもログインできます。\n{magicLink}\n\nコードとリンクは {minutes} 分間、1 回だけ有効です。\n心当たりがない場合はこのメールを破棄してください。",
+  "mail.emailChangeCode.subject": "【坐禅会スタンプカード】メールアドレス変更の確認コード",
+  "mail.emailChangeCode.text":
+    "確認コード: {code}\n\nプロフィール画面の「メールアドレスの変更」でこのコードを入力すると、このアドレスに変更されます。\nコードは {minutes} 分間有効です。\n心当たりがない場合はこのメールを破棄してください。",
+  "mail.emailChanged.subject": "【坐禅会スタンプカード】メールアドレスが変更されました",
+  "mail.emailChanged.text":
+    "アカウントのメールアドレスが {mailAddress} に変更されました。\n今後のログインコードやお知らせは新しいアドレスに届きます。\n\n心当たりがない場合は、坐禅会の運営までご連絡ください。",
+  "mail.deletion.subject": "【坐禅会スタンプカード】アカウント削除のお申し込み",
+  "mail.deletion.text":
+    "アカウント削除のお申し込みを受け付けました。\n{date} 以降に、プロフィールとログイン方法を削除します。\n{history}\n\nそれまでにログインしてプロフィール画面から取り消すことができます。\n心当たりがない場合は、すぐにログインして取り消してください。",
+
+  "errors.invalid_csrf_token":
+    "画面の有効期限が切れたか、別の画面から送信されました。画面を開き直してからもう一度お試しください。",
+  "errors.too_many_attempts": "試行回数が上限に達しました。しばらくしてからもう一度お試しください。",
+  "errors.unauthorized": "ログインしてください。",
+  "errors.forbidden": "権限がありません。",
+  "errors.user_mismatch": "ログイン中のユーザーと一致しません。",
+  "errors.user_not_found": "ユーザーが見つかりません。",
+  "errors.user_load_failed": "ユーザー情報の取得に失敗しました。",
+  "errors.stream_open_failed": "スタンプの更新通知を開始できませんでした。",
+  "errors.personal_data_export_failed": "データの書き出しに失敗しました。",
+  "errors.cycles_load_failed": "これまでのカードの取得に失敗しました。",
+  "errors.invalid_event_type": "type には ADD, REVOKE, ADJUST, RESET をカンマ区切りで指定してください。",
+  "errors.invalid_cursor": "cursor が正しくありません。",
+  "errors.history_load_failed": "スタンプ履歴の取得に失敗しました。",
+  "errors.user_id_required": "userId を指定してください。",
+  "errors.program_not_found": "カードが見つかりません。",
+  "errors.session_not_found": "坐禅会が見つかりません。",
+  "errors.stamp_grant_failed": "スタンプの付与に失敗しました。",
+  "errors.bulk_input_required": "identifiers か csv を指定してください。",
+  "errors.too_many_rows": "一度に付与できるのは {max} 行までです。",
+  "errors.bulk_grant_failed": "まとめて付与に失敗しました。",
+  "errors.invalid_import_mode": "mode には skip か update を指定してください。",
+  "errors.missing_columns": "CSV の 1 行目に username と mailAddress の見出しが必要です。",
+  "errors.no_rows": "CSV に会員の行がありません。",
+  "errors.too_many_import_rows": "一度に取り込めるのは {max} 行までです。",
+  "errors.import_failed": "名簿の取り込みに失敗しました。",
+  "errors.programs_load_failed": "カードの種類の取得に失敗しました。",
+  "errors.name_required": "名前を入力してください。",
+  "errors.invalid_program_text": "name と rewardText は文字列で指定してください。",
+  "errors.invalid_stamp_count": "スタンプ数は 1 から {max} までの整数で指定してください。",
+  "errors.program_create_failed": "カードの作成に失敗しました。",
+  "errors.stamp_count_in_use":
+    "{cards} 人分のカードのスタンプ数か満了の記録が変わるため、スタンプ数を変更できません。別のカードを作成してください。",
+  "errors.program_update_failed": "カードの変更に失敗しました。",
+  "errors.default_program": "標準のカードには全員が参加しています。",
+  "errors.enrollment_update_failed": "参加登録の変更に失敗しました。",
+  "errors.events_load_failed": "スタンプ履歴の取得に失敗しました。",
+  "errors.invalid_reason": "理由は文字列で指定してください。",
+  "errors.reason_required": "理由を入力してください。",
+  "errors.stamp_event_not_found": "スタンプ履歴が見つかりません。",
+  "errors.not_revocable": "取り消せるのは最後のリセット以降に付与したスタンプだけです。",
+  "errors.already_revoked": "このスタンプはすでに取り消されています。",
+  "errors.stamp_count_unchanged": "スタンプ数が変わっていません。",
+  "errors.revoke_failed": "スタンプの取り消しに失敗しました。",
+  "errors.invalid_stamps": "スタンプ数は 0 から {max} までの整数で指定してください。",
+  "errors.adjust_failed": "スタンプ数の修正に失敗しました。",
+  "errors.invalid_merge_users": "sourceUserId と targetUserId には別々のユーザーを指定してください。",
+  "errors.merge_failed": "アカウントの統合に失敗しました。",
+  "errors.users_load_failed": "参加者一覧の取得に失敗しました。",
+  "errors.invalid_date": "from と to は YYYY-MM-DD 形式で指定してください。",
+  "errors.invalid_period": "period には day, week, month のいずれかを指定してください。",
+  "errors.invalid_range": "from は to より前の日付にしてください。",
+  "errors.range_too_long": "期間が長すぎます。単位を大きくするか、期間を短くしてください。",
+  "errors.stamp_stats_failed": "スタンプの集計に失敗しました。",
+  "errors.cycle_stats_failed": "満了したカードの集計に失敗しました。",
+  "errors.signup_stats_failed": "新規登録の集計に失敗しました。",
+  "errors.invalid_active_days": "activeDays は 1 から 365 までの整数で指定してください。",
+  "errors.member_stats_failed": "会員の状況の集計に失敗しました。",
+  "errors.distribution_failed": "スタンプ数の分布の集計に失敗しました。",
+  "errors.audit_load_failed": "操作履歴の取得に失敗しました。",
+  "errors.staff_load_failed": "スタッフ一覧の取得に失敗しました。",
+  "errors.integrity_check_failed": "スタンプ数の照合に失敗しました。",
+  "errors.repair_failed": "スタンプ数の修復に失敗しました。",
+  "errors.unknown_dataset": "書き出せないデータです。",
+  "errors.invalid_export_format": "format には csv か json を指定してください。",
+  "errors.export_failed": "データの書き出しに失敗しました。",
+  "errors.backups_load_failed": "バックアップ一覧の取得に失敗しました。",
+  "errors.backup_create_failed": "バックアップの作成に失敗しました。",
+  "errors.backup_not_found": "バックアップが見つかりません。",
+  "errors.backup_download_failed": "バックアップのダウンロードに失敗しました。",
+  "errors.lockouts_load_failed": "ロック一覧の取得に失敗しました。",
+  "errors.lockout_fields_required": "scope, kind, subject を指定してください。",
+  "errors.lockout_not_found": "ロックが見つかりません。",
+  "errors.lockout_clear_failed": "ロックの解除に失敗しました。",
+  "errors.invalid_role": "role には member, staff, owner のいずれかを指定してください。",
+  "errors.last_owner": "オーナーは最低 1 人必要です。",
+  "errors.role_change_failed": "権限の変更に失敗しました。",
+  "errors.sessions_revoke_failed": "セッションの無効化に失敗しました。",
+  "errors.sessions_load_failed": "坐禅会一覧の取得に失敗しました。",
+  "errors.session_fields_required": "開催日・開始・終了・会場を入力してください。",
+  "errors.session_create_failed": "坐禅会の作成に失敗しました。",
+  "errors.checkin_code_failed": "チェックインコードの作成に失敗しました。",
+  "errors.invalid_checkin_code": "チェックインコードが正しくありません。",
+  "errors.session_closed": "この坐禅会はチェックインの受付時間外です。",
+  "errors.already_checked_in": "この坐禅会にはすでにチェックイン済みです。",
+  "errors.checkin_failed": "チェックインに失敗しました。",
+  "errors.not_enrolled": "このカードには参加登録されていません。",
+  "errors.reset_failed": "リセットに失敗しました。",
+};
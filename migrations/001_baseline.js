@@ -0,0 +1,85 @@
+const { DEFAULT_PROGRAM_ID, DEFAULT_STAMP_COUNT } = require("../lib/stamp-ledger");
+
+// The schema as it stood when versioned migrations were introduced. Fresh
+// databases get every table at once; older ones only get what they lack.
+const up = async ({ runDb, addColumnIfMissing }) => {
+  await runDb(
+    "CREATE TABLE IF NOT EXISTS users (id TEXT PRIMARY KEY, stamps INTEGER NOT NULL DEFAULT 0)"
+  );
+  await addColumnIfMissing("users", "isAdmin", "INTEGER NOT NULL DEFAULT 0");
+  if (await addColumnIfMissing("users", "role", "TEXT NOT NULL DEFAULT 'member'")) {
+    await runDb("UPDATE users SET role = 'staff' WHERE isAdmin = 1");
+  }
+
+  await runDb(
+    "CREATE TABLE IF NOT EXISTS stamp_events (id INTEGER PRIMARY KEY AUTOINCREMENT, userId TEXT NOT NULL, createdAt TEXT NOT NULL, reason TEXT NOT NULL, FOREIGN KEY(userId) REFERENCES users(id))"
+  );
+  await addColumnIfMissing("stamp_events", "eventType", "TEXT NOT NULL DEFAULT 'ADD'");
+  await addColumnIfMissing("stamp_events", "sessionId", "TEXT");
+  await addColumnIfMissing("stamp_events", "delta", "INTEGER");
+  await addColumnIfMissing("stamp_events", "revokedEventId", "INTEGER");
+  await addColumnIfMissing("stamp_events", "note", "TEXT");
+  await addColumnIfMissing(
+    "stamp_events",
+    "programId",
+    `TEXT NOT NULL DEFAULT '${DEFAULT_PROGRAM_ID}'`
+  );
+  await runDb(
+    "CREATE UNIQUE INDEX IF NOT EXISTS idx_stamp_events_session_user ON stamp_events (sessionId, userId) WHERE sessionId IS NOT NULL"
+  );
+
+  await runDb(
+    "CREATE TABLE IF NOT EXISTS user_profiles (userId TEXT PRIMARY KEY, username TEXT, mailAddress TEXT, description TEXT, job TEXT, hobbies TEXT, updatedAt TEXT, FOREIGN KEY(userId) REFERENCES users(id))"
+  );
+
+  await runDb(
+    "CREATE TABLE IF NOT EXISTS auth_identities (id INTEGER PRIMARY KEY AUTOINCREMENT, userId TEXT NOT NULL, provider TEXT NOT NULL, providerKey TEXT NOT NULL, createdAt TEXT NOT NULL, UNIQUE(provider, providerKey), FOREIGN KEY(userId) REFERENCES users(id))"
+  );
+
+  await runDb(
+    "CREATE TABLE IF NOT EXISTS sessions (sid TEXT PRIMARY KEY, userId TEXT, sess TEXT NOT NULL, expiresAt TEXT NOT NULL)"
+  );
+  await runDb("CREATE INDEX IF NOT EXISTS idx_sessions_userId ON sessions (userId)");
+
+  await runDb(
+    "CREATE TABLE IF NOT EXISTS login_tokens (id INTEGER PRIMARY KEY AUTOINCREMENT, userId TEXT NOT NULL, tokenHash TEXT NOT NULL UNIQUE, codeHash TEXT NOT NULL, attempts INTEGER NOT NULL DEFAULT 0, expiresAt TEXT NOT NULL, usedAt TEXT, createdAt TEXT NOT NULL, FOREIGN KEY(userId) REFERENCES users(id))"
+  );
+
+  await runDb(
+    "CREATE TABLE IF NOT EXISTS audit_logs (id INTEGER PRIMARY KEY AUTOINCREMENT, actorUserId TEXT, targetUserId TEXT, action TEXT NOT NULL, beforeStamps INTEGER, afterStamps INTEGER, details TEXT, ip TEXT, userAgent TEXT, method TEXT, path TEXT, createdAt TEXT NOT NULL)"
+  );
+  await runDb("CREATE INDEX IF NOT EXISTS idx_audit_logs_createdAt ON audit_logs (createdAt)");
+
+  await runDb(
+    "CREATE TABLE IF NOT EXISTS zazen_sessions (id TEXT PRIMARY KEY, venue TEXT NOT NULL, startsAt TEXT NOT NULL, endsAt TEXT NOT NULL, checkInSecret TEXT NOT NULL, createdAt TEXT NOT NULL)"
+  );
+  await addColumnIfMissing(
+    "zazen_sessions",
+    "programId",
+    `TEXT NOT NULL DEFAULT '${DEFAULT_PROGRAM_ID}'`
+  );
+
+  await runDb(
+    "CREATE TABLE IF NOT EXISTS card_programs (id TEXT PRIMARY KEY, name TEXT NOT NULL, stampCount INTEGER NOT NULL, milestones TEXT NOT NULL DEFAULT '[]', rewardText TEXT NOT NULL DEFAULT '', createdAt TEXT NOT NULL)"
+  );
+  await runDb(
+    "INSERT OR IGNORE INTO card_programs (id, name, stampCount, milestones, rewardText, createdAt) VALUES (?, ?, ?, ?, ?, ?)",
+    [DEFAULT_PROGRAM_ID, "坐禅会", DEFAULT_STAMP_COUNT, "[5,10]", "果報をうける", new Date().toISOString()]
+  );
+
+  await runDb(
+    "CREATE TABLE IF NOT EXISTS program_enrollments (userId TEXT NOT NULL, programId TEXT NOT NULL, stamps INTEGER NOT NULL DEFAULT 0, enrolledAt TEXT NOT NULL, PRIMARY KEY(userId, programId), FOREIGN KEY(userId) REFERENCES users(id), FOREIGN KEY(programId) REFERENCES card_programs(id))"
+  );
+
+  await runDb(
+    "CREATE TABLE IF NOT EXISTS card_cycles (id INTEGER PRIMARY KEY AUTOINCREMENT, userId TEXT NOT NULL, cycleNumber INTEGER NOT NULL, startedAt TEXT NOT NULL, completedAt TEXT NOT NULL, stamps INTEGER NOT NULL, resetEventId INTEGER UNIQUE, FOREIGN KEY(userId) REFERENCES users(id))"
+  );
+  await addColumnIfMissing(
+    "card_cycles",
+    "programId",
+    `TEXT NOT NULL DEFAULT '${DEFAULT_PROGRAM_ID}'`
+  );
+  await runDb("CREATE INDEX IF NOT EXISTS idx_card_cycles_userId ON card_cycles (userId)");
+};
+
+module.exports = { up };
@@ -0,0 +1,9 @@
+// Every per-user history, recent-events and ledger replay query filters on
+// userId and orders by createdAt.
+const up = async ({ runDb }) => {
+  await runDb(
+    "CREATE INDEX IF NOT EXISTS idx_stamp_events_userId_createdAt ON stamp_events (userId, createdAt)"
+  );
+};
+
+module.exports = { up };
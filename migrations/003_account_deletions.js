@@ -0,0 +1,9 @@
+// Members who asked to leave, waiting out the grace period before their
+// account is purged.
+const up = async ({ runDb }) => {
+  await runDb(
+    "CREATE TABLE IF NOT EXISTS account_deletions (userId TEXT PRIMARY KEY, requestedAt TEXT NOT NULL, purgeAfter TEXT NOT NULL, keepHistory INTEGER NOT NULL DEFAULT 1)"
+  );
+};
+
+module.exports = { up };
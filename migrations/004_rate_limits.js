@@ -0,0 +1,9 @@
+// Attempt counters and lockouts for login, signup, check-in and admin
+// requests, one row per scope and IP address or account.
+const up = async ({ runDb }) => {
+  await runDb(
+    "CREATE TABLE IF NOT EXISTS rate_limits (scope TEXT NOT NULL, kind TEXT NOT NULL, subject TEXT NOT NULL, hits INTEGER NOT NULL, windowStartedAt TEXT NOT NULL, lockedUntil TEXT, PRIMARY KEY (scope, kind, subject))"
+  );
+};
+
+module.exports = { up };
@@ -0,0 +1,9 @@
+// Mail address changes waiting for the code sent to the new address, at
+// most one per member.
+const up = async ({ runDb }) => {
+  await runDb(
+    "CREATE TABLE IF NOT EXISTS email_changes (userId TEXT PRIMARY KEY, mailAddress TEXT NOT NULL, codeHash TEXT NOT NULL, attempts INTEGER NOT NULL DEFAULT 0, expiresAt TEXT NOT NULL, createdAt TEXT NOT NULL)"
+  );
+};
+
+module.exports = { up };
@@ -0,0 +1,7 @@
+// The display language a member picked on their profile; NULL follows the
+// browser's Accept-Language.
+const up = async ({ addColumnIfMissing }) => {
+  await addColumnIfMissing("user_profiles", "locale", "TEXT");
+};
+
+module.exports = { up };
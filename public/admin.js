@@ -0,0 +1,829 @@
+const CSRF_TOKEN = document.querySelector('meta[name="csrf-token"]').content;
+const form = document.getElementById("stamp-form");
+const result = document.getElementById("result");
+const sessionForm = document.getElementById("session-form");
+const loadSessionsButton = document.getElementById("load-sessions");
+const sessionList = document.getElementById("session-list");
+const checkinDisplay = document.getElementById("checkin-display");
+const checkinSession = document.getElementById("checkin-session");
+const checkinCode = document.getElementById("checkin-code");
+const checkinQr = document.getElementById("checkin-qr");
+const checkinExpires = document.getElementById("checkin-expires");
+const eventsForm = document.getElementById("events-form");
+const eventList = document.getElementById("event-list");
+const adjustForm = document.getElementById("adjust-form");
+const correctionResult = document.getElementById("correction-result");
+let correctionUserId = null;
+let correctionCards = [];
+let programs = [];
+const bulkForm = document.getElementById("bulk-form");
+const bulkSession = document.getElementById("bulk-session");
+const bulkSummary = document.getElementById("bulk-summary");
+const bulkReport = document.getElementById("bulk-report");
+const bulkRows = document.getElementById("bulk-rows");
+const BULK_STATUSES = ["granted", "at_cap", "already_checked_in", "duplicate", "unknown_user"];
+let checkinTimer = null;
+
+const adminFetch = (url, options = {}) =>
+  fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json", "X-CSRF-Token": CSRF_TOKEN },
+  });
+
+const formatDateTime = (iso) =>
+  new Date(iso).toLocaleString(LOCALE, { hour12: false });
+
+form.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  const formData = new FormData(form);
+  const userId = formData.get("userId");
+  result.innerHTML = "<span class=\"subtle\">" + t("common.processing") + "</span>";
+  try {
+    const response = await adminFetch("/api/admin/stamp", {
+      method: "POST",
+      body: JSON.stringify({ userId, programId: formData.get("programId") }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      result.innerHTML = "<span class=\"error\">" + data.message + "</span>";
+      return;
+    }
+    result.innerHTML = t("admin.currentStamps", {
+      stamps: "<strong>" + data.stamps + "</strong>",
+      total: data.stampCount,
+    });
+  } catch (error) {
+    result.innerHTML =
+      "<span class=\"error\">" + t("common.networkError") + "</span>";
+  }
+});
+
+const syncAdjustForm = () => {
+  const programId = adjustForm.elements.programId.value;
+  const program = programs.find((item) => item.id === programId);
+  const card = correctionCards.find((item) => item.id === programId);
+  adjustForm.elements.stamps.max = program ? program.stampCount : "";
+  adjustForm.elements.stamps.value = card ? card.stamps : 0;
+};
+
+adjustForm.elements.programId.addEventListener("change", syncAdjustForm);
+
+const programList = document.getElementById("program-list");
+const programForm = document.getElementById("program-form");
+const enrollForm = document.getElementById("enroll-form");
+const programResult = document.getElementById("program-result");
+
+const editProgram = (program) => {
+  programForm.elements.id.value = program.id;
+  programForm.elements.name.value = program.name;
+  programForm.elements.stampCount.value = program.stampCount;
+  programForm.elements.milestones.value = program.milestones.join(",");
+  programForm.elements.rewardText.value = program.rewardText;
+};
+
+const loadPrograms = async () => {
+  try {
+    const response = await adminFetch("/api/admin/programs");
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to load programs.");
+    }
+    programs = data.programs;
+    document.querySelectorAll(".program-select").forEach((select) => {
+      const selected = select.value;
+      select.innerHTML = "";
+      programs
+        .filter((program) => !(select.dataset.excludeDefault && program.isDefault))
+        .forEach((program) => {
+          const option = document.createElement("option");
+          option.value = program.id;
+          option.textContent = t("admin.programOption", { name: program.name, count: program.stampCount });
+          select.appendChild(option);
+        });
+      if (selected) {
+        select.value = selected;
+      }
+    });
+    programList.innerHTML = "";
+    programs.forEach((program) => {
+      const item = document.createElement("li");
+      item.className = "session-item";
+      const label = document.createElement("span");
+      label.textContent =
+        t("admin.programSummary", { name: program.name, count: program.stampCount }) +
+        (program.milestones.length
+          ? t("admin.programMilestones", {
+              milestones: program.milestones.join(t("admin.programMilestonesSeparator")),
+            })
+          : "") +
+        t("admin.programReward", { reward: program.rewardText });
+      item.appendChild(label);
+      if (programForm) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.textContent = t("admin.edit");
+        button.addEventListener("click", () => editProgram(program));
+        item.appendChild(button);
+      }
+      programList.appendChild(item);
+    });
+    syncAdjustForm();
+  } catch (error) {
+    programResult.textContent = t("admin.programsFailed");
+  }
+};
+
+if (programForm) {
+  programForm.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const formData = Object.fromEntries(new FormData(programForm).entries());
+    try {
+      const response = await adminFetch(
+        "/api/admin/programs" + (formData.id ? "/" + encodeURIComponent(formData.id) : ""),
+        { method: "POST", body: JSON.stringify(formData) }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        programResult.textContent = data.message || t("admin.programSaveFailed");
+        return;
+      }
+      programForm.reset();
+      programResult.textContent = t("admin.programSaved", { name: data.name });
+      await loadPrograms();
+    } catch (error) {
+      programResult.textContent = t("common.networkError");
+    }
+  });
+}
+
+enrollForm.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  const action = event.submitter ? event.submitter.value : "enroll";
+  const formData = new FormData(enrollForm);
+  try {
+    const response = await adminFetch(
+      "/api/admin/programs/" + encodeURIComponent(formData.get("programId")) + "/" + action,
+      { method: "POST", body: JSON.stringify({ userId: formData.get("userId") }) }
+    );
+    const data = await response.json();
+    if (!response.ok) {
+      programResult.textContent = data.message || t("admin.enrollFailed");
+      return;
+    }
+    programResult.textContent = t(data.enrolled ? "admin.enrolled" : "admin.unenrolled");
+  } catch (error) {
+    programResult.textContent = t("common.networkError");
+  }
+});
+
+const loadEvents = async (userId) => {
+  try {
+    const response = await adminFetch(
+      "/api/admin/users/" + encodeURIComponent(userId) + "/events"
+    );
+    const data = await response.json();
+    if (!response.ok) {
+      correctionResult.textContent = data.message || t("admin.eventsFailed");
+      eventList.innerHTML = "";
+      adjustForm.hidden = true;
+      return;
+    }
+    correctionUserId = data.id;
+    correctionCards = data.programs;
+    correctionResult.textContent = t("admin.cardStamps", {
+      cards: data.programs
+        .map((card) => card.name + " " + card.stamps + " / " + card.stampCount)
+        .join(t("admin.cardStampsSeparator")),
+    });
+    adjustForm.hidden = false;
+    syncAdjustForm();
+    eventList.innerHTML = "";
+    data.events.forEach((stampEvent) => {
+      const item = document.createElement("li");
+      item.className = "session-item";
+      const label = document.createElement("span");
+      label.textContent =
+        formatDateTime(stampEvent.createdAt) + " " + stampEvent.label +
+        (stampEvent.revoked ? t("common.revokedSuffix") : "");
+      item.appendChild(label);
+      if (stampEvent.eventType === "ADD" && !stampEvent.revoked) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.textContent = t("admin.revoke");
+        button.addEventListener("click", () => revokeEvent(stampEvent));
+        item.appendChild(button);
+      }
+      eventList.appendChild(item);
+    });
+  } catch (error) {
+    correctionResult.textContent = t("common.networkError");
+  }
+};
+
+const revokeEvent = async (stampEvent) => {
+  const reason = prompt(t("admin.revokePrompt"));
+  if (!reason || !reason.trim()) {
+    return;
+  }
+  try {
+    const response = await adminFetch(
+      "/api/admin/events/" + encodeURIComponent(stampEvent.id) + "/revoke",
+      { method: "POST", body: JSON.stringify({ reason }) }
+    );
+    const data = await response.json();
+    if (!response.ok) {
+      correctionResult.textContent = data.message || t("admin.revokeFailed");
+      return;
+    }
+    await loadEvents(correctionUserId);
+  } catch (error) {
+    correctionResult.textContent = t("common.networkError");
+  }
+};
+
+eventsForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  loadEvents(new FormData(eventsForm).get("userId"));
+});
+
+adjustForm.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  const formData = new FormData(adjustForm);
+  try {
+    const response = await adminFetch(
+      "/api/admin/users/" + encodeURIComponent(correctionUserId) + "/adjust",
+      {
+        method: "POST",
+        body: JSON.stringify({
+          programId: formData.get("programId"),
+          stamps: Number(formData.get("stamps")),
+          reason: formData.get("reason"),
+        }),
+      }
+    );
+    const data = await response.json();
+    if (!response.ok) {
+      correctionResult.textContent = data.message || t("admin.adjustFailed");
+      return;
+    }
+    adjustForm.elements.reason.value = "";
+    await loadEvents(correctionUserId);
+  } catch (error) {
+    correctionResult.textContent = t("common.networkError");
+  }
+});
+
+const showCheckinCode = async (zazenSession) => {
+  try {
+    const response = await adminFetch(
+      "/api/admin/sessions/" + encodeURIComponent(zazenSession.id) + "/checkin-code"
+    );
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to load check-in code.");
+    }
+    checkinDisplay.hidden = false;
+    checkinSession.textContent =
+      zazenSession.venue + " / " + formatDateTime(zazenSession.startsAt) +
+      t(data.isOpen ? "admin.checkinOpen" : "admin.checkinClosed");
+    checkinCode.textContent = data.code;
+    checkinQr.innerHTML = data.qrSvg;
+    checkinExpires.textContent = t("admin.nextRefresh", { time: formatDateTime(data.expiresAt) });
+  } catch (error) {
+    checkinDisplay.hidden = false;
+    checkinSession.textContent = t("admin.checkinCodeFailed");
+  }
+};
+
+const selectSession = (zazenSession) => {
+  if (checkinTimer) {
+    clearInterval(checkinTimer);
+  }
+  showCheckinCode(zazenSession);
+  checkinTimer = setInterval(() => {
+    showCheckinCode(zazenSession);
+  }, 10000);
+};
+
+const loadSessions = async () => {
+  try {
+    const response = await adminFetch("/api/admin/sessions");
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to load sessions.");
+    }
+    sessionList.innerHTML = "";
+    bulkSession.length = 1;
+    data.sessions.forEach((zazenSession) => {
+      const option = document.createElement("option");
+      option.value = zazenSession.id;
+      option.textContent =
+        formatDateTime(zazenSession.startsAt) + " " + zazenSession.venue;
+      bulkSession.appendChild(option);
+      const item = document.createElement("li");
+      item.className = "session-item";
+      const label = document.createElement("span");
+      label.textContent =
+        formatDateTime(zazenSession.startsAt) + " " + zazenSession.venue;
+      const button = document.createElement("button");
+      button.type = "button";
+      button.textContent = t("admin.showQr");
+      button.addEventListener("click", () => selectSession(zazenSession));
+      item.appendChild(label);
+      item.appendChild(button);
+      sessionList.appendChild(item);
+    });
+  } catch (error) {
+    sessionList.innerHTML = "";
+    const item = document.createElement("li");
+    item.className = "session-item error";
+    item.textContent = t("admin.sessionsFailed");
+    sessionList.appendChild(item);
+  }
+};
+
+sessionForm.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  const formData = new FormData(sessionForm);
+  try {
+    const response = await adminFetch("/api/admin/sessions", {
+      method: "POST",
+      body: JSON.stringify(Object.fromEntries(formData.entries())),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      alert(data.message || t("admin.sessionCreateFailed"));
+      return;
+    }
+    sessionForm.reset();
+    await loadSessions();
+    selectSession(data);
+  } catch (error) {
+    alert(t("common.networkError"));
+  }
+});
+
+loadSessionsButton.addEventListener("click", () => {
+  loadSessions();
+});
+
+const renderBulkReport = (data) => {
+  bulkRows.innerHTML = "";
+  data.results.forEach((row) => {
+    const tr = document.createElement("tr");
+    [
+      row.row,
+      row.input,
+      row.userId || "",
+      labelFor("admin.bulkStatus.", row.status),
+      row.stamps === undefined ? "" : row.stamps + " / " + data.stampCount,
+    ].forEach((value) => {
+      const td = document.createElement("td");
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    bulkRows.appendChild(tr);
+  });
+  bulkReport.hidden = false;
+  bulkSummary.textContent = BULK_STATUSES
+    .filter((status) => data.summary[status])
+    .map((status) =>
+      t("admin.summaryCount", {
+        label: t("admin.bulkStatus." + status),
+        count: data.summary[status],
+      })
+    )
+    .join(" / ");
+};
+
+bulkForm.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  const formData = new FormData(bulkForm);
+  const file = formData.get("file");
+  let csv = formData.get("csv");
+  if (file && file.size) {
+    csv = [csv, await file.text()].filter(Boolean).join("\n");
+  }
+  bulkSummary.textContent = t("common.processing");
+  try {
+    const response = await adminFetch("/api/admin/stamp/bulk", {
+      method: "POST",
+      body: JSON.stringify({
+        csv,
+        sessionId: formData.get("sessionId"),
+        programId: formData.get("programId"),
+      }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      bulkSummary.textContent = data.message || t("admin.bulkFailed");
+      return;
+    }
+    renderBulkReport(data);
+    bulkForm.reset();
+  } catch (error) {
+    bulkSummary.textContent = t("common.networkError");
+  }
+});
+
+const staffList = document.getElementById("staff-list");
+const roleForm = document.getElementById("role-form");
+const roleResult = document.getElementById("role-result");
+
+const changeRole = async (userId, role) => {
+  roleResult.textContent = t("common.processing");
+  try {
+    const response = await adminFetch(
+      "/api/admin/users/" + encodeURIComponent(userId) + "/role",
+      { method: "POST", body: JSON.stringify({ role }) }
+    );
+    const data = await response.json();
+    if (!response.ok) {
+      roleResult.textContent =
+        response.status === 409
+          ? t("admin.lastOwner")
+          : response.status === 404
+            ? t("admin.userNotFound")
+            : t("admin.roleChangeFailed");
+      return;
+    }
+    roleResult.textContent = t("admin.roleChanged", { role: t("role." + data.role) });
+    await loadStaff();
+  } catch (error) {
+    roleResult.textContent = t("common.networkError");
+  }
+};
+
+const loadStaff = async () => {
+  try {
+    const response = await adminFetch("/api/admin/staff");
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to load staff.");
+    }
+    staffList.innerHTML = "";
+    data.staff.forEach((member) => {
+      const item = document.createElement("li");
+      item.className = "session-item";
+      const label = document.createElement("span");
+      label.textContent = t("admin.staffMember", {
+        name: member.username || member.id,
+        role: t("role." + member.role),
+      });
+      const button = document.createElement("button");
+      button.type = "button";
+      button.textContent = t("admin.removeRole");
+      button.addEventListener("click", () => changeRole(member.id, "member"));
+      item.appendChild(label);
+      item.appendChild(button);
+      staffList.appendChild(item);
+    });
+  } catch (error) {
+    roleResult.textContent = t("admin.staffFailed");
+  }
+};
+
+if (roleForm) {
+  roleForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const formData = new FormData(roleForm);
+    changeRole(formData.get("userId"), formData.get("role"));
+  });
+  loadStaff();
+}
+
+const integrityCheckButton = document.getElementById("integrity-check");
+const integrityRepairButton = document.getElementById("integrity-repair");
+const integrityResult = document.getElementById("integrity-result");
+const integrityReport = document.getElementById("integrity-report");
+const integrityRows = document.getElementById("integrity-rows");
+
+const renderIntegrityRows = (rows) => {
+  integrityRows.innerHTML = "";
+  rows.forEach((row) => {
+    const tr = document.createElement("tr");
+    [
+      row.username || row.userId,
+      row.programName || row.programId,
+      row.storedStamps,
+      row.ledgerStamps,
+    ].forEach((value) => {
+      const td = document.createElement("td");
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    integrityRows.appendChild(tr);
+  });
+  integrityReport.hidden = !rows.length;
+};
+
+const checkIntegrity = async () => {
+  integrityResult.textContent = t("admin.integrityChecking");
+  try {
+    const response = await adminFetch("/api/admin/integrity");
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to check integrity.");
+    }
+    renderIntegrityRows(data.issues);
+    integrityRepairButton.disabled = !data.issues.length;
+    integrityResult.textContent = data.issues.length
+      ? t("admin.integrityIssues", { users: data.checkedUsers, issues: data.issues.length })
+      : t("admin.integrityOk", { users: data.checkedUsers });
+  } catch (error) {
+    integrityResult.textContent = t("admin.integrityFailed");
+  }
+};
+
+if (integrityCheckButton) {
+  integrityCheckButton.addEventListener("click", () => {
+    checkIntegrity();
+  });
+  integrityRepairButton.addEventListener("click", async () => {
+    if (!confirm(t("admin.integrityConfirm"))) {
+      return;
+    }
+    try {
+      const response = await adminFetch("/api/admin/integrity/repair", {
+        method: "POST",
+        body: JSON.stringify({}),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to repair.");
+      }
+      renderIntegrityRows([]);
+      integrityRepairButton.disabled = true;
+      integrityResult.textContent = t("admin.integrityRepaired", { count: data.repaired.length });
+    } catch (error) {
+      integrityResult.textContent = t("admin.integrityRepairFailed");
+    }
+  });
+}
+
+const exportForm = document.getElementById("export-form");
+if (exportForm) {
+  exportForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const formData = new FormData(exportForm);
+    const params = new URLSearchParams({ format: formData.get("format") });
+    ["from", "to"].forEach((key) => {
+      if (formData.get(key)) {
+        params.set(key, formData.get(key));
+      }
+    });
+    window.location.href =
+      "/api/admin/export/" + formData.get("dataset") + "?" + params.toString();
+  });
+}
+
+const backupCreateButton = document.getElementById("backup-create");
+const backupLoadButton = document.getElementById("backup-load");
+const backupResult = document.getElementById("backup-result");
+const backupReport = document.getElementById("backup-report");
+const backupRows = document.getElementById("backup-rows");
+
+const renderBackupRows = (rows) => {
+  backupRows.innerHTML = "";
+  rows.forEach((row) => {
+    const tr = document.createElement("tr");
+    const fileCell = document.createElement("td");
+    const link = document.createElement("a");
+    link.href = "/api/admin/backups/" + encodeURIComponent(row.file);
+    link.textContent = row.file;
+    fileCell.appendChild(link);
+    tr.appendChild(fileCell);
+    [
+      formatDateTime(row.createdAt),
+      Math.ceil(row.size / 1024) + " KiB",
+    ].forEach((value) => {
+      const td = document.createElement("td");
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    backupRows.appendChild(tr);
+  });
+  backupReport.hidden = !rows.length;
+};
+
+const loadBackups = async () => {
+  try {
+    const response = await adminFetch("/api/admin/backups");
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to load backups.");
+    }
+    renderBackupRows(data.backups);
+    if (!data.backups.length) {
+      backupResult.textContent = t("admin.backupEmpty");
+    }
+  } catch (error) {
+    backupResult.textContent = t("common.loadListFailed");
+  }
+};
+
+if (backupCreateButton) {
+  backupLoadButton.addEventListener("click", () => {
+    backupResult.textContent = "";
+    loadBackups();
+  });
+  backupCreateButton.addEventListener("click", async () => {
+    backupCreateButton.disabled = true;
+    backupResult.textContent = t("admin.backupCreating");
+    try {
+      const response = await adminFetch("/api/admin/backups", {
+        method: "POST",
+        body: JSON.stringify({}),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || "Failed to create backup.");
+      }
+      backupResult.textContent = t("admin.backupCreated", { file: data.file });
+      await loadBackups();
+    } catch (error) {
+      backupResult.textContent = t("admin.backupFailed");
+    } finally {
+      backupCreateButton.disabled = false;
+    }
+  });
+}
+
+const lockoutLoadButton = document.getElementById("lockout-load");
+const lockoutResult = document.getElementById("lockout-result");
+const lockoutReport = document.getElementById("lockout-report");
+const lockoutRows = document.getElementById("lockout-rows");
+
+const clearLockout = async (lockout) => {
+  try {
+    const response = await adminFetch("/api/admin/lockouts/clear", {
+      method: "POST",
+      body: JSON.stringify({
+        scope: lockout.scope,
+        kind: lockout.kind,
+        subject: lockout.subject,
+      }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to clear lockout.");
+    }
+    lockoutResult.textContent = t("admin.unlocked", { subject: lockout.subject });
+    await loadLockouts();
+  } catch (error) {
+    lockoutResult.textContent = t("admin.unlockFailed");
+  }
+};
+
+const renderLockoutRows = (rows) => {
+  lockoutRows.innerHTML = "";
+  rows.forEach((row) => {
+    const tr = document.createElement("tr");
+    [
+      labelFor("admin.lockoutScope.", row.scope),
+      labelFor("admin.lockoutKind.", row.kind),
+      row.subject,
+      row.hits,
+      formatDateTime(row.lockedUntil),
+    ].forEach((value) => {
+      const td = document.createElement("td");
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    const actionCell = document.createElement("td");
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "button--ghost";
+    button.textContent = t("admin.unlock");
+    button.addEventListener("click", () => clearLockout(row));
+    actionCell.appendChild(button);
+    tr.appendChild(actionCell);
+    lockoutRows.appendChild(tr);
+  });
+  lockoutReport.hidden = !rows.length;
+};
+
+const loadLockouts = async () => {
+  try {
+    const response = await adminFetch("/api/admin/lockouts");
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to load lockouts.");
+    }
+    renderLockoutRows(data.lockouts);
+    if (!data.lockouts.length) {
+      lockoutResult.textContent = t("admin.lockoutsEmpty");
+    }
+  } catch (error) {
+    lockoutResult.textContent = t("common.loadListFailed");
+  }
+};
+
+if (lockoutLoadButton) {
+  lockoutLoadButton.addEventListener("click", () => {
+    lockoutResult.textContent = "";
+    loadLockouts();
+  });
+}
+
+const IMPORT_STATUSES = ["created", "updated", "unchanged", "skipped", "duplicate", "invalid"];
+const importForm = document.getElementById("import-form");
+
+if (importForm) {
+  const importApply = document.getElementById("import-apply");
+  const importSummary = document.getElementById("import-summary");
+  const importReport = document.getElementById("import-report");
+  const importRows = document.getElementById("import-rows");
+  let previewedInput = null;
+
+  const readImportInput = async () => {
+    const formData = new FormData(importForm);
+    const file = formData.get("file");
+    let csv = formData.get("csv");
+    if (file && file.size) {
+      csv = await file.text();
+    }
+    return { csv, mode: formData.get("mode") };
+  };
+
+  const describeImportRow = (row) => {
+    if (row.status === "invalid") {
+      return row.errors
+        .map((error) => labelFor("admin.importError.", error))
+        .join(t("admin.importErrorSeparator"));
+    }
+    if (row.status === "created") {
+      return row.stamps ? t("admin.importInitialStamps", { count: row.stamps }) : "";
+    }
+    return row.changes
+      ? Object.keys(row.changes)
+          .map((field) => field + ": " + row.changes[field])
+          .join(" / ")
+      : "";
+  };
+
+  importForm.addEventListener("input", () => {
+    importApply.disabled = true;
+  });
+
+  importForm.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const dryRun = !event.submitter || event.submitter.value !== "import";
+    const input = await readImportInput();
+    if (!dryRun && JSON.stringify(input) !== previewedInput) {
+      importApply.disabled = true;
+      importSummary.textContent = t("admin.importChanged");
+      return;
+    }
+    importSummary.textContent = t("common.processing");
+    try {
+      const response = await adminFetch("/api/admin/import", {
+        method: "POST",
+        body: JSON.stringify({ ...input, dryRun }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        importSummary.textContent = data.message || t("admin.importFailed");
+        return;
+      }
+      importRows.innerHTML = "";
+      data.results.forEach((row) => {
+        const tr = document.createElement("tr");
+        [
+          row.row,
+          row.mailAddress,
+          row.username,
+          labelFor("admin.importStatus.", row.status),
+          describeImportRow(row),
+        ].forEach((value) => {
+          const td = document.createElement("td");
+          td.textContent = value;
+          tr.appendChild(td);
+        });
+        importRows.appendChild(tr);
+      });
+      importReport.hidden = false;
+      importSummary.textContent = t(data.dryRun ? "admin.importPreviewed" : "admin.imported", {
+        summary: IMPORT_STATUSES
+          .filter((status) => data.summary[status])
+          .map((status) =>
+            t("admin.importCount", {
+              label: t("admin.importStatus." + status),
+              count: data.summary[status],
+            })
+          )
+          .join(" / "),
+      });
+      previewedInput = data.dryRun ? JSON.stringify(input) : null;
+      importApply.disabled = !data.dryRun || !(data.summary.created || data.summary.updated);
+      if (!data.dryRun) {
+        importForm.reset();
+      }
+    } catch (error) {
+      importSummary.textContent = t("common.networkError");
+    }
+  });
+}
+
+loadPrograms();
+loadSessions();
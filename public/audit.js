@@ -0,0 +1,57 @@
+const form = document.getElementById("audit-form");
+const rows = document.getElementById("audit-rows");
+const status = document.getElementById("audit-status");
+
+const cell = (text) => {
+  const td = document.createElement("td");
+  td.textContent = text;
+  return td;
+};
+
+const formatStamps = (entry) =>
+  entry.beforeStamps === null && entry.afterStamps === null
+    ? ""
+    : (entry.beforeStamps === null ? "-" : entry.beforeStamps) +
+      " → " +
+      (entry.afterStamps === null ? "-" : entry.afterStamps);
+
+const loadAudit = async () => {
+  const params = new URLSearchParams();
+  new FormData(form).forEach((value, key) => {
+    if (value) {
+      params.set(key, value);
+    }
+  });
+  status.textContent = t("common.loading");
+  try {
+    const response = await fetch("/api/admin/audit?" + params.toString());
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to load audit logs.");
+    }
+    rows.innerHTML = "";
+    data.entries.forEach((entry) => {
+      const row = document.createElement("tr");
+      row.appendChild(
+        cell(new Date(entry.createdAt).toLocaleString(LOCALE, { hour12: false }))
+      );
+      row.appendChild(cell(labelFor("audit.action.", entry.action)));
+      row.appendChild(cell(entry.actorName || entry.actorUserId || "-"));
+      row.appendChild(cell(entry.targetName || entry.targetUserId || "-"));
+      row.appendChild(cell(formatStamps(entry)));
+      row.appendChild(cell(entry.details ? JSON.stringify(entry.details) : ""));
+      row.appendChild(cell(entry.ip + " " + entry.method + " " + entry.path));
+      rows.appendChild(row);
+    });
+    status.textContent = data.entries.length ? "" : t("audit.empty");
+  } catch (error) {
+    status.textContent = t("audit.failed");
+  }
+};
+
+form.addEventListener("submit", (event) => {
+  event.preventDefault();
+  loadAudit();
+});
+
+loadAudit();
@@ -0,0 +1,75 @@
+const form = document.getElementById("history-form");
+const rows = document.getElementById("history-rows");
+const status = document.getElementById("history-status");
+const moreButton = document.getElementById("history-more");
+let nextCursor = null;
+
+new URLSearchParams(location.search).forEach((value, key) => {
+  if (form.elements[key]) {
+    form.elements[key].value = value;
+  }
+});
+
+const cell = (text) => {
+  const td = document.createElement("td");
+  td.textContent = text;
+  return td;
+};
+
+const filterParams = () => {
+  const params = new URLSearchParams();
+  new FormData(form).forEach((value, key) => {
+    if (value) {
+      params.set(key, value);
+    }
+  });
+  return params;
+};
+
+const loadHistory = async ({ append = false } = {}) => {
+  const params = filterParams();
+  if (append && nextCursor) {
+    params.set("cursor", nextCursor);
+  }
+  status.textContent = t("common.loading");
+  moreButton.disabled = true;
+  try {
+    const response = await fetch("/api/me/history?" + params.toString());
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to load history.");
+    }
+    if (!append) {
+      rows.innerHTML = "";
+    }
+    data.events.forEach((event) => {
+      const row = document.createElement("tr");
+      row.appendChild(
+        cell(new Date(event.createdAt).toLocaleString(LOCALE, { hour12: false }))
+      );
+      row.appendChild(cell(event.label + (event.revoked ? t("common.revokedSuffix") : "")));
+      row.appendChild(cell(event.programName || event.programId));
+      row.appendChild(cell(event.venue || ""));
+      rows.appendChild(row);
+    });
+    nextCursor = data.nextCursor;
+    moreButton.hidden = !nextCursor;
+    status.textContent = rows.children.length ? "" : t("history.empty");
+  } catch (error) {
+    status.textContent = t("history.failed");
+  } finally {
+    moreButton.disabled = false;
+  }
+};
+
+form.addEventListener("submit", (event) => {
+  event.preventDefault();
+  const params = filterParams();
+  history.replaceState(null, "", "/user/history" + (params.toString() ? "?" + params : ""));
+  nextCursor = null;
+  loadHistory();
+});
+
+moreButton.addEventListener("click", () => loadHistory({ append: true }));
+
+loadHistory();
@@ -0,0 +1,16 @@
+// Messages for the page scripts, rendered by the server into <main
+// data-messages>. Loaded before each page script.
+const LOCALE = document.documentElement.lang;
+const MESSAGES = JSON.parse(document.querySelector("main").dataset.messages || "{}");
+
+const hasMessage = (key) => Object.prototype.hasOwnProperty.call(MESSAGES, key);
+
+const t = (key, params = {}) =>
+  hasMessage(key)
+    ? MESSAGES[key].replace(/\{(\w+)\}/g, (match, name) =>
+        Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+      )
+    : key;
+
+// Labels for values such as statuses; unknown values are shown as they are.
+const labelFor = (prefix, value) => (hasMessage(prefix + value) ? t(prefix + value) : value);
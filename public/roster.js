@@ -0,0 +1,130 @@
+const TOTAL_STAMPS = Number(document.querySelector("main").dataset.totalStamps);
+const CSRF_TOKEN = document.querySelector('meta[name="csrf-token"]').content;
+const searchForm = document.getElementById("search-form");
+const rows = document.getElementById("roster-rows");
+const prevButton = document.getElementById("prev-page");
+const nextButton = document.getElementById("next-page");
+const pageInfo = document.getElementById("page-info");
+const status = document.getElementById("roster-status");
+const sortButtons = Array.from(document.querySelectorAll(".sort-button"));
+const state = { q: "", sort: "username", order: "asc", page: 1, pageSize: 20 };
+let total = 0;
+
+const formatDateTime = (iso) =>
+  iso ? new Date(iso).toLocaleString(LOCALE, { hour12: false }) : "-";
+
+const cell = (text) => {
+  const td = document.createElement("td");
+  td.textContent = text;
+  return td;
+};
+
+const grantStamp = async (user, stampsCell, lastEventCell, button) => {
+  button.disabled = true;
+  try {
+    const response = await fetch("/api/admin/stamp", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-CSRF-Token": CSRF_TOKEN },
+      body: JSON.stringify({ userId: user.id }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to grant stamp.");
+    }
+    stampsCell.textContent = data.stamps + " / " + TOTAL_STAMPS;
+    lastEventCell.textContent = formatDateTime(new Date().toISOString());
+    status.textContent = t("roster.granted", { name: user.username || user.id });
+  } catch (error) {
+    status.textContent = t("roster.grantFailed");
+  } finally {
+    button.disabled = false;
+  }
+};
+
+const renderRows = (users) => {
+  rows.innerHTML = "";
+  users.forEach((user) => {
+    const row = document.createElement("tr");
+    const stampsCell = cell(user.stamps + " / " + TOTAL_STAMPS);
+    const lastEventCell = cell(formatDateTime(user.lastEventAt));
+    const actionCell = document.createElement("td");
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = t("roster.grant");
+    button.addEventListener("click", () =>
+      grantStamp(user, stampsCell, lastEventCell, button)
+    );
+    actionCell.appendChild(button);
+    row.appendChild(cell(user.username || t("roster.unnamed")));
+    row.appendChild(cell(user.mailAddress || "-"));
+    row.appendChild(cell(user.job || ""));
+    row.appendChild(stampsCell);
+    row.appendChild(lastEventCell);
+    row.appendChild(actionCell);
+    rows.appendChild(row);
+  });
+};
+
+const loadRoster = async () => {
+  const params = new URLSearchParams({
+    q: state.q,
+    sort: state.sort,
+    order: state.order,
+    page: String(state.page),
+    pageSize: String(state.pageSize),
+  });
+  status.textContent = t("common.loading");
+  try {
+    const response = await fetch("/api/admin/users?" + params.toString());
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to load users.");
+    }
+    total = data.total;
+    renderRows(data.users);
+    const lastPage = Math.max(1, Math.ceil(total / state.pageSize));
+    pageInfo.textContent = t("roster.pageInfo", { page: state.page, lastPage, total });
+    prevButton.disabled = state.page <= 1;
+    nextButton.disabled = state.page >= lastPage;
+    sortButtons.forEach((button) => {
+      const active = button.dataset.sort === state.sort;
+      button.classList.toggle("sort-button--active", active);
+      button.dataset.order = active ? state.order : "";
+    });
+    status.textContent = data.users.length ? "" : t("roster.empty");
+  } catch (error) {
+    status.textContent = t("roster.failed");
+  }
+};
+
+searchForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  state.q = new FormData(searchForm).get("q").trim();
+  state.page = 1;
+  loadRoster();
+});
+
+sortButtons.forEach((button) => {
+  button.addEventListener("click", () => {
+    if (state.sort === button.dataset.sort) {
+      state.order = state.order === "asc" ? "desc" : "asc";
+    } else {
+      state.sort = button.dataset.sort;
+      state.order = "asc";
+    }
+    state.page = 1;
+    loadRoster();
+  });
+});
+
+prevButton.addEventListener("click", () => {
+  state.page = Math.max(1, state.page - 1);
+  loadRoster();
+});
+
+nextButton.addEventListener("click", () => {
+  state.page += 1;
+  loadRoster();
+});
+
+loadRoster();
@@ -0,0 +1,112 @@
+const form = document.getElementById("stats-form");
+const status = document.getElementById("stats-status");
+const members = document.getElementById("stats-members");
+
+const renderBars = (listId, rows, label, value, describe) => {
+  const list = document.getElementById(listId);
+  const max = Math.max(1, ...rows.map(value));
+  list.innerHTML = "";
+  rows.forEach((row) => {
+    const item = document.createElement("li");
+    item.className = "stat-bar";
+    const name = document.createElement("span");
+    name.className = "stat-bar__label";
+    name.textContent = label(row);
+    const track = document.createElement("span");
+    track.className = "stat-bar__track";
+    const fill = document.createElement("span");
+    fill.className = "stat-bar__fill";
+    fill.style.width = (value(row) / max) * 100 + "%";
+    track.appendChild(fill);
+    const count = document.createElement("span");
+    count.className = "stat-bar__value";
+    count.textContent = describe(row);
+    item.append(name, track, count);
+    list.appendChild(item);
+  });
+};
+
+const fetchStats = async (path, params) => {
+  const response = await fetch("/api/admin/stats/" + path + "?" + params.toString());
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.message || "Failed to load statistics.");
+  }
+  return data;
+};
+
+const loadStats = async () => {
+  const formData = new FormData(form);
+  const params = new URLSearchParams();
+  ["period", "from", "to", "programId"].forEach((key) => {
+    if (formData.get(key)) {
+      params.set(key, formData.get(key));
+    }
+  });
+  const memberParams = new URLSearchParams({ activeDays: formData.get("activeDays") });
+  if (formData.get("programId")) {
+    memberParams.set("programId", formData.get("programId"));
+  }
+  status.textContent = t("stats.loading");
+  try {
+    const [stamps, cycles, signups, activity, distribution] = await Promise.all([
+      fetchStats("stamps", params),
+      fetchStats("cycles", params),
+      fetchStats("signups", params),
+      fetchStats("members", memberParams),
+      fetchStats(
+        "distribution",
+        new URLSearchParams({ programId: formData.get("programId") || "default" })
+      ),
+    ]);
+    members.textContent = t("stats.memberSummary", {
+      total: activity.total,
+      active: activity.active,
+      lapsed: activity.lapsed,
+      never: activity.never,
+      days: activity.activeDays,
+    });
+    renderBars(
+      "stats-stamps",
+      stamps.buckets,
+      (row) => row.period,
+      (row) => row.granted,
+      (row) =>
+        t("stats.granted", { count: row.granted }) +
+        (row.revoked ? t("stats.revoked", { count: row.revoked }) : "")
+    );
+    renderBars(
+      "stats-cycles",
+      cycles.buckets,
+      (row) => row.period,
+      (row) => row.completed,
+      (row) => t("stats.cards", { count: row.completed })
+    );
+    renderBars(
+      "stats-signups",
+      signups.buckets,
+      (row) => row.period,
+      (row) => row.signups,
+      (row) => t("stats.people", { count: row.signups })
+    );
+    document.getElementById("stats-distribution-note").textContent =
+      formData.get("programId") ? "" : t("stats.defaultProgramNote");
+    renderBars(
+      "stats-distribution",
+      distribution.distribution,
+      (row) => row.stamps + " / " + distribution.stampCount,
+      (row) => row.members,
+      (row) => t("stats.people", { count: row.members })
+    );
+    status.textContent = t("stats.range", { from: stamps.from, to: stamps.to });
+  } catch (error) {
+    status.textContent = error.message || t("stats.failed");
+  }
+};
+
+form.addEventListener("submit", (event) => {
+  event.preventDefault();
+  loadStats();
+});
+
+loadStats();
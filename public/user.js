@@ -0,0 +1,319 @@
+const main = document.querySelector("main");
+const PROGRAM = JSON.parse(main.dataset.program);
+const TOTAL_STAMPS = PROGRAM.stampCount;
+const STREAM_HEARTBEAT_MS = Number(main.dataset.heartbeatMs);
+const STREAM_TIMEOUT_MS = STREAM_HEARTBEAT_MS * 2 + 5000;
+const CSRF_TOKEN = document.querySelector('meta[name="csrf-token"]').content;
+const userId = main.dataset.userId;
+const initialStamps = Number(main.dataset.stamps || 0);
+const centerCount = document.getElementById("center-count");
+const resetButton = document.getElementById("reset-button");
+const refreshButton = document.getElementById("refresh-button");
+const lastUpdated = document.getElementById("last-updated");
+const recentEvents = document.getElementById("recent-events");
+const milestoneToast = document.getElementById("milestone-toast");
+const profileSummary = document.getElementById("profile-summary");
+const profileJob = document.getElementById("profile-job");
+const checkinForm = document.getElementById("checkin-form");
+const checkinResult = document.getElementById("checkin-result");
+const lifetimeSummary = document.getElementById("lifetime-summary");
+const cardCycles = document.getElementById("card-cycles");
+const dots = Array.from(document.querySelectorAll(".ring-dot"));
+const progressCircle = document.querySelector(".ring-progress");
+const ringRadius = Number(progressCircle.getAttribute("r"));
+const ringCircumference = 2 * Math.PI * ringRadius;
+progressCircle.style.strokeDasharray = ringCircumference;
+progressCircle.style.strokeDashoffset = ringCircumference;
+
+let lastUpdatedAt;
+let currentStamps = initialStamps;
+let toastTimer = null;
+
+const clamp = (value) => Math.min(TOTAL_STAMPS, Math.max(0, Number(value) || 0));
+
+const formatDateTime = (iso) => {
+  if (!iso) {
+    return t("user.notUpdated");
+  }
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) {
+    return iso;
+  }
+  return date.toLocaleString(LOCALE, { hour12: false });
+};
+
+const setToast = (message) => {
+  milestoneToast.textContent = message;
+  milestoneToast.classList.add("toast--show");
+  if (toastTimer) {
+    clearTimeout(toastTimer);
+  }
+  toastTimer = setTimeout(() => {
+    milestoneToast.classList.remove("toast--show");
+  }, 3000);
+};
+
+const renderEvents = (events = []) => {
+  recentEvents.innerHTML = "";
+  if (!events.length) {
+    const empty = document.createElement("li");
+    empty.className = "event-item";
+    empty.textContent = t("user.noEvents");
+    recentEvents.appendChild(empty);
+    return;
+  }
+  events.forEach((event) => {
+    const item = document.createElement("li");
+    item.className = "event-item";
+    item.textContent = event.label + " / " + formatDateTime(event.createdAt);
+    recentEvents.appendChild(item);
+  });
+};
+
+const formatDate = (iso) => new Date(iso).toLocaleDateString(LOCALE);
+
+const loadCycles = async () => {
+  try {
+    const response = await fetch(
+      "/api/me/cycles?programId=" + encodeURIComponent(PROGRAM.id)
+    );
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to load cycles.");
+    }
+    lifetimeSummary.textContent = t("user.lifetime", {
+      stamps: data.lifetimeStamps,
+      cycles: data.completedCycles,
+    });
+    cardCycles.innerHTML = "";
+    if (!data.cycles.length) {
+      const empty = document.createElement("li");
+      empty.className = "event-item";
+      empty.textContent = t("user.noCycles");
+      cardCycles.appendChild(empty);
+      return;
+    }
+    data.cycles.forEach((cycle) => {
+      const item = document.createElement("li");
+      item.className = "event-item";
+      item.textContent = t("user.cycle", {
+        number: cycle.cycleNumber,
+        from: formatDate(cycle.startedAt),
+        to: formatDate(cycle.completedAt),
+        stamps: cycle.stamps,
+      });
+      cardCycles.appendChild(item);
+    });
+  } catch (error) {
+    lifetimeSummary.textContent = t("user.cyclesFailed");
+  }
+};
+
+const renderProfile = (profile = {}) => {
+  const name = profile.username || t("user.defaultName");
+  const job = profile.job ? t("user.jobSuffix", { job: profile.job }) : "";
+  profileSummary.textContent = t("user.welcome", { name, job });
+  profileJob.textContent = profile.description ? profile.description : "";
+};
+
+const programStamps = (data) => {
+  const current = (data.programs || []).find((item) => item.id === PROGRAM.id);
+  return current ? current.stamps : data.stamps;
+};
+
+const render = (data, previousStamps) => {
+  const stamps = clamp(programStamps(data));
+  const progress = stamps / TOTAL_STAMPS;
+  const offset = ringCircumference * (1 - progress);
+  progressCircle.style.strokeDashoffset = offset;
+  dots.forEach((dot, index) => {
+    dot.classList.toggle("ring-dot--filled", index < stamps);
+  });
+  centerCount.textContent = stamps + " / " + TOTAL_STAMPS;
+  if (stamps >= TOTAL_STAMPS) {
+    centerCount.hidden = true;
+    resetButton.hidden = false;
+  } else {
+    centerCount.hidden = false;
+    resetButton.hidden = true;
+  }
+  lastUpdated.textContent = t("user.lastUpdated", { time: formatDateTime(data.lastUpdatedAt) });
+  renderEvents(data.recentEvents || []);
+  renderProfile(data.profile || {});
+
+  if (typeof previousStamps === "number") {
+    PROGRAM.milestones.forEach((value) => {
+      const storageKey =
+        "milestone_shown_" + value + "_" + userId + (PROGRAM.isDefault ? "" : "_" + PROGRAM.id);
+      if (previousStamps < value && stamps >= value && !localStorage.getItem(storageKey)) {
+        localStorage.setItem(storageKey, "true");
+        setToast(t("user.milestone", { count: value }));
+      }
+    });
+  }
+
+  currentStamps = stamps;
+  lastUpdatedAt = data.lastUpdatedAt || null;
+};
+
+const applyStatus = (data, { forceRender = false } = {}) => {
+  const changed =
+    typeof lastUpdatedAt !== "undefined" && data.lastUpdatedAt !== lastUpdatedAt;
+  if (forceRender || changed || typeof lastUpdatedAt === "undefined") {
+    render(data, currentStamps);
+  } else {
+    currentStamps = clamp(programStamps(data));
+    lastUpdatedAt = data.lastUpdatedAt || null;
+  }
+  const latest = (data.recentEvents || [])[0];
+  if (changed && latest && latest.eventType === "RESET") {
+    loadCycles();
+  }
+};
+
+const setRefreshState = (loading) => {
+  refreshButton.disabled = loading;
+  refreshButton.textContent = t(loading ? "user.refreshing" : "user.refresh");
+};
+
+const fetchStatus = async ({ forceRender = false, showLoading = false } = {}) => {
+  if (showLoading) {
+    setRefreshState(true);
+  }
+  try {
+    const response = await fetch("/api/me");
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to fetch status.");
+    }
+    applyStatus(data, { forceRender });
+  } catch (error) {
+    if (showLoading) {
+      alert(t("user.refreshFailed"));
+    }
+  } finally {
+    if (showLoading) {
+      setRefreshState(false);
+    }
+  }
+};
+
+resetButton.addEventListener("click", async () => {
+  resetButton.disabled = true;
+  resetButton.textContent = t("common.processing");
+  try {
+    const response = await fetch("/api/reset", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-CSRF-Token": CSRF_TOKEN },
+      body: JSON.stringify({ userId, programId: PROGRAM.id }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to reset.");
+    }
+    render({ ...data, lastUpdatedAt: data.lastUpdatedAt || new Date().toISOString(), recentEvents: [], profile: data.profile || {} }, currentStamps);
+    await fetchStatus({ forceRender: true });
+    await loadCycles();
+  } catch (error) {
+    alert(t("user.resetFailed"));
+  } finally {
+    resetButton.disabled = false;
+    resetButton.textContent = PROGRAM.rewardText;
+  }
+});
+
+refreshButton.addEventListener("click", () => {
+  fetchStatus({ forceRender: true, showLoading: true });
+});
+
+checkinForm.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  const submitButton = checkinForm.querySelector("button");
+  const code = new FormData(checkinForm).get("code");
+  submitButton.disabled = true;
+  checkinResult.textContent = t("common.processing");
+  try {
+    const response = await fetch("/api/checkin", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-CSRF-Token": CSRF_TOKEN },
+      body: JSON.stringify({ code }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      checkinResult.textContent = data.message || t("user.checkinFailed");
+      return;
+    }
+    checkinForm.reset();
+    checkinResult.textContent = t("user.checkedIn", { venue: data.session.venue });
+    await fetchStatus({ forceRender: true });
+  } catch (error) {
+    checkinResult.textContent = t("common.networkError");
+  } finally {
+    submitButton.disabled = false;
+  }
+});
+
+let pollTimer = null;
+let stream = null;
+let streamSeenAt = 0;
+let reconnectDelay = 1000;
+
+const startPolling = () => {
+  if (!pollTimer) {
+    pollTimer = setInterval(() => {
+      fetchStatus();
+    }, 5000);
+  }
+};
+
+const stopPolling = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+};
+
+// Polls only while the stream is down; the browser retries an
+// interrupted stream on its own, and a closed or silent one is
+// reopened here with backoff.
+const openStream = () => {
+  stream = new EventSource("/api/me/stream");
+  streamSeenAt = Date.now();
+  stream.addEventListener("open", () => {
+    streamSeenAt = Date.now();
+    reconnectDelay = 1000;
+    stopPolling();
+  });
+  stream.addEventListener("stamps", (event) => {
+    streamSeenAt = Date.now();
+    applyStatus(JSON.parse(event.data));
+  });
+  stream.addEventListener("ping", () => {
+    streamSeenAt = Date.now();
+  });
+  stream.addEventListener("error", () => {
+    startPolling();
+    if (stream.readyState === EventSource.CLOSED) {
+      reopenStream();
+    }
+  });
+};
+
+const reopenStream = () => {
+  stream.close();
+  startPolling();
+  setTimeout(openStream, reconnectDelay);
+  reconnectDelay = Math.min(reconnectDelay * 2, 60000);
+};
+
+render({ stamps: currentStamps, lastUpdatedAt: null, recentEvents: [], profile: {} });
+fetchStatus({ forceRender: true });
+loadCycles();
+if (window.EventSource) {
+  openStream();
+  setInterval(() => {
+    if (stream.readyState !== EventSource.CLOSED && Date.now() - streamSeenAt > STREAM_TIMEOUT_MS) {
+      reopenStream();
+    }
+  }, STREAM_HEARTBEAT_MS);
+} else {
+  startPolling();
+}
@@ -0,0 +1,70 @@
+const path = require("path");
+const dotenv = require("dotenv");
+const { defaultDbPath } = require("../lib/db");
+const { getLatestVersion } = require("../lib/migrations");
+const {
+  defaultBackupDir,
+  DEFAULT_BACKUP_KEEP,
+  createBackupManager,
+  restoreDatabase,
+} = require("../lib/backup");
+
+dotenv.config();
+
+const USAGE = "Usage: node scripts/backup.js <create|list|restore <file>>";
+
+const formatSize = (bytes) => `${Math.ceil(bytes / 1024)} KiB`;
+
+const main = async () => {
+  const [command, source] = process.argv.slice(2);
+  if (!["create", "list", "restore"].includes(command) || (command === "restore" && !source)) {
+    console.error(USAGE);
+    return 2;
+  }
+  const filename = process.env.DB_PATH || defaultDbPath;
+  const directory = process.env.BACKUP_DIR || defaultBackupDir;
+  const backups = createBackupManager({
+    filename,
+    directory,
+    keep: Number(process.env.BACKUP_KEEP) || DEFAULT_BACKUP_KEEP,
+  });
+  if (command === "create") {
+    const backup = await backups.createBackup();
+    console.log(`Backed up database to ${path.join(directory, backup.file)} (${formatSize(backup.size)}).`);
+    backup.removed.forEach((file) => console.log(`Removed old backup ${file}`));
+    return 0;
+  }
+  if (command === "list") {
+    const list = backups.listBackups();
+    list.forEach((backup) => {
+      console.log(`${backup.file}\t${backup.createdAt}\t${formatSize(backup.size)}`);
+    });
+    console.log(`${list.length} backup(s) in ${directory}.`);
+    return 0;
+  }
+  const result = await restoreDatabase({
+    source: backups.resolveBackup(source) || path.resolve(source),
+    filename,
+    directory,
+    latestVersion: getLatestVersion(),
+  });
+  if (result.previous) {
+    console.log(`Saved the previous database to ${result.previous}`);
+  }
+  console.log(
+    `Restored ${result.users} user(s) at schema version ${result.version} of ${result.latestVersion}.`
+  );
+  if (result.version < result.latestVersion) {
+    console.log("Pending migrations will be applied when the server starts.");
+  }
+  return 0;
+};
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error("Failed to run backup:", error.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,55 @@
+const dotenv = require("dotenv");
+const { defaultDbPath, openDatabase } = require("../lib/db");
+const { createMigrator } = require("../lib/migrations");
+
+dotenv.config();
+
+const USAGE = "Usage: node scripts/migrate.js <status|up>";
+
+const printStatus = (status) => {
+  status.migrations.forEach((migration) => {
+    console.log(
+      `${String(migration.version).padStart(3, "0")}\t${migration.appliedAt || "pending"}\t${migration.name}`
+    );
+  });
+  status.unknown.forEach((row) => {
+    console.log(
+      `${String(row.version).padStart(3, "0")}\t${row.appliedAt}\t${row.name} (no migration file)`
+    );
+  });
+  console.log(`Schema version ${status.currentVersion} of ${status.latestVersion}.`);
+};
+
+const main = async () => {
+  const [command] = process.argv.slice(2);
+  if (command !== "status" && command !== "up") {
+    console.error(USAGE);
+    return 2;
+  }
+  const database = openDatabase(process.env.DB_PATH || defaultDbPath);
+  const { getStatus, migrateUp } = createMigrator(database);
+  try {
+    if (command === "status") {
+      const status = await getStatus();
+      printStatus(status);
+      return status.currentVersion === status.latestVersion ? 0 : 1;
+    }
+    const applied = await migrateUp();
+    applied.forEach((migration) => {
+      console.log(`Applied migration ${migration.version} ${migration.name}`);
+    });
+    console.log(applied.length ? `Applied ${applied.length} migration(s).` : "Schema is up to date.");
+    return 0;
+  } finally {
+    await database.close();
+  }
+};
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error("Failed to run migrations:", error);
+    process.exitCode = 1;
+  });
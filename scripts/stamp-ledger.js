@@ -0,0 +1,59 @@
+const dotenv = require("dotenv");
+const { defaultDbPath, openDatabase } = require("../lib/db");
+const { createAuditRecorder } = require("../lib/audit");
+const { createStampLedger } = require("../lib/stamp-ledger");
+
+dotenv.config();
+
+const USAGE = "Usage: node scripts/stamp-ledger.js <check|repair> [userId...]";
+
+const formatRow = (row) =>
+  `${row.userId}\t${row.username || "-"}\tstored=${row.storedStamps}\tledger=${row.ledgerStamps}`;
+
+const main = async () => {
+  const [command, ...userIds] = process.argv.slice(2);
+  if (command !== "check" && command !== "repair") {
+    console.error(USAGE);
+    return 2;
+  }
+  const database = openDatabase(process.env.DB_PATH || defaultDbPath);
+  const recordAudit = createAuditRecorder(database.runDb);
+  const { findStampDrift, repairStampCounts } = createStampLedger({
+    ...database,
+    recordAudit,
+  });
+  try {
+    if (command === "check") {
+      const drift = (await findStampDrift()).filter(
+        (row) => !userIds.length || userIds.includes(row.userId)
+      );
+      drift.forEach((row) => console.log(formatRow(row)));
+      console.log(`${drift.length} user(s) disagree with the ledger.`);
+      return drift.length ? 1 : 0;
+    }
+    const repaired = await repairStampCounts({
+      context: {
+        actorUserId: null,
+        ip: "",
+        userAgent: "",
+        method: "CLI",
+        path: `stamp-ledger repair ${userIds.join(" ")}`.trim(),
+      },
+      userIds: userIds.length ? userIds : undefined,
+    });
+    repaired.forEach((row) => console.log(formatRow(row)));
+    console.log(`Repaired ${repaired.length} user(s) from the ledger.`);
+    return 0;
+  } finally {
+    await database.close();
+  }
+};
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error("Failed to run stamp ledger command:", error);
+    process.exitCode = 1;
+  });
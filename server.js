@@ -1,88 +1,210 @@
 const express = require("express");
-const sqlite3 = require("sqlite3").verbose();
 const path = require("path");
-const fs = require("fs");
 const dotenv = require("dotenv");
 const crypto = require("crypto");
 const session = require("express-session");
 const passport = require("passport");
 const GoogleStrategy = require("passport-google-oauth20").Strategy;
+const QRCode = require("qrcode");
+const { createMailer } = require("./lib/mailer");
+const { createSqliteSessionStore } = require("./lib/session-store");
+const { defaultDbPath, openDatabase } = require("./lib/db");
+const { createAuditRecorder } = require("./lib/audit");
+const { createMigrator } = require("./lib/migrations");
+const {
+  defaultBackupDir,
+  DEFAULT_BACKUP_KEEP,
+  createBackupManager,
+} = require("./lib/backup");
+const { createStampStream } = require("./lib/stamp-stream");
+const {
+  DEFAULT_GRACE_DAYS,
+  createAccountDeletion,
+} = require("./lib/account-deletion");
+const {
+  DEFAULT_MAX_ATTEMPTS,
+  DEFAULT_IP_MAX_ATTEMPTS,
+  DEFAULT_WINDOW_MINUTES,
+  DEFAULT_LOCKOUT_MINUTES,
+  createRateLimiter,
+} = require("./lib/rate-limiter");
+const { createEmailChange } = require("./lib/email-change");
+const { CSV_BOM, toCsvLine, parseCsv } = require("./lib/csv");
+const { html } = require("./lib/html");
+const { renderLayout } = require("./lib/layout");
+const {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  LOCALE_NAMES,
+  isSupportedLocale,
+  negotiateLocale,
+  createTranslator,
+} = require("./lib/i18n");
+const {
+  USER_REGISTERED_AT_SQL,
+  formatLocalDate,
+  resolveStatsRange,
+  createStatsQueries,
+} = require("./lib/stats");
+const {
+  DEFAULT_PROGRAM_ID,
+  clampStamps,
+  createStampLedger,
+} = require("./lib/stamp-ledger");
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
-const ADMIN_USER_ID = process.env.ADMIN_USER_ID || "admin";
+const ADMIN_USER_ID = process.env.ADMIN_USER_ID || "";
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID || "";
 const GOOGLE_CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET || "";
 const GOOGLE_CALLBACK_URL = process.env.GOOGLE_CALLBACK_URL || "";
 const SESSION_SECRET = process.env.SESSION_SECRET || "dev-session-secret";
+const SECURE_COOKIES = process.env.NODE_ENV === "production";
+const CHECKIN_CODE_PERIOD_SECONDS =
+  Number(process.env.CHECKIN_CODE_PERIOD_SECONDS) || 120;
+const SESSION_MAX_AGE_DAYS = Number(process.env.SESSION_MAX_AGE_DAYS) || 14;
+const SESSION_PRUNE_INTERVAL_MINUTES =
+  Number(process.env.SESSION_PRUNE_INTERVAL_MINUTES) || 15;
+const LOGIN_CODE_TTL_MINUTES = Number(process.env.LOGIN_CODE_TTL_MINUTES) || 15;
+const LOGIN_CODE_MAX_ATTEMPTS = 5;
+const GOOGLE_LINK_TTL_MINUTES = 10;
+const STREAM_HEARTBEAT_SECONDS = Number(process.env.STREAM_HEARTBEAT_SECONDS) || 25;
+const ACCOUNT_DELETION_GRACE_DAYS =
+  Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || DEFAULT_GRACE_DAYS;
+const ACCOUNT_DELETION_SWEEP_MINUTES = 60;
+const BACKUP_DIR = process.env.BACKUP_DIR || defaultBackupDir;
+const BACKUP_KEEP = Number(process.env.BACKUP_KEEP) || DEFAULT_BACKUP_KEEP;
+const BACKUP_INTERVAL_HOURS =
+  process.env.BACKUP_INTERVAL_HOURS === "0"
+    ? 0
+    : Number(process.env.BACKUP_INTERVAL_HOURS) || 24;
+const RATE_LIMIT_MAX_ATTEMPTS =
+  Number(process.env.RATE_LIMIT_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+const RATE_LIMIT_IP_MAX_ATTEMPTS =
+  Number(process.env.RATE_LIMIT_IP_MAX_ATTEMPTS) || DEFAULT_IP_MAX_ATTEMPTS;
+const RATE_LIMIT_WINDOW_MINUTES =
+  Number(process.env.RATE_LIMIT_WINDOW_MINUTES) || DEFAULT_WINDOW_MINUTES;
+const RATE_LIMIT_LOCKOUT_MINUTES =
+  Number(process.env.RATE_LIMIT_LOCKOUT_MINUTES) || DEFAULT_LOCKOUT_MINUTES;
+const RATE_LIMIT_PRUNE_MINUTES = 15;
+const TRUST_PROXY = process.env.TRUST_PROXY || "";
+const DB_PATH = process.env.DB_PATH || defaultDbPath;
+
+const mailer = createMailer({
+  transport: process.env.MAIL_TRANSPORT || "console",
+  from: process.env.MAIL_FROM || "zazen-stamp@localhost",
+  directory: process.env.MAIL_FILE_DIR || path.join(__dirname, "data", "mail"),
+  host: process.env.SMTP_HOST,
+  port: process.env.SMTP_PORT,
+  secure: process.env.SMTP_SECURE === "true",
+  user: process.env.SMTP_USER,
+  pass: process.env.SMTP_PASS,
+});
 
 const hasGoogleAuth = Boolean(
   GOOGLE_CLIENT_ID && GOOGLE_CLIENT_SECRET && GOOGLE_CALLBACK_URL
 );
 
-const dbDir = path.join(__dirname, "data");
-if (!fs.existsSync(dbDir)) {
-  fs.mkdirSync(dbDir, { recursive: true });
-}
-
-const dbPath = path.join(dbDir, "stamps.db");
-const db = new sqlite3.Database(dbPath);
+const { runDb, getDb, allDb, eachDb, withTransaction } = openDatabase(DB_PATH);
 
-const runDb = (sql, params = []) =>
-  new Promise((resolve, reject) => {
-    db.run(sql, params, function runCallback(err) {
-      if (err) {
-        reject(err);
-        return;
-      }
-      resolve(this);
-    });
-  });
+const { migrateUp } = createMigrator({ runDb, getDb, allDb, withTransaction });
 
-const getDb = (sql, params = []) =>
-  new Promise((resolve, reject) => {
-    db.get(sql, params, (err, row) => {
-      if (err) {
-        reject(err);
-        return;
-      }
-      resolve(row);
-    });
-  });
+const stampStream = createStampStream({ heartbeatMs: STREAM_HEARTBEAT_SECONDS * 1000 });
 
-const allDb = (sql, params = []) =>
-  new Promise((resolve, reject) => {
-    db.all(sql, params, (err, rows) => {
-      if (err) {
-        reject(err);
-        return;
-      }
-      resolve(rows || []);
-    });
-  });
+const backups = createBackupManager({
+  filename: DB_PATH,
+  directory: BACKUP_DIR,
+  keep: BACKUP_KEEP,
+});
 
 const nowIso = () => new Date().toISOString();
 
-const normalizeMail = (value) => (value || "").trim().toLowerCase();
-const normalizeUsername = (value) => (value || "").trim();
+const formatDateTime = (iso, locale = DEFAULT_LOCALE) =>
+  new Date(iso).toLocaleString(locale, { hour12: false });
+
+const auditContext = (req) => ({
+  actorUserId: req.session ? req.session.userId || null : null,
+  ip: req.ip || "",
+  userAgent: req.get("user-agent") || "",
+  method: req.method,
+  path: req.originalUrl,
+});
+
+const recordAudit = createAuditRecorder(runDb);
+
+const {
+  readStoredStamps,
+  writeStoredStamps,
+  countStampsFromLedger,
+  findStampDrift,
+  repairStampCounts,
+  syncCardCycles,
+  recordMergedStamps,
+  countCardsChangedBySize,
+  backfillCardCycles,
+  listCardCycles,
+  getLifetimeSummary,
+} = createStampLedger({ runDb, getDb, allDb, withTransaction, recordAudit });
+const {
+  getPendingDeletion,
+  requestDeletion,
+  cancelDeletion,
+  scheduleDeletionSweep,
+} = createAccountDeletion(
+  { runDb, getDb, allDb, withTransaction, recordAudit },
+  { graceDays: ACCOUNT_DELETION_GRACE_DAYS }
+);
+const rateLimits = createRateLimiter(
+  { runDb, getDb, allDb, withTransaction },
+  {
+    maxAttempts: RATE_LIMIT_MAX_ATTEMPTS,
+    ipMaxAttempts: RATE_LIMIT_IP_MAX_ATTEMPTS,
+    windowMinutes: RATE_LIMIT_WINDOW_MINUTES,
+    lockoutMinutes: RATE_LIMIT_LOCKOUT_MINUTES,
+  }
+);
+const {
+  stampsPerPeriod,
+  completedCardsPerPeriod,
+  signupsPerPeriod,
+  memberActivity,
+  stampDistribution,
+} = createStatsQueries({ allDb, getDb });
+
+// Form and JSON bodies can carry arrays or objects; only strings are input.
+const bodyText = (value) => (typeof value === "string" ? value : "");
+const normalizeMail = (value) => bodyText(value).trim().toLowerCase();
+const normalizeUsername = (value) => bodyText(value).trim();
 
-const clampStamps = (stamps) => Math.min(13, Math.max(0, stamps));
+const ROLE_LEVELS = { member: 0, staff: 1, owner: 2 };
+
+const normalizeRole = (role) =>
+  Object.prototype.hasOwnProperty.call(ROLE_LEVELS, role) ? role : "member";
+
+const hasRole = (user, role) =>
+  Boolean(user) && ROLE_LEVELS[normalizeRole(user.role)] >= ROLE_LEVELS[role];
+
+const higherRole = (a, b) =>
+  ROLE_LEVELS[normalizeRole(a)] >= ROLE_LEVELS[normalizeRole(b)]
+    ? normalizeRole(a)
+    : normalizeRole(b);
 
 const getUserById = async (id) => {
   const row = await getDb(
-    "SELECT id, stamps, isAdmin FROM users WHERE id = ?",
+    "SELECT id, stamps, isAdmin, role FROM users WHERE id = ?",
     [id]
   );
   if (!row) {
     return null;
   }
+  const role = normalizeRole(row.role);
   return {
     id: row.id,
-    stamps: clampStamps(row.stamps),
-    isAdmin: Boolean(row.isAdmin),
+    stamps: Math.max(0, row.stamps),
+    isAdmin: hasRole({ role }, "staff"),
+    role,
   };
 };
 
@@ -94,12 +216,12 @@ const getOrCreateUser = async (id) => {
   await runDb("INSERT INTO users (id, stamps, isAdmin) VALUES (?, 0, 0)", [
     id,
   ]);
-  return { id, stamps: 0, isAdmin: false };
+  return { id, stamps: 0, isAdmin: false, role: "member" };
 };
 
 const getProfileByUserId = async (userId) => {
   const row = await getDb(
-    "SELECT userId, username, mailAddress, description, job, hobbies, updatedAt FROM user_profiles WHERE userId = ?",
+    "SELECT userId, username, mailAddress, description, job, hobbies, locale, updatedAt FROM user_profiles WHERE userId = ?",
     [userId]
   );
   return row || null;
@@ -117,1120 +239,4699 @@ const getPrimaryIdentityForUser = async (userId) =>
     [userId]
   );
 
-const ensureAdminUser = () => {
-  db.run(
-    "INSERT OR IGNORE INTO users (id, stamps, isAdmin) VALUES (?, 0, 1)",
-    [ADMIN_USER_ID],
-    (insertErr) => {
-      if (insertErr) {
-        console.error("Failed to ensure admin user:", insertErr);
-      }
-    }
+const getIdentitiesForUser = async (userId) =>
+  allDb(
+    "SELECT id, provider, providerKey, createdAt FROM auth_identities WHERE userId = ? ORDER BY id ASC",
+    [userId]
   );
+
+const STAMP_EVENT_TYPES = ["ADD", "REVOKE", "ADJUST", "RESET"];
+
+const describeStampEvent = (event, t) => {
+  let label = t.has(`event.type.${event.eventType}`)
+    ? t(`event.type.${event.eventType}`)
+    : event.eventType;
+  if (event.eventType === "ADJUST" && event.delta) {
+    label += ` ${event.delta > 0 ? "+" : ""}${event.delta}`;
+  }
+  const detail =
+    event.note ||
+    (event.reason && t.has(`event.reason.${event.reason}`)
+      ? t(`event.reason.${event.reason}`)
+      : event.reason);
+  return detail ? t("event.withDetail", { label, detail }) : label;
 };
 
-db.serialize(() => {
-  db.run(
-    "CREATE TABLE IF NOT EXISTS users (id TEXT PRIMARY KEY, stamps INTEGER NOT NULL DEFAULT 0, isAdmin INTEGER NOT NULL DEFAULT 0)"
-  );
+// label is written in t's language; eventType and reason stay stable for
+// scripts that need to tell events apart.
+const toStampEventJson = (event, t) => ({
+  id: event.id,
+  eventType: event.eventType,
+  reason: event.reason,
+  note: event.note || null,
+  delta: event.delta === null || event.delta === undefined ? null : event.delta,
+  revokedEventId: event.revokedEventId || null,
+  sessionId: event.sessionId || null,
+  programId: event.programId,
+  createdAt: event.createdAt,
+  label: describeStampEvent(event, t),
+});
 
-  db.run(
-    "CREATE TABLE IF NOT EXISTS stamp_events (id INTEGER PRIMARY KEY AUTOINCREMENT, userId TEXT NOT NULL, createdAt TEXT NOT NULL, reason TEXT NOT NULL, eventType TEXT NOT NULL DEFAULT 'ADD', FOREIGN KEY(userId) REFERENCES users(id))"
-  );
+const getRecentStampEvents = async (userId, t, limit = 3) =>
+  (
+    await allDb(
+      "SELECT id, eventType, reason, note, delta, revokedEventId, sessionId, programId, createdAt FROM stamp_events WHERE userId = ? ORDER BY createdAt DESC, id DESC LIMIT ?",
+      [userId, limit]
+    )
+  ).map((event) => toStampEventJson(event, t));
+
+const HISTORY_PAGE_SIZE = 50;
+
+const encodeHistoryCursor = (event) =>
+  Buffer.from(JSON.stringify([event.createdAt, event.id])).toString("base64url");
+
+const decodeHistoryCursor = (cursor) => {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    return typeof createdAt === "string" && Number.isInteger(id) ? { createdAt, id } : null;
+  } catch (error) {
+    return null;
+  }
+};
 
-  db.run(
-    "CREATE TABLE IF NOT EXISTS user_profiles (userId TEXT PRIMARY KEY, username TEXT, mailAddress TEXT, description TEXT, job TEXT, hobbies TEXT, updatedAt TEXT, FOREIGN KEY(userId) REFERENCES users(id))"
+// Pages newest-first on (createdAt, id) so rows inserted while a member is
+// browsing never shift the pages they have not loaded yet.
+const listStampHistory = async ({
+  userId,
+  types = [],
+  programId,
+  from,
+  to,
+  cursor,
+  limit = HISTORY_PAGE_SIZE,
+  t,
+}) => {
+  const conditions = ["stamp_events.userId = ?"];
+  const params = [userId];
+  if (types.length) {
+    conditions.push(`stamp_events.eventType IN (${types.map(() => "?").join(", ")})`);
+    params.push(...types);
+  }
+  if (programId) {
+    conditions.push("stamp_events.programId = ?");
+    params.push(programId);
+  }
+  const fromDate = parseDateParam(from);
+  if (fromDate) {
+    conditions.push("stamp_events.createdAt >= ?");
+    params.push(fromDate.toISOString());
+  }
+  const toDate = parseDateParam(to);
+  if (toDate) {
+    conditions.push("stamp_events.createdAt < ?");
+    params.push(new Date(toDate.getTime() + DAY_MS).toISOString());
+  }
+  if (cursor) {
+    conditions.push(
+      "(stamp_events.createdAt < ? OR (stamp_events.createdAt = ? AND stamp_events.id < ?))"
+    );
+    params.push(cursor.createdAt, cursor.createdAt, cursor.id);
+  }
+  const pageSize = Math.min(Math.max(Number(limit) || HISTORY_PAGE_SIZE, 1), 100);
+  const rows = await allDb(
+    `SELECT stamp_events.id, stamp_events.eventType, stamp_events.reason, stamp_events.note, stamp_events.delta, stamp_events.revokedEventId, stamp_events.sessionId, stamp_events.programId, stamp_events.createdAt, card_programs.name AS programName, zazen_sessions.venue, EXISTS (SELECT 1 FROM stamp_events AS revocations WHERE revocations.revokedEventId = stamp_events.id) AS revoked FROM stamp_events LEFT JOIN card_programs ON card_programs.id = stamp_events.programId LEFT JOIN zazen_sessions ON zazen_sessions.id = stamp_events.sessionId WHERE ${conditions.join(" AND ")} ORDER BY stamp_events.createdAt DESC, stamp_events.id DESC LIMIT ?`,
+    [...params, pageSize + 1]
   );
+  const page = rows.slice(0, pageSize);
+  return {
+    events: page.map((row) => ({
+      ...toStampEventJson(row, t),
+      programName: localizeProgramText(row.programId, "name", row.programName, t) || null,
+      venue: row.venue || null,
+      revoked: Boolean(row.revoked),
+    })),
+    nextCursor: rows.length > pageSize ? encodeHistoryCursor(page[page.length - 1]) : null,
+  };
+};
 
-  db.run(
-    "CREATE TABLE IF NOT EXISTS auth_identities (id INTEGER PRIMARY KEY AUTOINCREMENT, userId TEXT NOT NULL, provider TEXT NOT NULL, providerKey TEXT NOT NULL, createdAt TEXT NOT NULL, UNIQUE(provider, providerKey), FOREIGN KEY(userId) REFERENCES users(id))"
+// The /api/me payload; also what the stamp stream pushes to open pages.
+const getUserStatus = async (user, t) => {
+  const profile = await getProfileByUserId(user.id);
+  const lastUpdatedRow = await getDb(
+    "SELECT MAX(createdAt) AS lastUpdatedAt FROM stamp_events WHERE userId = ?",
+    [user.id]
   );
+  const recentEvents = await getRecentStampEvents(user.id, t);
+  const programs = await listUserPrograms(user.id, t);
+  return {
+    id: user.id,
+    stamps: programs[0].stamps,
+    programs,
+    isAdmin: user.isAdmin,
+    role: user.role,
+    lastUpdatedAt: lastUpdatedRow ? lastUpdatedRow.lastUpdatedAt : null,
+    recentEvents,
+    profile: profile
+      ? {
+          username: profile.username,
+          mailAddress: profile.mailAddress,
+          description: profile.description,
+          job: profile.job,
+          hobbies: profile.hobbies,
+          updatedAt: profile.updatedAt,
+        }
+      : null,
+  };
+};
 
-  db.all("PRAGMA table_info(stamp_events)", (err, columns) => {
-    if (err) {
-      console.error("Failed to inspect stamp_events table:", err);
+// Everything stored about one member, for the self-service download.
+const buildPersonalDataExport = async (user, t) => {
+  const [profile, identities, programs, events, cycles, deletion] = await Promise.all([
+    getProfileByUserId(user.id),
+    getIdentitiesForUser(user.id),
+    listUserPrograms(user.id, t),
+    allDb(
+      "SELECT stamp_events.id, stamp_events.eventType, stamp_events.reason, stamp_events.note, stamp_events.delta, stamp_events.revokedEventId, stamp_events.sessionId, stamp_events.programId, stamp_events.createdAt, card_programs.name AS programName, zazen_sessions.venue FROM stamp_events LEFT JOIN card_programs ON card_programs.id = stamp_events.programId LEFT JOIN zazen_sessions ON zazen_sessions.id = stamp_events.sessionId WHERE stamp_events.userId = ? ORDER BY stamp_events.createdAt ASC, stamp_events.id ASC",
+      [user.id]
+    ),
+    allDb(
+      "SELECT programId, cycleNumber, startedAt, completedAt, stamps FROM card_cycles WHERE userId = ? ORDER BY programId ASC, cycleNumber ASC",
+      [user.id]
+    ),
+    getPendingDeletion(user.id),
+  ]);
+  return {
+    exportedAt: nowIso(),
+    user: { id: user.id, role: user.role },
+    profile: profile
+      ? {
+          username: profile.username,
+          mailAddress: profile.mailAddress,
+          description: profile.description,
+          job: profile.job,
+          hobbies: profile.hobbies,
+          locale: profile.locale,
+          updatedAt: profile.updatedAt,
+        }
+      : null,
+    identities: identities.map((identity) => ({
+      provider: identity.provider,
+      providerKey: identity.providerKey,
+      createdAt: identity.createdAt,
+    })),
+    cards: programs.map((program) => ({
+      programId: program.id,
+      name: program.name,
+      stamps: program.stamps,
+      stampCount: program.stampCount,
+    })),
+    stampEvents: events.map((row) => ({
+      ...toStampEventJson(row, t),
+      programName: localizeProgramText(row.programId, "name", row.programName, t) || null,
+      venue: row.venue || null,
+    })),
+    cardCycles: cycles,
+    deletion: deletion
+      ? {
+          requestedAt: deletion.requestedAt,
+          purgeAfter: deletion.purgeAfter,
+          keepHistory: deletion.keepHistory,
+        }
+      : null,
+  };
+};
+
+// Call only after the change has committed so the pushed status is final.
+// Tabs open in different languages each get labels in their own.
+const publishStampChange = (userIds) => {
+  new Set(userIds).forEach(async (userId) => {
+    if (!stampStream.hasSubscribers(userId)) {
       return;
     }
-    const hasEventType = columns.some((column) => column.name === "eventType");
-    if (!hasEventType) {
-      db.run(
-        "ALTER TABLE stamp_events ADD COLUMN eventType TEXT NOT NULL DEFAULT 'ADD'",
-        (alterErr) => {
-          if (alterErr) {
-            console.error("Failed to add eventType column:", alterErr);
-          }
-        }
-      );
+    try {
+      const user = await getUserById(userId);
+      if (!user) {
+        return;
+      }
+      for (const locale of stampStream.listLocales(userId)) {
+        const status = await getUserStatus(user, createTranslator(locale));
+        stampStream.publish(userId, "stamps", status, locale);
+      }
+    } catch (error) {
+      console.error("Failed to publish stamp change:", error);
     }
   });
+};
 
-  db.all("PRAGMA table_info(users)", (err, columns) => {
-    if (err) {
-      console.error("Failed to inspect users table:", err);
-      return;
+const PROGRAM_MAX_STAMPS = 40;
+
+// The default program's text as migrations/001_baseline.js seeds it. Until
+// an owner edits a field, it is shown in the reader's language.
+const SEEDED_DEFAULT_PROGRAM = { name: "坐禅会", rewardText: "果報をうける" };
+const DEFAULT_PROGRAM_KEYS = {
+  name: "admin.defaultProgramName",
+  rewardText: "admin.defaultRewardText",
+};
+
+const localizeProgramText = (programId, field, value, t) =>
+  t && programId === DEFAULT_PROGRAM_ID && value === SEEDED_DEFAULT_PROGRAM[field]
+    ? t(DEFAULT_PROGRAM_KEYS[field])
+    : value;
+
+const toProgramJson = (row, t) => ({
+  id: row.id,
+  name: localizeProgramText(row.id, "name", row.name, t),
+  stampCount: row.stampCount,
+  milestones: JSON.parse(row.milestones || "[]"),
+  rewardText: localizeProgramText(row.id, "rewardText", row.rewardText, t),
+  isDefault: row.id === DEFAULT_PROGRAM_ID,
+});
+
+const getProgramById = async (id) => {
+  const row = await getDb(
+    "SELECT id, name, stampCount, milestones, rewardText FROM card_programs WHERE id = ?",
+    [id || DEFAULT_PROGRAM_ID]
+  );
+  return row ? toProgramJson(row) : null;
+};
+
+// Pass t for lists shown to someone; without it the stored text is kept.
+const listPrograms = async (t) =>
+  (
+    await allDb(
+      `SELECT id, name, stampCount, milestones, rewardText FROM card_programs ORDER BY CASE id WHEN '${DEFAULT_PROGRAM_ID}' THEN 0 ELSE 1 END, createdAt ASC`
+    )
+  ).map((row) => toProgramJson(row, t));
+
+// The default program covers every user; other programs list the user only
+// once enrolled.
+const listUserPrograms = async (userId, t) => {
+  const rows = await allDb(
+    `SELECT card_programs.id, card_programs.name, card_programs.stampCount, card_programs.milestones, card_programs.rewardText,
+       CASE WHEN card_programs.id = '${DEFAULT_PROGRAM_ID}' THEN users.stamps ELSE program_enrollments.stamps END AS stamps
+     FROM card_programs
+     JOIN users ON users.id = ?
+     LEFT JOIN program_enrollments ON program_enrollments.programId = card_programs.id AND program_enrollments.userId = users.id
+     WHERE card_programs.id = '${DEFAULT_PROGRAM_ID}' OR program_enrollments.userId IS NOT NULL
+     ORDER BY CASE card_programs.id WHEN '${DEFAULT_PROGRAM_ID}' THEN 0 ELSE 1 END, program_enrollments.enrolledAt ASC`,
+    [userId]
+  );
+  return rows.map((row) => ({
+    ...toProgramJson(row, t),
+    stamps: clampStamps(row.stamps, row.stampCount),
+  }));
+};
+
+const parseMilestones = (value, stampCount) =>
+  [
+    ...new Set(
+      (Array.isArray(value) ? value : String(value || "").split(/[,、\s]+/))
+        .map((item) => Number(item))
+        .filter((item) => Number.isInteger(item) && item > 0 && item < stampCount)
+    ),
+  ].sort((a, b) => a - b);
+
+// An empty reward button falls back to the default in the owner's language.
+const parseProgramInput = (body, t) => {
+  if (
+    [body.name, body.rewardText].some(
+      (value) => value !== undefined && typeof value !== "string"
+    )
+  ) {
+    return { error: "invalid_program_text" };
+  }
+  const name = bodyText(body.name).trim();
+  const stampCount = Number(body.stampCount);
+  if (!name) {
+    return { error: "name_required" };
+  }
+  if (!Number.isInteger(stampCount) || stampCount < 1 || stampCount > PROGRAM_MAX_STAMPS) {
+    return { error: "invalid_stamp_count", params: { max: PROGRAM_MAX_STAMPS } };
+  }
+  return {
+    name,
+    stampCount,
+    milestones: parseMilestones(body.milestones, stampCount),
+    rewardText: bodyText(body.rewardText).trim() || t("admin.defaultRewardText"),
+  };
+};
+
+const createProgram = async (input, context) =>
+  withTransaction(async () => {
+    const id = crypto.randomUUID();
+    await runDb(
+      "INSERT INTO card_programs (id, name, stampCount, milestones, rewardText, createdAt) VALUES (?, ?, ?, ?, ?, ?)",
+      [id, input.name, input.stampCount, JSON.stringify(input.milestones), input.rewardText, nowIso()]
+    );
+    await recordAudit(context, {
+      action: "program_create",
+      details: { programId: id, ...input },
+    });
+    return getProgramById(id);
+  });
+
+const updateProgram = async (id, input, context) =>
+  withTransaction(async () => {
+    const before = await getProgramById(id);
+    if (!before) {
+      return null;
+    }
+    // A new size must not change any count or completed card the ledger
+    // already gives; a differently sized card is a new program.
+    if (input.stampCount !== before.stampCount) {
+      const cards = await countCardsChangedBySize(id, input.stampCount);
+      if (cards > 0) {
+        return { error: "stamp_count_in_use", params: { cards } };
+      }
     }
+    await runDb(
+      "UPDATE card_programs SET name = ?, stampCount = ?, milestones = ?, rewardText = ? WHERE id = ?",
+      [input.name, input.stampCount, JSON.stringify(input.milestones), input.rewardText, id]
+    );
+    await recordAudit(context, {
+      action: "program_update",
+      details: { programId: id, before, after: input },
+    });
+    return getProgramById(id);
+  });
 
-    const hasIsAdmin = columns.some((column) => column.name === "isAdmin");
+// Must run inside withTransaction.
+const ensureEnrollment = async (userId, programId) => {
+  if (programId === DEFAULT_PROGRAM_ID) {
+    return false;
+  }
+  const result = await runDb(
+    "INSERT OR IGNORE INTO program_enrollments (userId, programId, stamps, enrolledAt) VALUES (?, ?, 0, ?)",
+    [userId, programId, nowIso()]
+  );
+  if (result.changes !== 1) {
+    return false;
+  }
+  // Re-enrolling picks up where the ledger left off.
+  await writeStoredStamps(
+    userId,
+    programId,
+    await countStampsFromLedger(userId, programId)
+  );
+  return true;
+};
 
-    if (!hasIsAdmin) {
-      db.run(
-        "ALTER TABLE users ADD COLUMN isAdmin INTEGER NOT NULL DEFAULT 0",
-        (alterErr) => {
-          if (alterErr) {
-            console.error("Failed to add isAdmin column:", alterErr);
-            return;
-          }
-          ensureAdminUser();
-        }
-      );
+const changeEnrollment = async ({ userId, program, enrolled, context }) =>
+  withTransaction(async () => {
+    const user = await getUserById(userId);
+    if (!user) {
+      return { error: "user_not_found" };
+    }
+    if (program.isDefault) {
+      return { error: "default_program" };
+    }
+    let changed;
+    if (enrolled) {
+      changed = await ensureEnrollment(user.id, program.id);
     } else {
-      ensureAdminUser();
+      const result = await runDb(
+        "DELETE FROM program_enrollments WHERE userId = ? AND programId = ?",
+        [user.id, program.id]
+      );
+      changed = result.changes === 1;
+    }
+    if (changed) {
+      await recordAudit(context, {
+        action: enrolled ? "program_enroll" : "program_unenroll",
+        targetUserId: user.id,
+        details: { programId: program.id },
+      });
     }
+    return { id: user.id, programId: program.id, enrolled };
   });
-});
-
-app.use(express.static(path.join(__dirname, "public")));
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
 
-app.use(
-  session({
-    secret: SESSION_SECRET,
-    resave: false,
-    saveUninitialized: false,
-    cookie: {
-      httpOnly: true,
-      sameSite: "lax",
-      secure: process.env.NODE_ENV === "production",
-    },
-  })
-);
+const programDetails = (program, details = null) =>
+  program.isDefault ? details : { ...(details || {}), programId: program.id };
 
-app.use(passport.initialize());
-app.use(passport.session());
+const PROFILE_FIELDS = ["username", "mailAddress", "description", "job", "hobbies"];
 
-passport.serializeUser((user, done) => {
-  done(null, user.id);
-});
+// Folds sourceUserId into targetUserId: identities, history, completed cards
+// and profile move to the target, each card holds the sum of both accounts'
+// stamps and the source user is deleted. The target gets the higher of the
+// two roles unless keepTargetRole is set.
+const mergeUsers = async ({ sourceUserId, targetUserId, context, keepTargetRole = false }) =>
+  withTransaction(async () => {
+    const source = await getUserById(sourceUserId);
+    const target = await getUserById(targetUserId);
+    if (!source || !target || source.id === target.id) {
+      return null;
+    }
+    if (keepTargetRole && source.role === "owner" && target.role !== "owner") {
+      const owners = await getDb("SELECT COUNT(*) AS count FROM users WHERE role = 'owner'");
+      if (!owners || owners.count <= 1) {
+        return { error: "last_owner" };
+      }
+    }
+    const sourcePrograms = await allDb(
+      "SELECT programId FROM program_enrollments WHERE userId = ? UNION SELECT programId FROM stamp_events WHERE userId = ?",
+      [source.id, source.id]
+    );
+    const programIds = [
+      ...new Set([DEFAULT_PROGRAM_ID, ...sourcePrograms.map((row) => row.programId)]),
+    ];
+    // Cycles and counts come from each account's own ledger; replayed
+    // together, one account's RESET would also zero the other's stamps.
+    for (const programId of programIds) {
+      await syncCardCycles(source.id, programId);
+      await syncCardCycles(target.id, programId);
+    }
+    // A sitting recorded on both accounts counts once. The source's copy
+    // stays in the ledger without its session (a session holds one stamp
+    // per member) and is revoked, so the history shows why it was dropped;
+    // the audit entry keeps which session it belonged to.
+    const duplicates = await allDb(
+      "SELECT id, sessionId, programId FROM stamp_events WHERE userId = ? AND eventType = 'ADD' AND sessionId IN (SELECT sessionId FROM stamp_events WHERE userId = ? AND sessionId IS NOT NULL) AND id NOT IN (SELECT revokedEventId FROM stamp_events WHERE revokedEventId IS NOT NULL)",
+      [source.id, target.id]
+    );
+    const duplicateIds = new Set(duplicates.map((event) => event.id));
+    const mergedStamps = new Map();
+    for (const programId of programIds) {
+      mergedStamps.set(
+        programId,
+        (await countStampsFromLedger(source.id, programId, duplicateIds)) +
+          (await countStampsFromLedger(target.id, programId))
+      );
+    }
+    await runDb(
+      "UPDATE stamp_events SET sessionId = NULL WHERE userId = ? AND sessionId IN (SELECT sessionId FROM stamp_events WHERE userId = ? AND sessionId IS NOT NULL)",
+      [source.id, target.id]
+    );
+    for (const event of duplicates) {
+      await runDb(
+        "INSERT INTO stamp_events (userId, createdAt, reason, eventType, delta, revokedEventId, programId) VALUES (?, ?, ?, ?, ?, ?, ?)",
+        [source.id, nowIso(), "user_merge_duplicate", "REVOKE", -1, event.id, event.programId]
+      );
+    }
+    await runDb("UPDATE stamp_events SET userId = ? WHERE userId = ?", [
+      target.id,
+      source.id,
+    ]);
+    await runDb("UPDATE auth_identities SET userId = ? WHERE userId = ?", [
+      target.id,
+      source.id,
+    ]);
+    await runDb("UPDATE card_cycles SET userId = ? WHERE userId = ?", [
+      target.id,
+      source.id,
+    ]);
+    await runDb(
+      "INSERT OR IGNORE INTO program_enrollments (userId, programId, stamps, enrolledAt) SELECT ?, programId, stamps, enrolledAt FROM program_enrollments WHERE userId = ?",
+      [target.id, source.id]
+    );
+    await runDb("DELETE FROM program_enrollments WHERE userId = ?", [source.id]);
 
-passport.deserializeUser(async (id, done) => {
-  try {
-    const user = await getUserById(id);
-    if (!user) {
-      done(null, false);
-      return;
+    const sourceProfile = await getProfileByUserId(source.id);
+    const targetProfile = await getProfileByUserId(target.id);
+    if (sourceProfile && !targetProfile) {
+      await runDb("UPDATE user_profiles SET userId = ? WHERE userId = ?", [
+        target.id,
+        source.id,
+      ]);
+    } else if (sourceProfile && targetProfile) {
+      const merged = PROFILE_FIELDS.map(
+        (field) => targetProfile[field] || sourceProfile[field] || ""
+      );
+      await runDb(
+        "UPDATE user_profiles SET username = ?, mailAddress = ?, description = ?, job = ?, hobbies = ?, updatedAt = ? WHERE userId = ?",
+        [...merged, nowIso(), target.id]
+      );
+      await runDb("DELETE FROM user_profiles WHERE userId = ?", [source.id]);
     }
-    done(null, { id: user.id });
-  } catch (error) {
-    done(error);
-  }
-});
 
-if (hasGoogleAuth) {
-  passport.use(
-    new GoogleStrategy(
-      {
-        clientID: GOOGLE_CLIENT_ID,
-        clientSecret: GOOGLE_CLIENT_SECRET,
-        callbackURL: GOOGLE_CALLBACK_URL,
+    await runDb("DELETE FROM login_tokens WHERE userId = ?", [source.id]);
+    await runDb("DELETE FROM email_changes WHERE userId = ?", [source.id]);
+    await runDb("DELETE FROM sessions WHERE userId = ?", [source.id]);
+    const role = keepTargetRole ? normalizeRole(target.role) : higherRole(source.role, target.role);
+    await runDb("UPDATE users SET isAdmin = ?, role = ? WHERE id = ?", [
+      hasRole({ role }, "staff") ? 1 : 0,
+      role,
+      target.id,
+    ]);
+    await runDb("DELETE FROM users WHERE id = ?", [source.id]);
+    for (const [programId, stamps] of mergedStamps) {
+      await recordMergedStamps(target.id, programId, stamps);
+    }
+    const stamps = await readStoredStamps(target.id);
+    await recordAudit(context, {
+      action: "user_merge",
+      targetUserId: target.id,
+      beforeStamps: target.stamps,
+      afterStamps: stamps,
+      details: {
+        mergedUserId: source.id,
+        mergedStamps: source.stamps,
+        duplicateEvents: duplicates.map(({ id, sessionId, programId }) => ({
+          eventId: id,
+          sessionId,
+          programId,
+        })),
       },
-      async (accessToken, refreshToken, profile, done) => {
-        try {
-          const providerKey = profile.id;
-          const existingIdentity = await getAuthIdentity("google", providerKey);
-          if (existingIdentity) {
-            done(null, { id: existingIdentity.userId });
-            return;
-          }
-          const userId = crypto.randomUUID();
-          const displayName = profile.displayName || "Googleユーザー";
-          const email =
-            Array.isArray(profile.emails) && profile.emails.length
-              ? profile.emails[0].value
-              : "";
-          const createdAt = nowIso();
-          await runDb(
-            "INSERT INTO users (id, stamps, isAdmin) VALUES (?, 0, 0)",
-            [userId]
-          );
-          await runDb(
-            "INSERT INTO user_profiles (userId, username, mailAddress, description, job, hobbies, updatedAt) VALUES (?, ?, ?, ?, ?, ?, ?)",
-            [userId, displayName, email, "", "", "", createdAt]
-          );
-          await runDb(
-            "INSERT INTO auth_identities (userId, provider, providerKey, createdAt) VALUES (?, ?, ?, ?)",
-            [userId, "google", providerKey, createdAt]
-          );
-          done(null, { id: userId });
-        } catch (error) {
-          done(error);
-        }
-      }
-    )
-  );
-}
+    });
+    return { id: target.id, stamps, mergedUserId: source.id };
+  });
 
-const adminGuard = (req, res, next) => {
-  if (!ADMIN_TOKEN) {
-    res.status(500).json({ error: "ADMIN_TOKEN is not configured." });
-    return;
+// A Google account that already has its own card is only merged after the
+// member confirms it on /profile/google-merge.
+const linkGoogleIdentity = async (userId, providerKey) => {
+  const existing = await getAuthIdentity("google", providerKey);
+  if (existing && existing.userId === userId) {
+    return "already_linked";
   }
-  const token = req.header("x-admin-token") || "";
-  if (token !== ADMIN_TOKEN) {
-    res.status(401).json({ error: "Unauthorized." });
-    return;
+  if (existing) {
+    return "confirm_merge";
   }
-  next();
+  await runDb(
+    "INSERT INTO auth_identities (userId, provider, providerKey, createdAt) VALUES (?, ?, ?, ?)",
+    [userId, "google", providerKey, nowIso()]
+  );
+  return "linked";
 };
 
-const requireLoginPage = (req, res, next) => {
-  if (!req.session || !req.session.userId) {
-    res.redirect("/login");
-    return;
+// Returns the account a pending Google link would fold into userId, or null
+// once the link no longer needs a merge.
+const getGoogleMergeSource = async (userId, pending) => {
+  if (!pending || pending.userId !== userId) {
+    return null;
   }
-  next();
+  const identity = await getAuthIdentity("google", pending.providerKey);
+  if (!identity || identity.userId === userId) {
+    return null;
+  }
+  return getUserById(identity.userId);
 };
 
-const requireLoginApi = (req, res, next) => {
-  if (!req.session || !req.session.userId) {
-    res.status(401).json({ error: "Unauthorized." });
-    return;
+// Members merging their own accounts keep the role of the account they are
+// logged in with; only an owner's merge can carry a role over.
+const mergeGoogleAccount = async (userId, pending, context) => {
+  const source = await getGoogleMergeSource(userId, pending);
+  if (!source) {
+    return null;
   }
-  next();
+  return mergeUsers({
+    sourceUserId: source.id,
+    targetUserId: userId,
+    context,
+    keepTargetRole: true,
+  });
 };
 
-const renderMessage = (message, type = "error") => {
-  if (!message) {
-    return "";
+const unlinkIdentity = async (userId, identityId) =>
+  withTransaction(async () => {
+    const identities = await getIdentitiesForUser(userId);
+    if (!identities.some((identity) => identity.id === identityId)) {
+      return "not_found";
+    }
+    if (identities.length <= 1) {
+      return "last_identity";
+    }
+    await runDb("DELETE FROM auth_identities WHERE id = ? AND userId = ?", [
+      identityId,
+      userId,
+    ]);
+    return "unlinked";
+  });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDateParam = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || "")) {
+    return null;
   }
-  const className = type === "info" ? "notice" : "error";
-  return `<div class="${className}" role="alert">${message}</div>`;
+  const date = new Date(`${value}T00:00:00`);
+  return Number.isNaN(date.getTime()) ? null : date;
 };
 
-const renderAuthLinks = () => {
-  return `<div class="auth-links">
-    <a href="/signup">新規登録はこちら</a>
-    <span class="divider">|</span>
-    <a href="/login">ログインはこちら</a>
-  </div>`;
+const EXPORT_DATASETS = {
+  users: {
+    columns: ["id", "stamps", "isAdmin", "role", "registeredAt"],
+    sql: `SELECT users.id, users.stamps, users.isAdmin, users.role, ${USER_REGISTERED_AT_SQL} AS registeredAt FROM users`,
+    dateColumn: "registeredAt",
+    orderBy: "registeredAt ASC, id ASC",
+  },
+  user_profiles: {
+    columns: [
+      "userId",
+      "username",
+      "mailAddress",
+      "description",
+      "job",
+      "hobbies",
+      "updatedAt",
+      "registeredAt",
+    ],
+    sql: `SELECT user_profiles.userId, user_profiles.username, user_profiles.mailAddress, user_profiles.description, user_profiles.job, user_profiles.hobbies, user_profiles.updatedAt, ${USER_REGISTERED_AT_SQL} AS registeredAt FROM user_profiles JOIN users ON users.id = user_profiles.userId`,
+    dateColumn: "registeredAt",
+    orderBy: "registeredAt ASC, userId ASC",
+  },
+  stamp_events: {
+    columns: [
+      "id",
+      "userId",
+      "programId",
+      "eventType",
+      "reason",
+      "delta",
+      "revokedEventId",
+      "note",
+      "sessionId",
+      "createdAt",
+    ],
+    sql: "SELECT id, userId, programId, eventType, reason, delta, revokedEventId, note, sessionId, createdAt FROM stamp_events",
+    dateColumn: "createdAt",
+    orderBy: "createdAt ASC, id ASC",
+  },
 };
 
-const renderLoginPage = ({ errorMessage, infoMessage } = {}) => {
-  const googleButton = hasGoogleAuth
-    ? `<a class="button button--google" href="/auth/google">Googleでログイン</a>`
-    : `<button class="button button--google" type="button" disabled>Googleログインは準備中</button>
-       <div class="helper-text">.env の GOOGLE_* を設定すると有効になります。</div>`;
-  return `<!DOCTYPE html>
-<html lang="ja">
-  <head>
-    <meta charset="UTF-8" />
-    <meta name="viewport" content="width=device-width, initial-scale=1" />
-    <title>ログイン | 坐禅会スタンプカード</title>
-    <link rel="preconnect" href="https://fonts.googleapis.com" />
-    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin />
-    <link
-      href="https://fonts.googleapis.com/css2?family=Noto+Serif+JP:wght@400;600&display=swap"
-      rel="stylesheet"
-    />
-    <link rel="stylesheet" href="/styles.css" />
-  </head>
-  <body>
-    <main>
-      <header>
-        <h1>坐禅会スタンプカード</h1>
-        <div class="subtle">ログインしてスタンプ状況を確認します。</div>
-      </header>
-      ${renderMessage(errorMessage)}
-      ${renderMessage(infoMessage, "info")}
-      <form action="/api/login" method="POST">
-        <label>
-          ユーザー名
-          <input name="username" type="text" required placeholder="例: 法然" />
-        </label>
-        <label>
-          メールアドレス
-          <input name="mailAddress" type="email" required placeholder="example@example.com" />
-        </label>
-        <button type="submit">ログイン</button>
-      </form>
-      <div class="section-divider">または</div>
-      <div class="oauth-block">
-        ${googleButton}
-      </div>
-      ${renderAuthLinks()}
-      <footer>はじめての方は新規登録を行ってください。</footer>
-    </main>
-  </body>
-</html>`;
-};
-
-const renderSignupPage = ({ errorMessage, values = {} } = {}) => {
-  const safe = (value) => (value ? String(value) : "");
-  return `<!DOCTYPE html>
-<html lang="ja">
-  <head>
-    <meta charset="UTF-8" />
-    <meta name="viewport" content="width=device-width, initial-scale=1" />
-    <title>新規登録 | 坐禅会スタンプカード</title>
-    <link rel="preconnect" href="https://fonts.googleapis.com" />
-    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin />
-    <link
-      href="https://fonts.googleapis.com/css2?family=Noto+Serif+JP:wght@400;600&display=swap"
-      rel="stylesheet"
-    />
-    <link rel="stylesheet" href="/styles.css" />
-  </head>
-  <body>
-    <main>
-      <header>
-        <h1>新規登録</h1>
-        <div class="subtle">プロフィールは後から編集できます。</div>
-      </header>
-      ${renderMessage(errorMessage)}
-      <form action="/api/signup" method="POST">
-        <label>
-          ユーザー名
-          <input name="username" type="text" required value="${safe(
-            values.username
-          )}" placeholder="例: 法然" />
-        </label>
-        <label>
-          メールアドレス
-          <input name="mailAddress" type="email" required value="${safe(
-            values.mailAddress
-          )}" placeholder="example@example.com" />
-        </label>
-        <label>
-          ひとこと
-          <textarea name="description" rows="3" placeholder="自由に記入してください">${safe(
-            values.description
-          )}</textarea>
-        </label>
-        <label>
-          お仕事
-          <input name="job" type="text" value="${safe(
-            values.job
-          )}" placeholder="例: 僧侶" />
-        </label>
-        <label>
-          趣味（カンマ区切り）
-          <input name="hobbies" type="text" value="${safe(
-            values.hobbies
-          )}" placeholder="例: 筋トレ, 坐禅, 読書" />
-        </label>
-        <button type="submit">登録してログイン</button>
-      </form>
-      ${renderAuthLinks()}
-      <footer>メールアドレスは MVP では変更できません。</footer>
-    </main>
-  </body>
-</html>`;
-};
-
-const renderProfilePage = ({
-  profile,
-  mailLocked = true,
-  message,
-  messageType = "info",
-} = {}) => {
-  const safe = (value) => (value ? String(value) : "");
-  const mailValue = safe(profile ? profile.mailAddress : "");
-  const mailInputAttrs = mailLocked
-    ? "readonly aria-readonly=\"true\""
-    : "";
-  return `<!DOCTYPE html>
-<html lang="ja">
-  <head>
-    <meta charset="UTF-8" />
-    <meta name="viewport" content="width=device-width, initial-scale=1" />
-    <title>プロフィール | 坐禅会スタンプカード</title>
-    <link rel="preconnect" href="https://fonts.googleapis.com" />
-    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin />
-    <link
-      href="https://fonts.googleapis.com/css2?family=Noto+Serif+JP:wght@400;600&display=swap"
-      rel="stylesheet"
-    />
-    <link rel="stylesheet" href="/styles.css" />
-  </head>
-  <body>
-    <main>
-      <header>
-        <h1>プロフィール</h1>
-        <div class="subtle">ログイン中ユーザーの情報を編集します。</div>
-      </header>
-      ${renderMessage(message, message ? messageType : undefined)}
-      <form action="/api/profile" method="POST">
-        <label>
-          ユーザー名
-          <input name="username" type="text" required value="${safe(
-            profile ? profile.username : ""
-          )}" />
-        </label>
-        <label>
-          メールアドレス（MVPでは変更不可）
-          <input name="mailAddress" type="email" value="${mailValue}" ${mailInputAttrs} />
-        </label>
-        <label>
-          ひとこと
-          <textarea name="description" rows="3">${safe(
-            profile ? profile.description : ""
-          )}</textarea>
-        </label>
-        <label>
-          お仕事
-          <input name="job" type="text" value="${safe(
-            profile ? profile.job : ""
-          )}" />
-        </label>
-        <label>
-          趣味（カンマ区切り）
-          <input name="hobbies" type="text" value="${safe(
-            profile ? profile.hobbies : ""
-          )}" placeholder="例: 筋トレ, 坐禅, 読書" />
-        </label>
-        <div class="form-actions">
-          <button type="submit">保存</button>
-          <a class="button button--ghost" href="/user">戻る</a>
-        </div>
-      </form>
-      <footer>メールアドレス変更は将来機能です。</footer>
-    </main>
-  </body>
-</html>`;
+const buildExportQuery = (dataset, { from, to }) => {
+  const conditions = [];
+  const params = [];
+  if (from) {
+    conditions.push(`${dataset.dateColumn} >= ?`);
+    params.push(from.toISOString());
+  }
+  if (to) {
+    conditions.push(`${dataset.dateColumn} < ?`);
+    params.push(new Date(to.getTime() + DAY_MS).toISOString());
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+  return {
+    sql: `SELECT * FROM (${dataset.sql}) ${where} ORDER BY ${dataset.orderBy}`,
+    params,
+  };
 };
 
-const renderUserPage = ({ userId, stamps, profile } = {}) => {
-  const total = 13;
-  const safeStamps = clampStamps(stamps || 0);
-  const ringDots = Array.from({ length: total }, (_, index) => {
-    return `<span class="ring-dot" style="--index:${index};" aria-hidden="true"></span>`;
-  }).join("");
-  const displayName = profile && profile.username ? profile.username : "";
-  const job = profile && profile.job ? profile.job : "";
-  const jobText = job ? `（${job}）` : "";
-  const description = profile && profile.description ? profile.description : "";
+const STATS_DEFAULT_ACTIVE_DAYS = 60;
 
-  return `<!DOCTYPE html>
-<html lang="ja">
-  <head>
-    <meta charset="UTF-8" />
-    <meta name="viewport" content="width=device-width, initial-scale=1" />
-    <title>坐禅会スタンプカード</title>
-    <link rel="preconnect" href="https://fonts.googleapis.com" />
-    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin />
-    <link
-      href="https://fonts.googleapis.com/css2?family=Noto+Serif+JP:wght@400;600&display=swap"
-      rel="stylesheet"
-    />
-    <link rel="stylesheet" href="/styles.css" />
-  </head>
-  <body>
-    <main data-user-id="${userId}" data-stamps="${safeStamps}">
-      <header>
-        <div class="header-top">
-          <div>
-            <h1>坐禅会スタンプカード</h1>
-            <div class="subtle" id="profile-summary">ようこそ ${displayName}${jobText}</div>
-            <div class="subtle" id="profile-job">${description}</div>
-          </div>
-          <nav class="header-links">
-            <a href="/profile">プロフィール</a>
-            <a href="/logout">ログアウト</a>
-          </nav>
-        </div>
-      </header>
-      <section class="ring-card" aria-label="スタンプ進捗リング">
-        <div class="ring-wrapper">
-          <svg class="progress-ring" viewBox="0 0 260 260" aria-hidden="true">
-            <circle class="ring-track" cx="130" cy="130" r="110"></circle>
-            <circle class="ring-progress" cx="130" cy="130" r="110"></circle>
-          </svg>
-          <div class="ring-dots">
-            ${ringDots}
-          </div>
-          <div class="ring-center">
-            <div class="center-count" id="center-count">${safeStamps} / 13</div>
-            <button class="reset-button" id="reset-button" type="button" hidden>
-              果報をうける
-            </button>
-          </div>
-        </div>
-        <div class="actions">
-          <button class="refresh-button" id="refresh-button" type="button">更新</button>
-        </div>
-        <div class="toast" id="milestone-toast" role="status" aria-live="polite"></div>
-      </section>
-      <section class="update-info" aria-live="polite">
-        <div id="last-updated">最終更新: --</div>
-        <h2>直近3件</h2>
-        <ul class="event-list" id="recent-events"></ul>
-      </section>
-      <footer>
-        静かな積み重ねを記録するカードです。
-      </footer>
-    </main>
-    <script>
-      const TOTAL_STAMPS = 13;
-      const main = document.querySelector("main");
-      const userId = main.dataset.userId;
-      const initialStamps = Number(main.dataset.stamps || 0);
-      const centerCount = document.getElementById("center-count");
-      const resetButton = document.getElementById("reset-button");
-      const refreshButton = document.getElementById("refresh-button");
-      const lastUpdated = document.getElementById("last-updated");
-      const recentEvents = document.getElementById("recent-events");
-      const milestoneToast = document.getElementById("milestone-toast");
-      const profileSummary = document.getElementById("profile-summary");
-      const profileJob = document.getElementById("profile-job");
-      const dots = Array.from(document.querySelectorAll(".ring-dot"));
-      const progressCircle = document.querySelector(".ring-progress");
-      const ringRadius = Number(progressCircle.getAttribute("r"));
-      const ringCircumference = 2 * Math.PI * ringRadius;
-      progressCircle.style.strokeDasharray = ringCircumference;
-      progressCircle.style.strokeDashoffset = ringCircumference;
-
-      let lastUpdatedAt;
-      let currentStamps = initialStamps;
-      let toastTimer = null;
-
-      const clamp = (value) => Math.min(TOTAL_STAMPS, Math.max(0, Number(value) || 0));
-
-      const formatDateTime = (iso) => {
-        if (!iso) {
-          return "未更新";
-        }
-        const date = new Date(iso);
-        if (Number.isNaN(date.getTime())) {
-          return iso;
-        }
-        return date.toLocaleString("ja-JP", { hour12: false });
-      };
+const statsQuery = (req, key) =>
+  typeof req.query[key] === "string" ? req.query[key].trim() : "";
 
-      const setToast = (message) => {
-        milestoneToast.textContent = message;
-        milestoneToast.classList.add("toast--show");
-        if (toastTimer) {
-          clearTimeout(toastTimer);
-        }
-        toastTimer = setTimeout(() => {
-          milestoneToast.classList.remove("toast--show");
-        }, 3000);
-      };
+const parseStatsRange = (req) => {
+  const from = statsQuery(req, "from") ? parseDateParam(statsQuery(req, "from")) : null;
+  const to = statsQuery(req, "to") ? parseDateParam(statsQuery(req, "to")) : null;
+  if ((statsQuery(req, "from") && !from) || (statsQuery(req, "to") && !to)) {
+    return { error: "invalid_date" };
+  }
+  return resolveStatsRange({ period: statsQuery(req, "period") || "day", from, to });
+};
 
-      const renderEvents = (events = []) => {
-        recentEvents.innerHTML = "";
-        if (!events.length) {
-          const empty = document.createElement("li");
-          empty.className = "event-item";
-          empty.textContent = "履歴はまだありません。";
-          recentEvents.appendChild(empty);
-          return;
-        }
-        events.forEach((event) => {
-          const item = document.createElement("li");
-          item.className = "event-item";
-          item.textContent = event.eventType + " / " + event.reason + " / " + formatDateTime(event.createdAt);
-          recentEvents.appendChild(item);
-        });
-      };
+const toStatsRangeJson = (range) => ({
+  period: range.period,
+  from: formatLocalDate(range.from),
+  to: formatLocalDate(new Date(range.to.getTime() - DAY_MS)),
+});
 
-      const renderProfile = (profile = {}) => {
-        const name = profile.username || "利用者";
-        const job = profile.job ? "（" + profile.job + "）" : "";
-        profileSummary.textContent = "ようこそ " + name + job;
-        profileJob.textContent = profile.description ? profile.description : "";
-      };
+const ROSTER_SORT_COLUMNS = {
+  username: "user_profiles.username",
+  mailAddress: "user_profiles.mailAddress",
+  stamps: "users.stamps",
+  lastEventAt: "lastEventAt",
+};
 
-      const render = (data, previousStamps) => {
-        const stamps = clamp(data.stamps);
-        const progress = stamps / TOTAL_STAMPS;
-        const offset = ringCircumference * (1 - progress);
-        progressCircle.style.strokeDashoffset = offset;
-        dots.forEach((dot, index) => {
-          dot.classList.toggle("ring-dot--filled", index < stamps);
-        });
-        centerCount.textContent = stamps + " / " + TOTAL_STAMPS;
-        if (stamps >= TOTAL_STAMPS) {
-          centerCount.hidden = true;
-          resetButton.hidden = false;
-        } else {
-          centerCount.hidden = false;
-          resetButton.hidden = true;
-        }
-        lastUpdated.textContent = "最終更新: " + formatDateTime(data.lastUpdatedAt);
-        renderEvents(data.recentEvents || []);
-        renderProfile(data.profile || {});
-
-        if (typeof previousStamps === "number") {
-          const milestones = [5, 10];
-          milestones.forEach((value) => {
-            const storageKey = "milestone_shown_" + value + "_" + userId;
-            if (previousStamps < value && stamps >= value && !localStorage.getItem(storageKey)) {
-              localStorage.setItem(storageKey, "true");
-              setToast(value + "個到達しました。");
-            }
-          });
-        }
+const escapeLike = (value) => value.replace(/[\\%_]/g, (char) => `\\${char}`);
 
-        currentStamps = stamps;
-        lastUpdatedAt = data.lastUpdatedAt || null;
-      };
+const listRoster = async ({ q, sort, order, page, pageSize } = {}) => {
+  const conditions = [];
+  const params = [];
+  if (q) {
+    const pattern = `%${escapeLike(q)}%`;
+    conditions.push(
+      "(user_profiles.username LIKE ? ESCAPE '\\' OR user_profiles.mailAddress LIKE ? ESCAPE '\\')"
+    );
+    params.push(pattern, pattern);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+  const sortColumn = ROSTER_SORT_COLUMNS[sort] || ROSTER_SORT_COLUMNS.username;
+  const direction = order === "desc" ? "DESC" : "ASC";
+  const size = Math.min(Math.max(Number(pageSize) || 20, 1), 100);
+  const currentPage = Math.max(Number(page) || 1, 1);
+  const totalRow = await getDb(
+    `SELECT COUNT(*) AS count FROM users LEFT JOIN user_profiles ON user_profiles.userId = users.id ${where}`,
+    params
+  );
+  const rows = await allDb(
+    `SELECT users.id, users.stamps, users.role, user_profiles.username, user_profiles.mailAddress, user_profiles.job, (SELECT MAX(createdAt) FROM stamp_events WHERE stamp_events.userId = users.id) AS lastEventAt FROM users LEFT JOIN user_profiles ON user_profiles.userId = users.id ${where} ORDER BY ${sortColumn} ${direction}, users.id ASC LIMIT ? OFFSET ?`,
+    [...params, size, (currentPage - 1) * size]
+  );
+  return {
+    users: rows.map((row) => ({
+      ...row,
+      stamps: clampStamps(row.stamps),
+      role: normalizeRole(row.role),
+    })),
+    page: currentPage,
+    pageSize: size,
+    total: totalRow ? totalRow.count : 0,
+  };
+};
 
-      const setRefreshState = (loading) => {
-        refreshButton.disabled = loading;
-        refreshButton.textContent = loading ? "更新中..." : "更新";
-      };
+const listAuditLogs = async ({ actor, target, from, to, limit = 100 } = {}) => {
+  const conditions = [];
+  const params = [];
+  if (actor) {
+    conditions.push(
+      "(audit_logs.actorUserId = ? OR actor.username = ? OR actor.mailAddress = ?)"
+    );
+    params.push(actor, actor, normalizeMail(actor));
+  }
+  if (target) {
+    conditions.push(
+      "(audit_logs.targetUserId = ? OR target.username = ? OR target.mailAddress = ?)"
+    );
+    params.push(target, target, normalizeMail(target));
+  }
+  const fromDate = parseDateParam(from);
+  if (fromDate) {
+    conditions.push("audit_logs.createdAt >= ?");
+    params.push(fromDate.toISOString());
+  }
+  const toDate = parseDateParam(to);
+  if (toDate) {
+    conditions.push("audit_logs.createdAt < ?");
+    params.push(new Date(toDate.getTime() + DAY_MS).toISOString());
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+  const rows = await allDb(
+    `SELECT audit_logs.id, audit_logs.actorUserId, actor.username AS actorName, audit_logs.targetUserId, target.username AS targetName, audit_logs.action, audit_logs.beforeStamps, audit_logs.afterStamps, audit_logs.details, audit_logs.ip, audit_logs.userAgent, audit_logs.method, audit_logs.path, audit_logs.createdAt FROM audit_logs LEFT JOIN user_profiles AS actor ON actor.userId = audit_logs.actorUserId LEFT JOIN user_profiles AS target ON target.userId = audit_logs.targetUserId ${where} ORDER BY audit_logs.id DESC LIMIT ?`,
+    [...params, Math.min(Math.max(Number(limit) || 100, 1), 500)]
+  );
+  return rows.map((row) => ({
+    ...row,
+    details: row.details ? JSON.parse(row.details) : null,
+  }));
+};
 
-      const fetchStatus = async ({ forceRender = false, showLoading = false } = {}) => {
-        if (showLoading) {
-          setRefreshState(true);
-        }
-        try {
-          const response = await fetch("/api/me");
-          const data = await response.json();
-          if (!response.ok) {
-            throw new Error(data.error || "Failed to fetch status.");
-          }
-          const shouldRender =
-            forceRender ||
-            typeof lastUpdatedAt === "undefined" ||
-            data.lastUpdatedAt !== lastUpdatedAt;
-          if (shouldRender) {
-            render(data, currentStamps);
-          } else {
-            currentStamps = clamp(data.stamps);
-            lastUpdatedAt = data.lastUpdatedAt || null;
-          }
-        } catch (error) {
-          if (showLoading) {
-            alert("更新に失敗しました。");
-          }
-        } finally {
-          if (showLoading) {
-            setRefreshState(false);
-          }
-        }
-      };
+const getCheckInStep = (time) =>
+  Math.floor(time / (CHECKIN_CODE_PERIOD_SECONDS * 1000));
 
-      resetButton.addEventListener("click", async () => {
-        resetButton.disabled = true;
-        resetButton.textContent = "処理中...";
-        try {
-          const response = await fetch("/api/reset", {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ userId }),
-          });
-          const data = await response.json();
-          if (!response.ok) {
-            throw new Error(data.error || "Failed to reset.");
-          }
-          render({ ...data, lastUpdatedAt: data.lastUpdatedAt || new Date().toISOString(), recentEvents: [], profile: data.profile || {} }, currentStamps);
-          await fetchStatus({ forceRender: true });
-        } catch (error) {
-          alert("リセットに失敗しました。");
-        } finally {
-          resetButton.disabled = false;
-          resetButton.textContent = "果報をうける";
-        }
-      });
+const computeCheckInCode = (secret, step) => {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(String(step))
+    .digest();
+  return String(digest.readUInt32BE(0) % 1000000).padStart(6, "0");
+};
 
-      refreshButton.addEventListener("click", () => {
-        fetchStatus({ forceRender: true, showLoading: true });
-      });
+const normalizeNumericCode = (value) => String(value || "").replace(/\D/g, "");
 
-      render({ stamps: currentStamps, lastUpdatedAt: null, recentEvents: [], profile: {} });
-      fetchStatus({ forceRender: true });
-      setInterval(() => {
-        fetchStatus();
-      }, 5000);
-    </script>
-  </body>
-</html>`;
-};
-
-const renderAdminPage = () => `<!DOCTYPE html>
-<html lang="ja">
-  <head>
-    <meta charset="UTF-8" />
-    <meta name="viewport" content="width=device-width, initial-scale=1" />
-    <title>管理者スタンプ付与</title>
-    <link rel="preconnect" href="https://fonts.googleapis.com" />
-    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin />
-    <link
-      href="https://fonts.googleapis.com/css2?family=Noto+Serif+JP:wght@400;600&display=swap"
-      rel="stylesheet"
-    />
-    <link rel="stylesheet" href="/styles.css" />
-  </head>
-  <body>
-    <main>
-      <header>
-        <h1>管理者スタンプ付与</h1>
-        <div class="subtle">管理者ID: ${ADMIN_USER_ID}</div>
-      </header>
-      <form id="stamp-form">
-        <label>
-          対象ユーザーID
-          <input name="userId" type="text" required placeholder="user-001" />
-        </label>
-        <label>
-          管理者トークン
-          <input name="token" type="password" required placeholder="ADMIN_TOKEN" />
-        </label>
-        <button type="submit">スタンプを付与する</button>
-      </form>
-      <div class="result" id="result" aria-live="polite">
-        <span class="subtle">入力を送信すると結果が表示されます。</span>
-      </div>
-      <footer>管理者 API を通じてスタンプを付与します。</footer>
-    </main>
-    <script>
-      const form = document.getElementById("stamp-form");
-      const result = document.getElementById("result");
-
-      form.addEventListener("submit", async (event) => {
-        event.preventDefault();
-        const formData = new FormData(form);
-        const userId = formData.get("userId");
-        const token = formData.get("token");
-        result.innerHTML = "<span class=\\"subtle\\">処理中...</span>";
-        try {
-          const response = await fetch("/api/admin/stamp", {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              "x-admin-token": token,
-            },
-            body: JSON.stringify({ userId }),
-          });
-          const data = await response.json();
-          if (!response.ok) {
-            result.innerHTML = "<span class=\\"error\\">" + data.error + "</span>";
-            return;
-          }
-          result.innerHTML =
-            "現在のスタンプ数: <strong>" + data.stamps + "</strong> / 13";
-        } catch (error) {
-          result.innerHTML =
-            "<span class=\\"error\\">通信に失敗しました。</span>";
-        }
-      });
-    </script>
-  </body>
-</html>`;
+// The current and the previous code are both accepted so a code that rotates
+// while a participant is typing it still works.
+const matchesCheckInCode = (secret, code, time) => {
+  const step = getCheckInStep(time);
+  return (
+    computeCheckInCode(secret, step) === code ||
+    computeCheckInCode(secret, step - 1) === code
+  );
+};
 
-app.get("/", (req, res) => {
-  res.redirect("/user");
-});
+const isZazenSessionOpen = (zazenSession, time) => {
+  const now = new Date(time).toISOString();
+  return zazenSession.startsAt <= now && now <= zazenSession.endsAt;
+};
 
-app.get("/login", (req, res) => {
-  const error = req.query.error;
-  const info = req.query.info;
-  let errorMessage = "";
-  let infoMessage = "";
-  if (error === "not_found") {
-    errorMessage =
-      "登録が見つかりませんでした。新規登録から作成してください。";
-  } else if (error === "username_mismatch") {
-    errorMessage = "ユーザー名が登録情報と一致しません。";
-  } else if (error === "google") {
-    errorMessage = "Googleログインに失敗しました。";
+const parseZazenSessionWindow = ({ date, startTime, endTime } = {}) => {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  const timePattern = /^\d{2}:\d{2}$/;
+  if (
+    !datePattern.test(bodyText(date)) ||
+    !timePattern.test(bodyText(startTime)) ||
+    !timePattern.test(bodyText(endTime))
+  ) {
+    return null;
   }
-  if (info === "logged_out") {
-    infoMessage = "ログアウトしました。";
+  const startsAt = new Date(`${date}T${startTime}:00`);
+  const endsAt = new Date(`${date}T${endTime}:00`);
+  if (
+    Number.isNaN(startsAt.getTime()) ||
+    Number.isNaN(endsAt.getTime()) ||
+    endsAt <= startsAt
+  ) {
+    return null;
   }
-  res.status(200).send(renderLoginPage({ errorMessage, infoMessage }));
-});
+  return { startsAt: startsAt.toISOString(), endsAt: endsAt.toISOString() };
+};
 
-app.get("/signup", (req, res) => {
-  res.status(200).send(renderSignupPage());
+const toZazenSessionJson = (row) => ({
+  id: row.id,
+  venue: row.venue,
+  startsAt: row.startsAt,
+  endsAt: row.endsAt,
+  createdAt: row.createdAt,
+  programId: row.programId || DEFAULT_PROGRAM_ID,
 });
 
-app.get("/profile", requireLoginPage, async (req, res) => {
+const getZazenSessionById = async (id) =>
+  getDb(
+    "SELECT id, venue, startsAt, endsAt, checkInSecret, createdAt, programId FROM zazen_sessions WHERE id = ?",
+    [id]
+  );
+
+const CHECKIN_ERRORS = {
+  invalid_code: { status: 400, error: "invalid_checkin_code" },
+  session_closed: { status: 403, error: "session_closed" },
+  already_checked_in: { status: 409, error: "already_checked_in" },
+  too_many_attempts: { status: 429, error: "too_many_attempts" },
+};
+
+const checkInToZazenSession = async ({ userId, code, sessionId }) => {
+  const normalizedCode = normalizeNumericCode(code);
+  if (normalizedCode.length !== 6) {
+    return { error: "invalid_code" };
+  }
+  const time = Date.now();
+  let candidates = [];
+  if (sessionId) {
+    const zazenSession = await getZazenSessionById(sessionId);
+    candidates = zazenSession ? [zazenSession] : [];
+  } else {
+    candidates = await allDb(
+      "SELECT id, venue, startsAt, endsAt, checkInSecret, createdAt, programId FROM zazen_sessions WHERE startsAt <= ? AND endsAt >= ?",
+      [new Date(time + DAY_MS).toISOString(), new Date(time - DAY_MS).toISOString()]
+    );
+  }
+  const zazenSession = candidates.find((candidate) =>
+    matchesCheckInCode(candidate.checkInSecret, normalizedCode, time)
+  );
+  if (!zazenSession) {
+    return { error: "invalid_code" };
+  }
+  if (!isZazenSessionOpen(zazenSession, time)) {
+    return { error: "session_closed", session: zazenSession };
+  }
   try {
-    let profile = await getProfileByUserId(req.session.userId);
-    if (!profile) {
-      const identity = await getPrimaryIdentityForUser(req.session.userId);
-      profile = {
-        username: "",
-        mailAddress:
-          identity && identity.provider === "local" ? identity.providerKey : "",
-        description: "",
-        job: "",
-        hobbies: "",
-      };
+    const program = await getProgramById(zazenSession.programId);
+    const stamps = await withTransaction(async () => {
+      await ensureEnrollment(userId, program.id);
+      await runDb(
+        "INSERT INTO stamp_events (userId, createdAt, reason, eventType, sessionId, programId) VALUES (?, ?, ?, ?, ?, ?)",
+        [userId, nowIso(), "session_checkin", "ADD", zazenSession.id, program.id]
+      );
+      const after = clampStamps(
+        ((await readStoredStamps(userId, program.id)) || 0) + 1,
+        program.stampCount
+      );
+      await writeStoredStamps(userId, program.id, after);
+      return after;
+    });
+    return { session: zazenSession, program, stamps };
+  } catch (error) {
+    if (error && error.code === "SQLITE_CONSTRAINT") {
+      return { error: "already_checked_in", session: zazenSession };
     }
-    res.status(200).send(renderProfilePage({ profile, mailLocked: true }));
+    throw error;
+  }
+};
+
+const hashLoginSecret = (value) =>
+  crypto.createHmac("sha256", SESSION_SECRET).update(value).digest("hex");
+
+const issueLoginToken = async (userId) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+  const createdAt = nowIso();
+  const expiresAt = new Date(
+    Date.now() + LOGIN_CODE_TTL_MINUTES * 60 * 1000
+  ).toISOString();
+  await withTransaction(async () => {
+    await runDb("DELETE FROM login_tokens WHERE userId = ? AND usedAt IS NULL", [
+      userId,
+    ]);
+    await runDb(
+      "INSERT INTO login_tokens (userId, tokenHash, codeHash, attempts, expiresAt, createdAt) VALUES (?, ?, ?, 0, ?, ?)",
+      [
+        userId,
+        hashLoginSecret(`token:${token}`),
+        hashLoginSecret(`code:${userId}:${code}`),
+        expiresAt,
+        createdAt,
+      ]
+    );
+  });
+  return { token, code, expiresAt };
+};
+
+const consumeLoginToken = async (row) => {
+  const result = await runDb(
+    "UPDATE login_tokens SET usedAt = ? WHERE id = ? AND usedAt IS NULL",
+    [nowIso(), row.id]
+  );
+  return result.changes === 1 ? row.userId : null;
+};
+
+const verifyLoginToken = async (token) => {
+  if (!token) {
+    return null;
+  }
+  const row = await getDb(
+    "SELECT id, userId FROM login_tokens WHERE tokenHash = ? AND usedAt IS NULL AND expiresAt > ? AND attempts < ?",
+    [hashLoginSecret(`token:${token}`), nowIso(), LOGIN_CODE_MAX_ATTEMPTS]
+  );
+  return row ? consumeLoginToken(row) : null;
+};
+
+const verifyLoginCode = async (mailAddress, code) => {
+  const identity = await getAuthIdentity("local", mailAddress);
+  if (!identity) {
+    return null;
+  }
+  const row = await getDb(
+    "SELECT id, userId, codeHash FROM login_tokens WHERE userId = ? AND usedAt IS NULL AND expiresAt > ? AND attempts < ? ORDER BY id DESC LIMIT 1",
+    [identity.userId, nowIso(), LOGIN_CODE_MAX_ATTEMPTS]
+  );
+  if (!row) {
+    return null;
+  }
+  if (row.codeHash !== hashLoginSecret(`code:${identity.userId}:${code}`)) {
+    await runDb("UPDATE login_tokens SET attempts = attempts + 1 WHERE id = ?", [
+      row.id,
+    ]);
+    return null;
+  }
+  return consumeLoginToken(row);
+};
+
+const {
+  getPendingEmailChange,
+  requestEmailChange,
+  confirmEmailChange,
+  cancelEmailChange,
+} = createEmailChange(
+  { runDb, getDb, withTransaction, recordAudit, hashSecret: hashLoginSecret },
+  { ttlMinutes: LOGIN_CODE_TTL_MINUTES, maxAttempts: LOGIN_CODE_MAX_ATTEMPTS }
+);
+
+// Mails go out in the language of the request that triggered them.
+const sendLoginMail = async ({ t, to, code, magicLink }) =>
+  mailer.send({
+    to,
+    subject: t("mail.login.subject"),
+    text: t("mail.login.text", { code, magicLink, minutes: LOGIN_CODE_TTL_MINUTES }),
+  });
+
+const sendLoginCode = async (req, userId, mailAddress) => {
+  const { token, code } = await issueLoginToken(userId);
+  const magicLink = `${req.protocol}://${req.get("host")}/login/magic?token=${token}`;
+  await sendLoginMail({ t: req.t, to: mailAddress, code, magicLink });
+};
+
+const sendEmailChangeCodeMail = async ({ t, to, code }) =>
+  mailer.send({
+    to,
+    subject: t("mail.emailChangeCode.subject"),
+    text: t("mail.emailChangeCode.text", { code, minutes: LOGIN_CODE_TTL_MINUTES }),
+  });
+
+const sendEmailChangedMail = async ({ t, to, mailAddress }) =>
+  mailer.send({
+    to,
+    subject: t("mail.emailChanged.subject"),
+    text: t("mail.emailChanged.text", { mailAddress }),
+  });
+
+const sendDeletionRequestMail = async ({ t, to, purgeAfter, keepHistory }) =>
+  mailer.send({
+    to,
+    subject: t("mail.deletion.subject"),
+    text: t("mail.deletion.text", {
+      date: formatDateTime(purgeAfter, t.locale),
+      history: t(keepHistory ? "deletion.keepHistory" : "deletion.dropHistory"),
+    }),
+  });
+
+// Must run inside withTransaction.
+const applyStampGrant = async (
+  userId,
+  context,
+  { program, reason = "admin_grant", sessionId = null, details = null }
+) => {
+  await ensureEnrollment(userId, program.id);
+  const before = (await readStoredStamps(userId, program.id)) || 0;
+  const stamps = clampStamps(before + 1, program.stampCount);
+  await writeStoredStamps(userId, program.id, stamps);
+  await runDb(
+    "INSERT INTO stamp_events (userId, createdAt, reason, eventType, sessionId, programId) VALUES (?, ?, ?, ?, ?, ?)",
+    [userId, nowIso(), reason, "ADD", sessionId, program.id]
+  );
+  await recordAudit(context, {
+    action: "stamp_grant",
+    targetUserId: userId,
+    beforeStamps: clampStamps(before, program.stampCount),
+    afterStamps: stamps,
+    details: programDetails(program, details),
+  });
+  return { id: userId, stamps, programId: program.id, stampCount: program.stampCount };
+};
+
+const grantStamp = async (userId, context, { program, reason = "admin_grant" }) =>
+  withTransaction(async () => {
+    await runDb("INSERT OR IGNORE INTO users (id, stamps) VALUES (?, 0)", [
+      userId,
+    ]);
+    return applyStampGrant(userId, context, { program, reason });
+  });
+
+const BULK_GRANT_MAX_ROWS = 500;
+const BULK_HEADER_CELLS = ["id", "userid", "mailaddress", "email", "メールアドレス"];
+
+// Accepts one identifier per line; for CSV rows the first cell that looks
+// like an email wins, otherwise the first cell is taken as a user ID.
+const parseBulkIdentifiers = (text) =>
+  String(text || "")
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .map((line) =>
+      line
+        .split(",")
+        .map((cell) => cell.trim().replace(/^"(.*)"$/, "$1").trim())
+        .filter(Boolean)
+    )
+    .filter((cells) => cells.length)
+    .map((cells) => cells.find((cell) => cell.includes("@")) || cells[0])
+    .filter(
+      (identifier, index) =>
+        index > 0 || !BULK_HEADER_CELLS.includes(identifier.toLowerCase())
+    );
+
+const resolveUserIdentifier = async (identifier) => {
+  if (identifier.includes("@")) {
+    const mailAddress = normalizeMail(identifier);
+    const identity = await getAuthIdentity("local", mailAddress);
+    if (identity) {
+      return identity.userId;
+    }
+    const profile = await getDb(
+      "SELECT userId FROM user_profiles WHERE lower(mailAddress) = ? ORDER BY updatedAt DESC LIMIT 1",
+      [mailAddress]
+    );
+    return profile ? profile.userId : null;
+  }
+  const user = await getUserById(identifier);
+  return user ? user.id : null;
+};
+
+const summarizeRows = (results) =>
+  results.reduce((acc, result) => {
+    acc[result.status] = (acc[result.status] || 0) + 1;
+    return acc;
+  }, {});
+
+const bulkGrantStamps = async (identifiers, context, { program, sessionId = null }) =>
+  withTransaction(async () => {
+    const seen = new Set();
+    const results = [];
+    for (const [index, input] of identifiers.entries()) {
+      const row = index + 1;
+      const userId = await resolveUserIdentifier(input);
+      if (!userId) {
+        results.push({ row, input, status: "unknown_user" });
+        continue;
+      }
+      if (seen.has(userId)) {
+        results.push({ row, input, userId, status: "duplicate" });
+        continue;
+      }
+      seen.add(userId);
+      const current = (await readStoredStamps(userId, program.id)) || 0;
+      if (current >= program.stampCount) {
+        results.push({
+          row,
+          input,
+          userId,
+          status: "at_cap",
+          stamps: clampStamps(current, program.stampCount),
+        });
+        continue;
+      }
+      if (sessionId) {
+        const existing = await getDb(
+          "SELECT id FROM stamp_events WHERE userId = ? AND sessionId = ?",
+          [userId, sessionId]
+        );
+        if (existing) {
+          results.push({
+            row,
+            input,
+            userId,
+            status: "already_checked_in",
+            stamps: current,
+          });
+          continue;
+        }
+      }
+      const granted = await applyStampGrant(userId, context, {
+        program,
+        reason: sessionId ? "session_bulk_grant" : "admin_bulk_grant",
+        sessionId,
+        details: { bulk: true, sessionId },
+      });
+      results.push({ row, input, userId, status: "granted", stamps: granted.stamps });
+    }
+    return {
+      programId: program.id,
+      stampCount: program.stampCount,
+      results,
+      summary: summarizeRows(results),
+    };
+  });
+
+const IMPORT_MAX_ROWS = 1000;
+const IMPORT_COLUMNS = {
+  username: "username",
+  mailaddress: "mailAddress",
+  email: "mailAddress",
+  job: "job",
+  hobbies: "hobbies",
+  stamps: "stamps",
+};
+const IMPORT_PROFILE_FIELDS = ["username", "job", "hobbies"];
+const MAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+// The header row decides which column is which; unknown columns are ignored.
+const parseImportCsv = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  const fields = (header || []).map(
+    (cell) => IMPORT_COLUMNS[cell.trim().toLowerCase()] || null
+  );
+  if (!fields.includes("username") || !fields.includes("mailAddress")) {
+    return { error: "missing_columns" };
+  }
+  const records = rows
+    .map((cells, index) => {
+      const record = { row: index + 2 };
+      fields.forEach((field, column) => {
+        if (field) {
+          record[field] = (cells[column] || "").trim();
+        }
+      });
+      return { record, blank: cells.every((cell) => !cell.trim()) };
+    })
+    .filter((entry) => !entry.blank)
+    .map((entry) => entry.record);
+  return { records };
+};
+
+// Works out what each row would do without writing anything, so the same
+// plan serves the dry run and (recomputed inside the transaction) the import.
+const planMemberImport = async (records, { mode, program }) => {
+  const seen = new Set();
+  const plan = [];
+  for (const record of records) {
+    const mailAddress = normalizeMail(record.mailAddress);
+    const profile = {
+      username: normalizeUsername(record.username),
+      job: record.job || "",
+      hobbies: record.hobbies || "",
+    };
+    const base = {
+      row: record.row,
+      mailAddress: mailAddress || record.mailAddress || "",
+      username: profile.username,
+    };
+    const errors = [];
+    if (!profile.username) {
+      errors.push("missing_username");
+    }
+    if (!MAIL_PATTERN.test(mailAddress)) {
+      errors.push("invalid_mail");
+    }
+    const stamps = record.stamps ? Number(record.stamps) : 0;
+    if (!Number.isInteger(stamps) || stamps !== clampStamps(stamps, program.stampCount)) {
+      errors.push("invalid_stamps");
+    }
+    if (errors.length) {
+      plan.push({ ...base, status: "invalid", errors });
+      continue;
+    }
+    if (seen.has(mailAddress)) {
+      plan.push({ ...base, status: "duplicate" });
+      continue;
+    }
+    seen.add(mailAddress);
+    const userId = await resolveUserIdentifier(mailAddress);
+    if (!userId) {
+      plan.push({ ...base, status: "created", profile, stamps });
+      continue;
+    }
+    if (mode !== "update") {
+      plan.push({ ...base, userId, status: "skipped" });
+      continue;
+    }
+    const current = await getProfileByUserId(userId);
+    const changes = {};
+    IMPORT_PROFILE_FIELDS.forEach((field) => {
+      if (profile[field] && profile[field] !== ((current && current[field]) || "")) {
+        changes[field] = profile[field];
+      }
+    });
+    plan.push({
+      ...base,
+      userId,
+      status: Object.keys(changes).length ? "updated" : "unchanged",
+      hasProfile: Boolean(current),
+      changes,
+    });
+  }
+  return plan;
+};
+
+const toImportResult = ({ profile, hasProfile, ...result }) => result;
+
+const applyMemberImportRow = async (entry, context, program) => {
+  const createdAt = nowIso();
+  if (entry.status === "created") {
+    const userId = crypto.randomUUID();
+    await runDb("INSERT INTO users (id, stamps, isAdmin) VALUES (?, 0, 0)", [userId]);
+    await runDb(
+      "INSERT INTO user_profiles (userId, username, mailAddress, description, job, hobbies, updatedAt) VALUES (?, ?, ?, ?, ?, ?, ?)",
+      [userId, entry.profile.username, entry.mailAddress, "", entry.profile.job, entry.profile.hobbies, createdAt]
+    );
+    await runDb(
+      "INSERT INTO auth_identities (userId, provider, providerKey, createdAt) VALUES (?, ?, ?, ?)",
+      [userId, "local", entry.mailAddress, createdAt]
+    );
+    if (entry.stamps) {
+      await writeStoredStamps(userId, program.id, entry.stamps);
+      await runDb(
+        "INSERT INTO stamp_events (userId, createdAt, reason, eventType, delta, programId) VALUES (?, ?, ?, ?, ?, ?)",
+        [userId, createdAt, "member_import", "ADJUST", entry.stamps, program.id]
+      );
+    }
+    await recordAudit(context, {
+      action: "member_import",
+      targetUserId: userId,
+      beforeStamps: 0,
+      afterStamps: entry.stamps,
+      details: { row: entry.row, status: "created" },
+    });
+    return { ...entry, userId };
+  }
+  if (entry.status === "updated") {
+    if (entry.hasProfile) {
+      const fields = Object.keys(entry.changes);
+      await runDb(
+        `UPDATE user_profiles SET ${fields.map((field) => `${field} = ?`).join(", ")}, updatedAt = ? WHERE userId = ?`,
+        [...fields.map((field) => entry.changes[field]), createdAt, entry.userId]
+      );
+    } else {
+      await runDb(
+        "INSERT INTO user_profiles (userId, username, mailAddress, description, job, hobbies, updatedAt) VALUES (?, ?, ?, ?, ?, ?, ?)",
+        [
+          entry.userId,
+          entry.changes.username || "",
+          entry.mailAddress,
+          "",
+          entry.changes.job || "",
+          entry.changes.hobbies || "",
+          createdAt,
+        ]
+      );
+    }
+    await recordAudit(context, {
+      action: "member_import",
+      targetUserId: entry.userId,
+      details: { row: entry.row, status: "updated", changes: entry.changes },
+    });
+  }
+  return entry;
+};
+
+// Starting stamps go on the default card as an ADJUST event so the ledger
+// still replays to the stored count.
+const importMembers = async (records, context, { mode, dryRun }) => {
+  const program = await getProgramById(DEFAULT_PROGRAM_ID);
+  const run = async () => {
+    const plan = await planMemberImport(records, { mode, program });
+    const results = [];
+    for (const entry of plan) {
+      results.push(dryRun ? entry : await applyMemberImportRow(entry, context, program));
+    }
+    return results.map(toImportResult);
+  };
+  const results = dryRun ? await run() : await withTransaction(run);
+  return { dryRun, mode, results, summary: summarizeRows(results) };
+};
+
+const resetStamps = async (userId, context, program) =>
+  withTransaction(async () => {
+    const before = await readStoredStamps(userId, program.id);
+    if (before === null) {
+      return { error: "not_enrolled" };
+    }
+    await writeStoredStamps(userId, program.id, 0);
+    await runDb(
+      "INSERT INTO stamp_events (userId, createdAt, reason, eventType, programId) VALUES (?, ?, ?, ?, ?)",
+      [userId, nowIso(), "user_reset", "RESET", program.id]
+    );
+    await syncCardCycles(userId, program.id);
+    await recordAudit(context, {
+      action: "stamp_reset",
+      targetUserId: userId,
+      beforeStamps: clampStamps(before, program.stampCount),
+      afterStamps: 0,
+      details: programDetails(program),
+    });
+    return { id: userId, stamps: 0, programId: program.id, stampCount: program.stampCount };
+  });
+
+const STAMP_CORRECTION_ERRORS = {
+  not_found: { status: 404, error: "stamp_event_not_found" },
+  user_not_found: { status: 404, error: "user_not_found" },
+  program_not_found: { status: 404, error: "program_not_found" },
+  not_revocable: { status: 409, error: "not_revocable" },
+  already_revoked: { status: 409, error: "already_revoked" },
+  unchanged: { status: 400, error: "stamp_count_unchanged" },
+};
+
+const revokeStampEvent = async ({ eventId, reason, context }) =>
+  withTransaction(async () => {
+    const event = await getDb("SELECT * FROM stamp_events WHERE id = ?", [
+      eventId,
+    ]);
+    if (!event) {
+      return { error: "not_found" };
+    }
+    const lastReset = await getDb(
+      "SELECT MAX(createdAt) AS createdAt FROM stamp_events WHERE userId = ? AND programId = ? AND eventType = 'RESET'",
+      [event.userId, event.programId]
+    );
+    if (
+      event.eventType !== "ADD" ||
+      (lastReset && lastReset.createdAt && event.createdAt <= lastReset.createdAt)
+    ) {
+      return { error: "not_revocable" };
+    }
+    const revoked = await getDb(
+      "SELECT id FROM stamp_events WHERE revokedEventId = ?",
+      [event.id]
+    );
+    if (revoked) {
+      return { error: "already_revoked" };
+    }
+    const program = await getProgramById(event.programId);
+    const before = clampStamps(
+      (await readStoredStamps(event.userId, program.id)) || 0,
+      program.stampCount
+    );
+    const stamps = clampStamps(before - 1, program.stampCount);
+    await writeStoredStamps(event.userId, program.id, stamps);
+    await runDb(
+      "INSERT INTO stamp_events (userId, createdAt, reason, eventType, delta, revokedEventId, note, programId) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+      [event.userId, nowIso(), "admin_revoke", "REVOKE", -1, event.id, reason, program.id]
+    );
+    await recordAudit(context, {
+      action: "stamp_revoke",
+      targetUserId: event.userId,
+      beforeStamps: before,
+      afterStamps: stamps,
+      details: programDetails(program, { eventId: event.id, reason }),
+    });
+    return { id: event.userId, stamps, programId: program.id, stampCount: program.stampCount };
+  });
+
+const adjustStamps = async ({ userId, program, stamps, reason, context }) =>
+  withTransaction(async () => {
+    const user = await getUserById(userId);
+    if (!user) {
+      return { error: "user_not_found" };
+    }
+    await ensureEnrollment(user.id, program.id);
+    const before = clampStamps(
+      (await readStoredStamps(user.id, program.id)) || 0,
+      program.stampCount
+    );
+    const after = clampStamps(stamps, program.stampCount);
+    if (before === after) {
+      return { error: "unchanged" };
+    }
+    await writeStoredStamps(user.id, program.id, after);
+    await runDb(
+      "INSERT INTO stamp_events (userId, createdAt, reason, eventType, delta, note, programId) VALUES (?, ?, ?, ?, ?, ?, ?)",
+      [user.id, nowIso(), "admin_adjust", "ADJUST", after - before, reason, program.id]
+    );
+    await recordAudit(context, {
+      action: "stamp_adjust",
+      targetUserId: user.id,
+      beforeStamps: before,
+      afterStamps: after,
+      details: programDetails(program, { reason }),
+    });
+    return { id: user.id, stamps: after, programId: program.id, stampCount: program.stampCount };
+  });
+
+const setUserRole = async (userId, role) =>
+  runDb("UPDATE users SET role = ?, isAdmin = ? WHERE id = ?", [
+    role,
+    hasRole({ role }, "staff") ? 1 : 0,
+    userId,
+  ]);
+
+// Changes a user's role while making sure at least one owner remains.
+const changeUserRole = async (userId, role, context) =>
+  withTransaction(async () => {
+    const user = await getUserById(userId);
+    if (!user) {
+      return { error: "not_found" };
+    }
+    if (user.role === "owner" && role !== "owner") {
+      const row = await getDb(
+        "SELECT COUNT(*) AS count FROM users WHERE role = 'owner'"
+      );
+      if (!row || row.count <= 1) {
+        return { error: "last_owner" };
+      }
+    }
+    await setUserRole(userId, role);
+    await recordAudit(context, {
+      action: "role_change",
+      targetUserId: userId,
+      details: { from: user.role, to: role },
+    });
+    return { id: userId, role, previousRole: user.role };
+  });
+
+// ADMIN_USER_ID names the bootstrap owner, who can then promote staff from
+// the admin page.
+const ensureAdminUser = async () => {
+  if (!ADMIN_USER_ID) {
+    return;
+  }
+  await runDb("UPDATE users SET isAdmin = 1, role = 'owner' WHERE id = ?", [ADMIN_USER_ID]);
+};
+
+// Behind a reverse proxy req.ip is the proxy's address unless the proxy
+// hops are trusted, and every client would share one rate limit.
+if (TRUST_PROXY) {
+  app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+}
+
+// Scripts and styles are served from public/ only; inline style attributes
+// stay allowed because the stamp ring positions its dots with them.
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self'",
+  "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com",
+  "font-src https://fonts.gstatic.com",
+  "img-src 'self' data:",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "form-action 'self'",
+  "frame-ancestors 'none'",
+].join("; ");
+
+app.use((req, res, next) => {
+  res.set({
+    "Content-Security-Policy": CONTENT_SECURITY_POLICY,
+    "X-Frame-Options": "DENY",
+    "X-Content-Type-Options": "nosniff",
+    "Referrer-Policy": "same-origin",
+  });
+  if (SECURE_COOKIES) {
+    res.set("Strict-Transport-Security", "max-age=31536000; includeSubDomains");
+  }
+  next();
+});
+
+app.use(express.static(path.join(__dirname, "public")));
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+const SqliteSessionStore = createSqliteSessionStore(session);
+const sessionStore = new SqliteSessionStore({
+  runDb,
+  getDb,
+  defaultTtlMs: SESSION_MAX_AGE_DAYS * DAY_MS,
+  pruneIntervalMs: SESSION_PRUNE_INTERVAL_MINUTES * 60 * 1000,
+});
+
+app.use(
+  session({
+    store: sessionStore,
+    secret: SESSION_SECRET,
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: SECURE_COOKIES,
+      maxAge: SESSION_MAX_AGE_DAYS * DAY_MS,
+    },
+  })
+);
+
+app.use(passport.initialize());
+
+// A language picked on the profile wins over the browser's Accept-Language.
+// req.t translates message keys into the chosen language.
+app.use(async (req, res, next) => {
+  try {
+    const preference =
+      req.session && req.session.userId
+        ? await getDb("SELECT locale FROM user_profiles WHERE userId = ?", [req.session.userId])
+        : null;
+    req.locale =
+      preference && isSupportedLocale(preference.locale)
+        ? preference.locale
+        : negotiateLocale(req.get("Accept-Language"));
+    req.t = createTranslator(req.locale);
+    res.vary("Accept-Language");
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// JSON errors carry a stable code for scripts and a message in the
+// request's language for people.
+const sendError = (req, res, status, code, params) => {
+  res.status(status).json({ error: code, message: req.t(`errors.${code}`, params) });
+};
+
+// One token per session. Forms send it as _csrf and page scripts as the
+// X-CSRF-Token header; every request that can change state must carry it.
+const getCsrfToken = (req) => {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString("base64url");
+  }
+  return req.session.csrfToken;
+};
+
+const hasValidCsrfToken = (req) => {
+  const expected = req.session && req.session.csrfToken;
+  const provided = req.get("X-CSRF-Token") || (req.body && req.body._csrf);
+  if (!expected || typeof provided !== "string") {
+    return false;
+  }
+  const expectedBuffer = Buffer.from(expected);
+  const providedBuffer = Buffer.from(provided);
+  return (
+    expectedBuffer.length === providedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, providedBuffer)
+  );
+};
+
+const CSRF_SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+app.use((req, res, next) => {
+  if (CSRF_SAFE_METHODS.includes(req.method) || hasValidCsrfToken(req)) {
+    next();
+    return;
+  }
+  if (req.is("application/x-www-form-urlencoded")) {
+    res.status(403).send(renderCsrfErrorPage({ t: req.t }));
+    return;
+  }
+  sendError(req, res, 403, "invalid_csrf_token");
+});
+
+if (hasGoogleAuth) {
+  passport.use(
+    new GoogleStrategy(
+      {
+        clientID: GOOGLE_CLIENT_ID,
+        clientSecret: GOOGLE_CLIENT_SECRET,
+        callbackURL: GOOGLE_CALLBACK_URL,
+        passReqToCallback: true,
+        // Ties each callback to the session that started it, so a callback
+        // URL carrying someone else's authorization code is refused.
+        state: true,
+      },
+      async (req, accessToken, refreshToken, profile, done) => {
+        try {
+          const providerKey = profile.id;
+          const linkUserId = req.linkGoogleFor;
+          if (linkUserId) {
+            const linkResult = await linkGoogleIdentity(linkUserId, providerKey);
+            if (linkResult === "confirm_merge") {
+              req.session.pendingGoogleMerge = { userId: linkUserId, providerKey };
+            }
+            done(null, { id: linkUserId, linkResult });
+            return;
+          }
+          const existingIdentity = await getAuthIdentity("google", providerKey);
+          if (existingIdentity) {
+            done(null, { id: existingIdentity.userId });
+            return;
+          }
+          // Only a verified address is kept. If a member already signed up
+          // with it, they log in by mail and link Google from their profile
+          // rather than getting a second, empty card.
+          const verifiedEmail = (Array.isArray(profile.emails) ? profile.emails : []).find(
+            (item) => item.verified
+          );
+          const email = verifiedEmail ? normalizeMail(verifiedEmail.value) : "";
+          if (email && (await getAuthIdentity("local", email))) {
+            done(null, false, { error: "google_email_in_use" });
+            return;
+          }
+          const userId = crypto.randomUUID();
+          const displayName = profile.displayName || req.t("identity.googleDefaultName");
+          const createdAt = nowIso();
+          await runDb(
+            "INSERT INTO users (id, stamps, isAdmin) VALUES (?, 0, 0)",
+            [userId]
+          );
+          await runDb(
+            "INSERT INTO user_profiles (userId, username, mailAddress, description, job, hobbies, updatedAt) VALUES (?, ?, ?, ?, ?, ?, ?)",
+            [userId, displayName, email, "", "", "", createdAt]
+          );
+          await runDb(
+            "INSERT INTO auth_identities (userId, provider, providerKey, createdAt) VALUES (?, ?, ?, ?)",
+            [userId, "google", providerKey, createdAt]
+          );
+          done(null, { id: userId });
+        } catch (error) {
+          done(error);
+        }
+      }
+    )
+  );
+}
+
+const setRetryAfter = (res, lockedUntil) => {
+  res.set("Retry-After", String(Math.max(1, Math.ceil((lockedUntil - Date.now()) / 1000))));
+};
+
+const sendTooManyAttempts = (req, res, lockedUntil) => {
+  setRetryAfter(res, lockedUntil);
+  sendError(req, res, 429, "too_many_attempts");
+};
+
+// Members who keep calling staff-only routes are locked out of them. Only
+// the account is counted: staff often share an IP address with members, and
+// a missing login is not counted so an expired admin session that is still
+// polling does not lock anyone.
+const adminLimitSubjects = (req) => ({ account: req.session.userId });
+
+const requireRoleApi = (role) => async (req, res, next) => {
+  if (!req.session || !req.session.userId) {
+    sendError(req, res, 401, "unauthorized");
+    return;
+  }
+  try {
+    const lockedUntil = await rateLimits.getLockedUntil("admin", adminLimitSubjects(req));
+    if (lockedUntil) {
+      sendTooManyAttempts(req, res, lockedUntil);
+      return;
+    }
+    const user = await getUserById(req.session.userId);
+    if (!hasRole(user, role)) {
+      await rateLimits.recordAttempt("admin", adminLimitSubjects(req));
+      sendError(req, res, 403, "forbidden");
+      return;
+    }
+    req.adminUser = user;
+    next();
+  } catch (error) {
+    sendError(req, res, 500, "user_load_failed");
+  }
+};
+
+const requireRolePage = (role) => async (req, res, next) => {
+  if (!req.session || !req.session.userId) {
+    if (req.session && req.method === "GET") {
+      req.session.returnTo = req.originalUrl;
+    }
+    res.redirect("/login");
+    return;
+  }
+  try {
+    const lockedUntil = await rateLimits.getLockedUntil("admin", adminLimitSubjects(req));
+    if (lockedUntil) {
+      setRetryAfter(res, lockedUntil);
+      res.status(429).send(req.t("errors.too_many_attempts"));
+      return;
+    }
+    const user = await getUserById(req.session.userId);
+    if (!hasRole(user, role)) {
+      await rateLimits.recordAttempt("admin", adminLimitSubjects(req));
+      res.status(403).send(req.t("common.forbidden"));
+      return;
+    }
+    req.adminUser = user;
+    next();
+  } catch (error) {
+    res.status(500).send("Internal Server Error");
+  }
+};
+
+const adminGuard = requireRoleApi("staff");
+const ownerGuard = requireRoleApi("owner");
+
+const requireLoginPage = (req, res, next) => {
+  if (!req.session || !req.session.userId) {
+    if (req.session && req.method === "GET") {
+      req.session.returnTo = req.originalUrl;
+    }
+    res.redirect("/login");
+    return;
+  }
+  next();
+};
+
+const consumeReturnTo = (req) => {
+  const returnTo = req.session ? req.session.returnTo : "";
+  if (req.session) {
+    delete req.session.returnTo;
+  }
+  if (returnTo && returnTo.startsWith("/") && !returnTo.startsWith("//")) {
+    return returnTo;
+  }
+  return "/user";
+};
+
+// Logging in moves the member to a new session id, so an id planted in the
+// browser beforehand is worthless afterwards. Only returnTo is carried over.
+const startUserSession = (req, userId) =>
+  new Promise((resolve, reject) => {
+    const returnTo = req.session.returnTo;
+    req.session.regenerate((error) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      req.session.userId = userId;
+      if (returnTo) {
+        req.session.returnTo = returnTo;
+      }
+      resolve();
+    });
+  });
+
+const requireLoginApi = (req, res, next) => {
+  if (!req.session || !req.session.userId) {
+    sendError(req, res, 401, "unauthorized");
+    return;
+  }
+  next();
+};
+
+const renderMessage = (message, type = "error") => {
+  if (!message) {
+    return "";
+  }
+  const className = type === "info" ? "notice" : "error";
+  return html`<div class="${className}" role="alert">${message}</div>`;
+};
+
+const renderCsrfField = (csrfToken) =>
+  html`<input name="_csrf" type="hidden" value="${csrfToken}" />`;
+
+const renderCsrfErrorPage = ({ t }) =>
+  renderLayout({
+    t,
+    title: t("csrf.title"),
+    body: html`<main>
+      <header>
+        <h1>${t("csrf.heading")}</h1>
+      </header>
+      ${renderMessage(t("csrf.message"))}
+      <div class="form-actions">
+        <a class="button" href="/user">${t("common.toStampCard")}</a>
+      </div>
+    </main>`,
+  });
+
+const renderAuthLinks = (t) => {
+  return html`<div class="auth-links">
+    <a href="/signup">${t("auth.signupLink")}</a>
+    <span class="divider">|</span>
+    <a href="/login">${t("auth.loginLink")}</a>
+  </div>`;
+};
+
+// Page scripts read their messages from <main data-messages> through
+// public/i18n.js, which has to load first.
+const renderScripts = (...sources) =>
+  ["/i18n.js", ...sources].map((source) => html`<script src="${source}"></script>`);
+
+const renderLoginPage = ({ t, errorMessage, infoMessage, csrfToken } = {}) => {
+  const googleButton = hasGoogleAuth
+    ? html`<a class="button button--google" href="/auth/google">${t("login.google")}</a>`
+    : html`<button class="button button--google" type="button" disabled>${t("login.googleUnavailable")}</button>
+       <div class="helper-text">${t("login.googleHelp")}</div>`;
+  return renderLayout({
+    t,
+    title: t("login.title"),
+    body: html`<main>
+      <header>
+        <h1>${t("app.title")}</h1>
+        <div class="subtle">${t("login.subtitle")}</div>
+      </header>
+      ${renderMessage(errorMessage)}
+      ${renderMessage(infoMessage, "info")}
+      <form action="/api/login/code" method="POST">
+        ${renderCsrfField(csrfToken)}
+        <label>
+          ${t("common.mailAddress")}
+          <input name="mailAddress" type="email" required placeholder="example@example.com" />
+        </label>
+        <button type="submit">${t("login.sendCode")}</button>
+      </form>
+      <div class="section-divider">${t("login.or")}</div>
+      <div class="oauth-block">
+        ${googleButton}
+      </div>
+      ${renderAuthLinks(t)}
+      <footer>${t("login.footer")}</footer>
+    </main>`,
+  });
+};
+
+const renderLoginVerifyPage = ({ t, mailAddress, errorMessage, infoMessage, csrfToken } = {}) => {
+  return renderLayout({
+    t,
+    title: t("loginVerify.title"),
+    body: html`<main>
+      <header>
+        <h1>${t("loginVerify.heading")}</h1>
+        <div class="subtle">${t("loginVerify.subtitle")}</div>
+      </header>
+      ${renderMessage(errorMessage)}
+      ${renderMessage(infoMessage, "info")}
+      <form action="/api/login/verify" method="POST">
+        ${renderCsrfField(csrfToken)}
+        <label>
+          ${t("common.mailAddress")}
+          <input name="mailAddress" type="email" required value="${mailAddress}" placeholder="example@example.com" />
+        </label>
+        <label>
+          ${t("loginVerify.code")}
+          <input name="code" type="text" inputmode="numeric" autocomplete="one-time-code" maxlength="6" required placeholder="${t("common.codePlaceholder")}" />
+        </label>
+        <button type="submit">${t("loginVerify.submit")}</button>
+      </form>
+      ${renderAuthLinks(t)}
+      <footer>${t("loginVerify.footer", { minutes: LOGIN_CODE_TTL_MINUTES })}</footer>
+    </main>`,
+  });
+};
+
+const renderMagicLinkPage = ({ t, token, csrfToken } = {}) =>
+  renderLayout({
+    t,
+    title: t("magicLink.title"),
+    body: html`<main>
+      <header>
+        <h1>${t("magicLink.title")}</h1>
+        <div class="subtle">${t("magicLink.subtitle")}</div>
+      </header>
+      <form action="/api/login/magic" method="POST">
+        ${renderCsrfField(csrfToken)}
+        <input name="token" type="hidden" value="${token}" />
+        <button type="submit">${t("magicLink.submit")}</button>
+      </form>
+      ${renderAuthLinks(t)}
+    </main>`,
+  });
+
+const renderSignupPage = ({ t, errorMessage, values = {}, csrfToken } = {}) => {
+  return renderLayout({
+    t,
+    title: t("signup.title"),
+    body: html`<main>
+      <header>
+        <h1>${t("signup.title")}</h1>
+        <div class="subtle">${t("signup.subtitle")}</div>
+      </header>
+      ${renderMessage(errorMessage)}
+      <form action="/api/signup" method="POST">
+        ${renderCsrfField(csrfToken)}
+        <label>
+          ${t("common.username")}
+          <input name="username" type="text" required value="${values.username}" placeholder="${t("signup.usernamePlaceholder")}" />
+        </label>
+        <label>
+          ${t("common.mailAddress")}
+          <input name="mailAddress" type="email" required value="${values.mailAddress}" placeholder="example@example.com" />
+        </label>
+        <label>
+          ${t("common.description")}
+          <textarea name="description" rows="3" placeholder="${t("signup.descriptionPlaceholder")}">${values.description}</textarea>
+        </label>
+        <label>
+          ${t("common.job")}
+          <input name="job" type="text" value="${values.job}" placeholder="${t("signup.jobPlaceholder")}" />
+        </label>
+        <label>
+          ${t("common.hobbies")}
+          <input name="hobbies" type="text" value="${values.hobbies}" placeholder="${t("common.hobbiesPlaceholder")}" />
+        </label>
+        <button type="submit">${t("signup.submit")}</button>
+      </form>
+      ${renderAuthLinks(t)}
+      <footer>${t("signup.footer")}</footer>
+    </main>`,
+  });
+};
+
+const renderIdentitySection = (t, identities = [], csrfToken) => {
+  const canUnlink = identities.length > 1;
+  const items = identities
+    .map((identity) => {
+      const label =
+        identity.provider === "local"
+          ? t("identity.local", { mailAddress: identity.providerKey })
+          : identity.provider === "google"
+            ? "Google"
+            : identity.provider;
+      const unlinkButton = canUnlink
+        ? html`<form class="inline-form" action="/api/profile/identities/${identity.id}/unlink" method="POST">
+            ${renderCsrfField(csrfToken)}
+            <button class="button--ghost" type="submit">${t("identity.unlink")}</button>
+          </form>`
+        : "";
+      return html`<li class="identity-item"><span>${label}</span>${unlinkButton}</li>`;
+    });
+  const hasGoogle = identities.some((identity) => identity.provider === "google");
+  const linkButton =
+    hasGoogleAuth && !hasGoogle
+      ? html`<a class="button button--google" href="/auth/google/link">${t("identity.linkGoogle")}</a>`
+      : "";
+  return html`<section class="identity-section" aria-label="${t("identity.heading")}">
+        <h2>${t("identity.heading")}</h2>
+        <ul class="identity-list">${items}</ul>
+        ${linkButton}
+        <div class="helper-text">${t("identity.help")}</div>
+      </section>`;
+};
+
+const renderAccountSection = (t) => html`<section class="account-section" aria-label="${t("account.heading")}">
+        <h2>${t("account.heading")}</h2>
+        <div class="form-actions">
+          <a class="button button--ghost" href="/api/me/export">${t("account.download")}</a>
+          <a class="button button--ghost" href="/profile/delete">${t("account.delete")}</a>
+        </div>
+        <div class="helper-text">${t("account.help")}</div>
+      </section>`;
+
+const renderAccountDeletionPage = ({ t, deletion, message, messageType = "info", csrfToken } = {}) =>
+  renderLayout({
+    t,
+    title: t("deletion.title"),
+    body: html`<main>
+      <header>
+        <h1>${t("deletion.title")}</h1>
+        <div class="subtle">${t("deletion.subtitle", { days: ACCOUNT_DELETION_GRACE_DAYS })}</div>
+      </header>
+      ${renderMessage(message, message ? messageType : undefined)}
+      ${
+        deletion
+          ? html`<div class="notice">${t("deletion.scheduled", {
+              date: formatDateTime(deletion.purgeAfter, t.locale),
+            })}${t(deletion.keepHistory ? "deletion.keepHistory" : "deletion.dropHistory")}</div>
+      <form action="/api/profile/deletion/cancel" method="POST">
+        ${renderCsrfField(csrfToken)}
+        <div class="form-actions">
+          <button type="submit">${t("deletion.cancel")}</button>
+          <a class="button button--ghost" href="/profile">${t("common.back")}</a>
+        </div>
+      </form>`
+          : html`<form action="/api/profile/deletion" method="POST">
+        ${renderCsrfField(csrfToken)}
+        <label class="checkbox-label">
+          <input name="keepHistory" type="checkbox" value="1" checked />
+          ${t("deletion.keepHistoryLabel")}
+        </label>
+        <label>
+          ${t("deletion.confirmationLabel", { word: t("deletion.confirmationWord") })}
+          <input name="confirmation" type="text" required autocomplete="off" />
+        </label>
+        <div class="form-actions">
+          <button type="submit">${t("deletion.submit")}</button>
+          <a class="button button--ghost" href="/profile">${t("common.back")}</a>
+        </div>
+      </form>`
+      }
+      <footer>${t("deletion.footerBefore")}<a href="/api/me/export">${t("account.download")}</a>${t("deletion.footerAfter")}</footer>
+    </main>`,
+  });
+
+const renderGoogleMergePage = ({ t, current, source, sourceProfile, csrfToken } = {}) =>
+  renderLayout({
+    t,
+    title: t("googleMerge.title"),
+    body: html`<main>
+      <header>
+        <h1>${t("googleMerge.title")}</h1>
+        <div class="subtle">${t("googleMerge.subtitle")}</div>
+      </header>
+      <div class="notice">${t("googleMerge.source", {
+        name: sourceProfile && sourceProfile.username ? sourceProfile.username : source.id,
+        stamps: source.stamps,
+      })}</div>
+      <p>${t("googleMerge.explain")}</p>
+      <p>${t("googleMerge.role", { role: t(`role.${normalizeRole(current.role)}`) })}</p>
+      <form action="/api/profile/google-merge" method="POST">
+        ${renderCsrfField(csrfToken)}
+        <div class="form-actions">
+          <button type="submit">${t("googleMerge.submit")}</button>
+        </div>
+      </form>
+      <form action="/api/profile/google-merge/cancel" method="POST">
+        ${renderCsrfField(csrfToken)}
+        <div class="form-actions">
+          <button class="button--ghost" type="submit">${t("googleMerge.cancel")}</button>
+        </div>
+      </form>
+    </main>`,
+  });
+
+const renderEmailChangePage = ({
+  t,
+  mailAddress,
+  pending,
+  message,
+  messageType = "info",
+  csrfToken,
+} = {}) =>
+  renderLayout({
+    t,
+    title: t("emailChange.title"),
+    body: html`<main>
+      <header>
+        <h1>${t("emailChange.title")}</h1>
+        <div class="subtle">${t("emailChange.subtitle")}</div>
+      </header>
+      ${renderMessage(message, message ? messageType : undefined)}
+      <div class="subtle">${t("emailChange.current", {
+        mailAddress: mailAddress || t("emailChange.unset"),
+      })}</div>
+      ${
+        pending
+          ? html`<div class="notice">${t("emailChange.pending", {
+              mailAddress: pending.mailAddress,
+              date: formatDateTime(pending.expiresAt, t.locale),
+            })}</div>
+      <form action="/api/profile/email/verify" method="POST">
+        ${renderCsrfField(csrfToken)}
+        <label>
+          ${t("emailChange.code")}
+          <input name="code" type="text" inputmode="numeric" autocomplete="one-time-code" maxlength="6" required placeholder="${t("common.codePlaceholder")}" />
+        </label>
+        <div class="form-actions">
+          <button type="submit">${t("emailChange.submit")}</button>
+        </div>
+      </form>
+      <form action="/api/profile/email/cancel" method="POST">
+        ${renderCsrfField(csrfToken)}
+        <div class="form-actions">
+          <button class="button--ghost" type="submit">${t("emailChange.cancel")}</button>
+        </div>
+      </form>`
+          : ""
+      }
+      <form action="/api/profile/email" method="POST">
+        ${renderCsrfField(csrfToken)}
+        <label>
+          ${t("emailChange.newAddress")}
+          <input name="mailAddress" type="email" required value="${pending ? pending.mailAddress : ""}" placeholder="example@example.com" />
+        </label>
+        <div class="form-actions">
+          <button type="submit">${t(pending ? "emailChange.resend" : "emailChange.send")}</button>
+          <a class="button button--ghost" href="/profile">${t("common.back")}</a>
+        </div>
+      </form>
+      <footer>${t("emailChange.footer")}</footer>
+    </main>`,
+  });
+
+const renderLocaleOptions = (t, selected) => [
+  html`<option value="">${t("profile.localeAuto")}</option>`,
+  ...SUPPORTED_LOCALES.map(
+    (locale) =>
+      html`<option value="${locale}" lang="${locale}"${
+        locale === selected ? html` selected` : ""
+      }>${LOCALE_NAMES[locale]}</option>`
+  ),
+];
+
+const renderProfilePage = ({
+  t,
+  profile,
+  identities = [],
+  mailLocked = true,
+  message,
+  messageType = "info",
+  csrfToken,
+} = {}) => {
+  const mailInputAttrs = mailLocked ? html`readonly aria-readonly="true"` : "";
+  return renderLayout({
+    t,
+    title: t("profile.title"),
+    body: html`<main>
+      <header>
+        <h1>${t("profile.title")}</h1>
+        <div class="subtle">${t("profile.subtitle")}</div>
+      </header>
+      ${renderMessage(message, message ? messageType : undefined)}
+      <form action="/api/profile" method="POST">
+        ${renderCsrfField(csrfToken)}
+        <label>
+          ${t("common.username")}
+          <input name="username" type="text" required value="${profile ? profile.username : ""}" />
+        </label>
+        <label>
+          ${t("common.mailAddress")}
+          <input name="mailAddress" type="email" value="${profile ? profile.mailAddress : ""}" ${mailInputAttrs} />
+        </label>
+        <div class="helper-text"><a href="/profile/email">${t("profile.changeMail")}</a></div>
+        <label>
+          ${t("common.description")}
+          <textarea name="description" rows="3">${profile ? profile.description : ""}</textarea>
+        </label>
+        <label>
+          ${t("common.job")}
+          <input name="job" type="text" value="${profile ? profile.job : ""}" />
+        </label>
+        <label>
+          ${t("common.hobbies")}
+          <input name="hobbies" type="text" value="${profile ? profile.hobbies : ""}" placeholder="${t("common.hobbiesPlaceholder")}" />
+        </label>
+        <label>
+          ${t("profile.locale")}
+          <select name="locale">
+            ${renderLocaleOptions(t, profile ? profile.locale : null)}
+          </select>
+        </label>
+        <div class="form-actions">
+          <button type="submit">${t("profile.save")}</button>
+          <a class="button button--ghost" href="/user">${t("common.back")}</a>
+        </div>
+      </form>
+      ${renderIdentitySection(t, identities, csrfToken)}
+      ${renderAccountSection(t)}
+      <footer>${t("profile.footer")}</footer>
+    </main>`,
+  });
+};
+
+const renderProgramTabs = (t, programs, current) =>
+  programs.length > 1
+    ? html`<nav class="program-tabs" aria-label="${t("user.programTabs")}">
+          ${programs
+            .map(
+              (program) =>
+                html`<a href="/user?program=${encodeURIComponent(program.id)}"${
+                  program.id === current.id ? html` aria-current="page"` : ""
+                }>${program.name}</a>`
+            )}
+        </nav>`
+    : "";
+
+const renderUserPage = ({
+  t,
+  userId,
+  program,
+  programs = [program],
+  profile,
+  isAdmin = false,
+  deletion = null,
+  csrfToken,
+} = {}) => {
+  const total = program.stampCount;
+  const safeStamps = clampStamps(program.stamps || 0, total);
+  const ringDots = Array.from({ length: total }, (_, index) => {
+    return html`<span class="ring-dot" style="--index:${index};" aria-hidden="true"></span>`;
+  });
+  const displayName = profile && profile.username ? profile.username : "";
+  const job = profile && profile.job ? profile.job : "";
+  const jobText = job ? t("user.jobSuffix", { job }) : "";
+  const description = profile && profile.description ? profile.description : "";
+
+  return renderLayout({
+    t,
+    csrfToken,
+    body: html`<main
+      data-user-id="${userId}"
+      data-stamps="${safeStamps}"
+      data-program-id="${program.id}"
+      data-program="${JSON.stringify({
+        id: program.id,
+        stampCount: total,
+        milestones: program.milestones,
+        rewardText: program.rewardText,
+        isDefault: program.isDefault,
+      })}"
+      data-heartbeat-ms="${STREAM_HEARTBEAT_SECONDS * 1000}"
+      data-messages="${JSON.stringify(t.messages("user.", "common."))}"
+    >
+      <header>
+        <div class="header-top">
+          <div>
+            <h1>${t("app.title")}</h1>
+            <div class="subtle" id="profile-summary">${t("user.welcome", { name: displayName, job: jobText })}</div>
+            <div class="subtle" id="profile-job">${description}</div>
+          </div>
+          <nav class="header-links">
+            ${isAdmin ? html`<a href="/admin">${t("user.admin")}</a>` : ""}
+            <a href="/profile">${t("user.profile")}</a>
+            <a href="/logout">${t("user.logout")}</a>
+          </nav>
+        </div>
+        ${renderProgramTabs(t, programs, program)}
+      </header>
+      ${
+        deletion
+          ? renderMessage(
+              html`${t("user.deletionNotice", {
+                date: formatDateTime(deletion.purgeAfter, t.locale),
+              })}<a href="/profile/delete">${t("user.deletionCancel")}</a>`
+            )
+          : ""
+      }
+      <section class="ring-card" aria-label="${t("user.ring")}">
+        <div class="ring-wrapper" style="--dot-angle:${360 / total}deg;">
+          <svg class="progress-ring" viewBox="0 0 260 260" aria-hidden="true">
+            <circle class="ring-track" cx="130" cy="130" r="110"></circle>
+            <circle class="ring-progress" cx="130" cy="130" r="110"></circle>
+          </svg>
+          <div class="ring-dots">
+            ${ringDots}
+          </div>
+          <div class="ring-center">
+            <div class="center-count" id="center-count">${safeStamps} / ${total}</div>
+            <button class="reset-button" id="reset-button" type="button" hidden>
+              ${program.rewardText}
+            </button>
+          </div>
+        </div>
+        <div class="actions">
+          <button class="refresh-button" id="refresh-button" type="button">${t("user.refresh")}</button>
+        </div>
+        <div class="toast" id="milestone-toast" role="status" aria-live="polite"></div>
+      </section>
+      <section class="checkin-card" aria-label="${t("user.checkin")}">
+        <h2>${t("user.checkin")}</h2>
+        <form class="checkin-form" id="checkin-form">
+          <input name="code" type="text" inputmode="numeric" autocomplete="one-time-code" maxlength="7" required placeholder="${t("common.codePlaceholder")}" />
+          <button type="submit">${t("user.checkinSubmit")}</button>
+        </form>
+        <div class="subtle" id="checkin-result" aria-live="polite">${t("user.checkinHint")}</div>
+      </section>
+      <section class="update-info" aria-live="polite">
+        <div id="last-updated">${t("user.lastUpdated", { time: "--" })}</div>
+        <h2>${t("user.recent")}</h2>
+        <ul class="event-list" id="recent-events"></ul>
+        <a class="subtle" href="/user/history${
+          program.isDefault ? "" : `?programId=${encodeURIComponent(program.id)}`
+        }">${t("user.allHistory")}</a>
+      </section>
+      <section class="update-info" aria-label="${t("user.cycles")}">
+        <h2>${t("user.cycles")}</h2>
+        <div class="subtle" id="lifetime-summary"></div>
+        <ul class="event-list" id="card-cycles"></ul>
+      </section>
+      <footer>
+        ${t("user.footer")}
+      </footer>
+    </main>
+    ${renderScripts("/user.js")}`,
+  });
+};
+
+const formatSessionWindow = (zazenSession, locale) => {
+  const startsAt = new Date(zazenSession.startsAt);
+  const endsAt = new Date(zazenSession.endsAt);
+  const date = startsAt.toLocaleDateString(locale);
+  const time = (value) =>
+    value.toLocaleTimeString(locale, { hour: "2-digit", minute: "2-digit" });
+  return `${date} ${time(startsAt)}〜${time(endsAt)}`;
+};
+
+const renderCheckinPage = ({
+  t,
+  code,
+  sessionId,
+  zazenSession,
+  message,
+  messageType = "info",
+  csrfToken,
+} = {}) => {
+  const sessionInfo = zazenSession
+    ? html`<div class="subtle">${zazenSession.venue} / ${formatSessionWindow(
+        zazenSession,
+        t.locale
+      )}</div>`
+    : "";
+  return renderLayout({
+    t,
+    title: t("checkin.title"),
+    body: html`<main>
+      <header>
+        <h1>${t("checkin.heading")}</h1>
+        ${sessionInfo}
+      </header>
+      ${renderMessage(message, message ? messageType : undefined)}
+      <form action="/checkin" method="POST">
+        ${renderCsrfField(csrfToken)}
+        <input name="sessionId" type="hidden" value="${sessionId}" />
+        <label>
+          ${t("checkin.code")}
+          <input name="code" type="text" inputmode="numeric" autocomplete="one-time-code" maxlength="7" required value="${code}" placeholder="${t("common.codePlaceholder")}" />
+        </label>
+        <div class="form-actions">
+          <button type="submit">${t("checkin.submit")}</button>
+          <a class="button button--ghost" href="/user">${t("common.toStampCard")}</a>
+        </div>
+      </form>
+      <footer>${t("checkin.footer")}</footer>
+    </main>`,
+  });
+};
+
+const renderStaffSection = (t) => html`<section class="admin-section" aria-label="${t("admin.staff")}">
+        <h2>${t("admin.staff")}</h2>
+        <ul class="session-list" id="staff-list"></ul>
+        <form id="role-form">
+          <label>
+            ${t("admin.userId")}
+            <input name="userId" type="text" required placeholder="user-001" />
+          </label>
+          <label>
+            ${t("admin.role")}
+            <select name="role">
+              <option value="staff">${t("admin.roleStaff")}</option>
+              <option value="owner">${t("admin.roleOwner")}</option>
+              <option value="member">${t("admin.roleMember")}</option>
+            </select>
+          </label>
+          <button type="submit">${t("admin.changeRole")}</button>
+        </form>
+        <div class="subtle" id="role-result" aria-live="polite"></div>
+      </section>`;
+
+const renderProgramSection = (t, canEdit) => html`<section class="admin-section" aria-label="${t("admin.programs")}">
+        <h2>${t("admin.programs")}</h2>
+        <ul class="session-list" id="program-list"></ul>
+        ${
+          canEdit
+            ? html`<form id="program-form">
+          <input name="id" type="hidden" />
+          <div class="form-row">
+            <label>
+              ${t("admin.programName")}
+              <input name="name" type="text" required placeholder="${t("admin.programNamePlaceholder")}" />
+            </label>
+            <label>
+              ${t("admin.stampCount")}
+              <input name="stampCount" type="number" min="1" max="${PROGRAM_MAX_STAMPS}" required />
+            </label>
+          </div>
+          <div class="form-row">
+            <label>
+              ${t("admin.milestones")}
+              <input name="milestones" type="text" placeholder="${t("admin.milestonesPlaceholder")}" />
+            </label>
+            <label>
+              ${t("admin.rewardText")}
+              <input name="rewardText" type="text" placeholder="${t("admin.rewardTextPlaceholder")}" />
+            </label>
+          </div>
+          <div class="form-actions">
+            <button type="submit">${t("admin.saveProgram")}</button>
+            <button class="button--ghost" type="reset">${t("admin.newProgram")}</button>
+          </div>
+        </form>`
+            : ""
+        }
+        <form id="enroll-form">
+          <div class="form-row">
+            <label>
+              ${t("admin.userId")}
+              <input name="userId" type="text" required placeholder="user-001" />
+            </label>
+            <label>
+              ${t("common.card")}
+              <select name="programId" class="program-select" data-exclude-default="true"></select>
+            </label>
+          </div>
+          <div class="form-actions">
+            <button type="submit" value="enroll">${t("admin.enroll")}</button>
+            <button class="button--ghost" type="submit" value="unenroll">${t("admin.unenroll")}</button>
+          </div>
+        </form>
+        <div class="subtle" id="program-result" aria-live="polite"></div>
+      </section>`;
+
+const renderIntegritySection = (t) => html`<section class="admin-section" aria-label="${t("admin.integrity")}">
+        <h2>${t("admin.integrity")}</h2>
+        <div class="subtle">${t("admin.integrityHelp")}</div>
+        <div class="form-actions">
+          <button type="button" id="integrity-check">${t("admin.integrityCheck")}</button>
+          <button class="button--ghost" type="button" id="integrity-repair" disabled>${t("admin.integrityRepair")}</button>
+        </div>
+        <div class="subtle" id="integrity-result" aria-live="polite"></div>
+        <div class="table-wrapper" id="integrity-report" hidden>
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>${t("admin.integrityUser")}</th>
+                <th>${t("common.card")}</th>
+                <th>${t("admin.integrityStored")}</th>
+                <th>${t("admin.integrityLedger")}</th>
+              </tr>
+            </thead>
+            <tbody id="integrity-rows"></tbody>
+          </table>
+        </div>
+      </section>`;
+
+const renderExportSection = (t) => html`<section class="admin-section" aria-label="${t("admin.export")}">
+        <h2>${t("admin.export")}</h2>
+        <div class="subtle">${t("admin.exportHelp")}</div>
+        <form id="export-form">
+          <div class="form-row">
+            <label>
+              ${t("admin.exportDataset")}
+              <select name="dataset">
+                <option value="user_profiles">${t("admin.exportProfiles")}</option>
+                <option value="users">${t("admin.exportUsers")}</option>
+                <option value="stamp_events">${t("admin.exportEvents")}</option>
+              </select>
+            </label>
+            <label>
+              ${t("admin.exportFormat")}
+              <select name="format">
+                <option value="csv">CSV</option>
+                <option value="json">JSON</option>
+              </select>
+            </label>
+          </div>
+          <div class="form-row">
+            <label>
+              ${t("common.from")}
+              <input name="from" type="date" />
+            </label>
+            <label>
+              ${t("common.to")}
+              <input name="to" type="date" />
+            </label>
+          </div>
+          <button type="submit">${t("admin.download")}</button>
+        </form>
+      </section>`;
+
+const renderBackupSection = (t) => html`<section class="admin-section" aria-label="${t("admin.backup")}">
+        <h2>${t("admin.backup")}</h2>
+        <div class="subtle">${
+          BACKUP_INTERVAL_HOURS
+            ? t("admin.backupScheduled", { hours: BACKUP_INTERVAL_HOURS, keep: BACKUP_KEEP })
+            : t("admin.backupManual", { keep: BACKUP_KEEP })
+        }${t("admin.backupRestoreBefore")}<code>npm run db:restore</code>${t("admin.backupRestoreAfter")}</div>
+        <div class="form-actions">
+          <button type="button" id="backup-create">${t("admin.backupCreate")}</button>
+          <button class="button--ghost" type="button" id="backup-load">${t("admin.showList")}</button>
+        </div>
+        <div class="subtle" id="backup-result" aria-live="polite"></div>
+        <div class="table-wrapper" id="backup-report" hidden>
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>${t("admin.backupFile")}</th>
+                <th>${t("admin.backupCreatedAt")}</th>
+                <th>${t("admin.backupSize")}</th>
+              </tr>
+            </thead>
+            <tbody id="backup-rows"></tbody>
+          </table>
+        </div>
+      </section>`;
+
+const renderLockoutSection = (t) => html`<section class="admin-section" aria-label="${t("admin.lockouts")}">
+        <h2>${t("admin.lockouts")}</h2>
+        <div class="subtle">${t("admin.lockoutsHelp", {
+          window: RATE_LIMIT_WINDOW_MINUTES,
+          max: RATE_LIMIT_MAX_ATTEMPTS,
+          ipMax: RATE_LIMIT_IP_MAX_ATTEMPTS,
+          lockout: RATE_LIMIT_LOCKOUT_MINUTES,
+        })}</div>
+        <div class="form-actions">
+          <button class="button--ghost" type="button" id="lockout-load">${t("admin.showList")}</button>
+        </div>
+        <div class="subtle" id="lockout-result" aria-live="polite"></div>
+        <div class="table-wrapper" id="lockout-report" hidden>
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>${t("admin.lockoutScopeColumn")}</th>
+                <th>${t("admin.lockoutKindColumn")}</th>
+                <th>${t("admin.lockoutSubjectColumn")}</th>
+                <th>${t("admin.lockoutHitsColumn")}</th>
+                <th>${t("admin.lockoutUntilColumn")}</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody id="lockout-rows"></tbody>
+          </table>
+        </div>
+      </section>`;
+
+const renderImportSection = (t) => html`<section class="admin-section" aria-label="${t("admin.import")}">
+        <h2>${t("admin.import")}</h2>
+        <div class="subtle">${t("admin.importHelp")}</div>
+        <form id="import-form">
+          <label>
+            CSV
+            <textarea name="csv" rows="6" placeholder="${t("admin.importPlaceholder")}"></textarea>
+          </label>
+          <label>
+            ${t("admin.csvFile")}
+            <input name="file" type="file" accept=".csv,text/csv" />
+          </label>
+          <label>
+            ${t("admin.importExisting")}
+            <select name="mode">
+              <option value="skip">${t("admin.importSkip")}</option>
+              <option value="update">${t("admin.importUpdate")}</option>
+            </select>
+          </label>
+          <div class="form-actions">
+            <button type="submit" value="preview">${t("admin.importPreview")}</button>
+            <button class="button--ghost" type="submit" value="import" id="import-apply" disabled>${t("admin.importApply")}</button>
+          </div>
+        </form>
+        <div class="subtle" id="import-summary" aria-live="polite"></div>
+        <div class="table-wrapper" id="import-report" hidden>
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>${t("admin.row")}</th>
+                <th>${t("common.mailAddress")}</th>
+                <th>${t("admin.importName")}</th>
+                <th>${t("admin.resultColumn")}</th>
+                <th>${t("admin.importDetail")}</th>
+              </tr>
+            </thead>
+            <tbody id="import-rows"></tbody>
+          </table>
+        </div>
+      </section>`;
+
+const renderRosterPage = ({ t, stampCount, csrfToken }) =>
+  renderLayout({
+    t,
+    title: t("admin.roster"),
+    csrfToken,
+    body: html`<main class="main--wide" data-total-stamps="${stampCount}" data-messages="${JSON.stringify(
+      t.messages("roster.", "common.")
+    )}">
+      <header>
+        <h1>${t("admin.roster")}</h1>
+        <div class="subtle">${t("roster.subtitle")}</div>
+        <nav class="header-links">
+          <a href="/admin">${t("common.backToAdmin")}</a>
+        </nav>
+      </header>
+      <form class="search-form" id="search-form">
+        <input name="q" type="search" placeholder="${t("roster.searchPlaceholder")}" />
+        <button type="submit">${t("roster.search")}</button>
+      </form>
+      <div class="table-wrapper">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th><button class="sort-button" type="button" data-sort="username">${t("roster.name")}</button></th>
+              <th><button class="sort-button" type="button" data-sort="mailAddress">${t("roster.mail")}</button></th>
+              <th>${t("common.job")}</th>
+              <th><button class="sort-button" type="button" data-sort="stamps">${t("roster.stamps")}</button></th>
+              <th><button class="sort-button" type="button" data-sort="lastEventAt">${t("roster.lastEvent")}</button></th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody id="roster-rows"></tbody>
+        </table>
+      </div>
+      <div class="pagination">
+        <button class="button--ghost" id="prev-page" type="button">${t("roster.prev")}</button>
+        <span class="subtle" id="page-info"></span>
+        <button class="button--ghost" id="next-page" type="button">${t("roster.next")}</button>
+      </div>
+      <div class="subtle" id="roster-status" aria-live="polite"></div>
+    </main>
+    ${renderScripts("/roster.js")}`,
+  });
+
+const renderHistoryPage = ({ t, programs }) =>
+  renderLayout({
+    t,
+    title: t("history.title"),
+    body: html`<main class="main--wide" data-messages="${JSON.stringify(
+      t.messages("history.", "common.")
+    )}">
+      <header>
+        <h1>${t("history.title")}</h1>
+        <div class="subtle">${t("history.subtitle")}</div>
+        <nav class="header-links">
+          <a href="/user">${t("history.back")}</a>
+        </nav>
+      </header>
+      <form id="history-form">
+        <div class="form-row">
+          <label>
+            ${t("history.type")}
+            <select name="type">
+              <option value="">${t("common.all")}</option>
+              ${STAMP_EVENT_TYPES
+                .map((type) => html`<option value="${type}">${t(`event.type.${type}`)}</option>`)}
+            </select>
+          </label>
+          <label${programs.length > 1 ? "" : html` hidden`}>
+            ${t("common.card")}
+            <select name="programId">
+              <option value="">${t("common.all")}</option>
+              ${programs
+                .map((program) => html`<option value="${program.id}">${program.name}</option>`)}
+            </select>
+          </label>
+        </div>
+        <div class="form-row">
+          <label>
+            ${t("common.from")}
+            <input name="from" type="date" />
+          </label>
+          <label>
+            ${t("common.to")}
+            <input name="to" type="date" />
+          </label>
+        </div>
+        <button type="submit">${t("common.filter")}</button>
+      </form>
+      <div class="table-wrapper">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>${t("history.date")}</th>
+              <th>${t("history.detail")}</th>
+              <th>${t("common.card")}</th>
+              <th>${t("history.session")}</th>
+            </tr>
+          </thead>
+          <tbody id="history-rows"></tbody>
+        </table>
+      </div>
+      <div class="subtle" id="history-status" aria-live="polite"></div>
+      <div class="pagination">
+        <button id="history-more" type="button" hidden>${t("history.more")}</button>
+      </div>
+    </main>
+    ${renderScripts("/history.js")}`,
+  });
+
+const renderStatsPage = ({ t, programs }) =>
+  renderLayout({
+    t,
+    title: t("admin.stats"),
+    body: html`<main class="main--wide" data-messages="${JSON.stringify(
+      t.messages("stats.", "common.")
+    )}">
+      <header>
+        <h1>${t("admin.stats")}</h1>
+        <div class="subtle">${t("stats.subtitle")}</div>
+        <nav class="header-links">
+          <a href="/admin">${t("common.backToAdmin")}</a>
+        </nav>
+      </header>
+      <form id="stats-form">
+        <div class="form-row">
+          <label>
+            ${t("stats.period")}
+            <select name="period">
+              <option value="day">${t("stats.day")}</option>
+              <option value="week">${t("stats.week")}</option>
+              <option value="month">${t("stats.month")}</option>
+            </select>
+          </label>
+          <label>
+            ${t("common.card")}
+            <select name="programId">
+              <option value="">${t("common.all")}</option>
+              ${programs
+                .map((program) => html`<option value="${program.id}">${program.name}</option>`)}
+            </select>
+          </label>
+        </div>
+        <div class="form-row">
+          <label>
+            ${t("common.from")}
+            <input name="from" type="date" />
+          </label>
+          <label>
+            ${t("common.to")}
+            <input name="to" type="date" />
+          </label>
+        </div>
+        <label>
+          ${t("stats.activeDays")}
+          <input name="activeDays" type="number" min="1" max="365" value="${STATS_DEFAULT_ACTIVE_DAYS}" />
+        </label>
+        <button type="submit">${t("stats.submit")}</button>
+      </form>
+      <div class="subtle" id="stats-status" aria-live="polite"></div>
+      <section class="admin-section" aria-label="${t("stats.members")}">
+        <h2>${t("stats.members")}</h2>
+        <div class="stat-summary" id="stats-members"></div>
+      </section>
+      <section class="admin-section" aria-label="${t("stats.stamps")}">
+        <h2>${t("stats.stamps")}</h2>
+        <ul class="stat-bars" id="stats-stamps"></ul>
+      </section>
+      <section class="admin-section" aria-label="${t("stats.cycles")}">
+        <h2>${t("stats.cycles")}</h2>
+        <ul class="stat-bars" id="stats-cycles"></ul>
+      </section>
+      <section class="admin-section" aria-label="${t("stats.signups")}">
+        <h2>${t("stats.signups")}</h2>
+        <ul class="stat-bars" id="stats-signups"></ul>
+      </section>
+      <section class="admin-section" aria-label="${t("stats.distribution")}">
+        <h2>${t("stats.distribution")}</h2>
+        <div class="subtle" id="stats-distribution-note"></div>
+        <ul class="stat-bars" id="stats-distribution"></ul>
+      </section>
+    </main>
+    ${renderScripts("/stats.js")}`,
+  });
+
+const renderAuditPage = ({ t }) =>
+  renderLayout({
+    t,
+    title: t("admin.audit"),
+    body: html`<main class="main--wide" data-messages="${JSON.stringify(
+      t.messages("audit.", "common.")
+    )}">
+      <header>
+        <h1>${t("admin.audit")}</h1>
+        <div class="subtle">${t("audit.subtitle")}</div>
+        <nav class="header-links">
+          <a href="/admin">${t("common.backToAdmin")}</a>
+        </nav>
+      </header>
+      <form id="audit-form">
+        <div class="form-row">
+          <label>
+            ${t("audit.actor")}
+            <input name="actor" type="text" />
+          </label>
+          <label>
+            ${t("audit.target")}
+            <input name="target" type="text" />
+          </label>
+        </div>
+        <div class="form-row">
+          <label>
+            ${t("common.from")}
+            <input name="from" type="date" />
+          </label>
+          <label>
+            ${t("common.to")}
+            <input name="to" type="date" />
+          </label>
+        </div>
+        <button type="submit">${t("common.filter")}</button>
+      </form>
+      <div class="table-wrapper">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>${t("history.date")}</th>
+              <th>${t("audit.action")}</th>
+              <th>${t("audit.actorColumn")}</th>
+              <th>${t("audit.targetColumn")}</th>
+              <th>${t("audit.stamps")}</th>
+              <th>${t("audit.details")}</th>
+              <th>${t("audit.source")}</th>
+            </tr>
+          </thead>
+          <tbody id="audit-rows"></tbody>
+        </table>
+      </div>
+      <div class="subtle" id="audit-status" aria-live="polite"></div>
+    </main>
+    ${renderScripts("/audit.js")}`,
+  });
+
+const renderAdminPage = ({ t, adminUser, profile, csrfToken } = {}) =>
+  renderLayout({
+    t,
+    title: t("admin.title"),
+    csrfToken,
+    body: html`<main data-messages="${JSON.stringify(t.messages("admin.", "role.", "common."))}">
+      <header>
+        <h1>${t("admin.title")}</h1>
+        <div class="subtle">${t("admin.staffMember", {
+          name: profile && profile.username ? profile.username : adminUser.id,
+          role: t(`role.${adminUser.role}`),
+        })}</div>
+        <nav class="header-links">
+          <a href="/admin/users">${t("admin.roster")}</a>
+          <a href="/admin/stats">${t("admin.stats")}</a>
+          ${hasRole(adminUser, "owner") ? html`<a href="/admin/audit">${t("admin.audit")}</a>` : ""}
+        </nav>
+      </header>
+      <form id="stamp-form">
+        <label>
+          ${t("admin.userId")}
+          <input name="userId" type="text" required placeholder="user-001" />
+        </label>
+        <label>
+          ${t("common.card")}
+          <select name="programId" class="program-select"></select>
+        </label>
+        <button type="submit">${t("admin.grant")}</button>
+      </form>
+      <div class="result" id="result" aria-live="polite">
+        <span class="subtle">${t("admin.resultHint")}</span>
+      </div>
+      <section class="admin-section" aria-label="${t("admin.correction")}">
+        <h2>${t("admin.correction")}</h2>
+        <form id="events-form" class="search-form">
+          <input name="userId" type="text" required placeholder="${t("admin.userId")}" />
+          <button type="submit">${t("admin.showEvents")}</button>
+        </form>
+        <div class="subtle" id="correction-result" aria-live="polite"></div>
+        <ul class="session-list" id="event-list"></ul>
+        <form id="adjust-form" hidden>
+          <div class="form-row">
+            <label>
+              ${t("common.card")}
+              <select name="programId" class="program-select"></select>
+            </label>
+            <label>
+              ${t("admin.adjustStamps")}
+              <input name="stamps" type="number" min="0" required />
+            </label>
+          </div>
+          <div class="form-row">
+            <label>
+              ${t("admin.reason")}
+              <input name="reason" type="text" required placeholder="${t("admin.reasonPlaceholder")}" />
+            </label>
+          </div>
+          <button type="submit">${t("admin.adjust")}</button>
+        </form>
+      </section>
+      <section class="admin-section" aria-label="${t("admin.sessions")}">
+        <h2>${t("admin.sessions")}</h2>
+        <form id="session-form">
+          <label>
+            ${t("admin.sessionDate")}
+            <input name="date" type="date" required />
+          </label>
+          <div class="form-row">
+            <label>
+              ${t("admin.startTime")}
+              <input name="startTime" type="time" required />
+            </label>
+            <label>
+              ${t("admin.endTime")}
+              <input name="endTime" type="time" required />
+            </label>
+          </div>
+          <label>
+            ${t("admin.venue")}
+            <input name="venue" type="text" required placeholder="${t("admin.venuePlaceholder")}" />
+          </label>
+          <label>
+            ${t("common.card")}
+            <select name="programId" class="program-select"></select>
+          </label>
+          <button type="submit">${t("admin.createSession")}</button>
+        </form>
+        <button class="button--ghost" id="load-sessions" type="button">${t("admin.loadSessions")}</button>
+        <ul class="session-list" id="session-list"></ul>
+        <div class="checkin-display" id="checkin-display" hidden>
+          <div class="subtle" id="checkin-session"></div>
+          <div class="checkin-code" id="checkin-code"></div>
+          <div class="checkin-qr" id="checkin-qr"></div>
+          <div class="subtle" id="checkin-expires"></div>
+        </div>
+      </section>
+      <section class="admin-section" aria-label="${t("admin.bulk")}">
+        <h2>${t("admin.bulk")}</h2>
+        <form id="bulk-form">
+          <label>
+            ${t("admin.bulkInput")}
+            <textarea name="csv" rows="6" placeholder="user-001&#10;taro@example.com"></textarea>
+          </label>
+          <label>
+            ${t("admin.csvFile")}
+            <input name="file" type="file" accept=".csv,text/csv" />
+          </label>
+          <label>
+            ${t("admin.bulkSession")}
+            <select name="sessionId" id="bulk-session">
+              <option value="">${t("admin.bulkNoSession")}</option>
+            </select>
+          </label>
+          <label>
+            ${t("admin.bulkProgram")}
+            <select name="programId" class="program-select"></select>
+          </label>
+          <button type="submit">${t("admin.bulkSubmit")}</button>
+        </form>
+        <div class="subtle" id="bulk-summary" aria-live="polite"></div>
+        <div class="table-wrapper" id="bulk-report" hidden>
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>${t("admin.row")}</th>
+                <th>${t("admin.input")}</th>
+                <th>${t("admin.userIdColumn")}</th>
+                <th>${t("admin.resultColumn")}</th>
+                <th>${t("admin.stampsColumn")}</th>
+              </tr>
+            </thead>
+            <tbody id="bulk-rows"></tbody>
+          </table>
+        </div>
+      </section>
+      ${renderProgramSection(t, hasRole(adminUser, "owner"))}
+      ${hasRole(adminUser, "owner") ? renderStaffSection(t) : ""}
+      ${hasRole(adminUser, "owner") ? renderIntegritySection(t) : ""}
+      ${hasRole(adminUser, "owner") ? renderExportSection(t) : ""}
+      ${hasRole(adminUser, "owner") ? renderImportSection(t) : ""}
+      ${hasRole(adminUser, "owner") ? renderBackupSection(t) : ""}
+      ${hasRole(adminUser, "owner") ? renderLockoutSection(t) : ""}
+      <footer>${t("admin.footer")}</footer>
+    </main>
+    ${renderScripts("/admin.js")}`,
+  });
+
+app.get("/", (req, res) => {
+  res.redirect("/user");
+});
+
+// Redirects carry ?error= and ?info= codes; only codes with a message in the
+// catalog under the given prefix are shown.
+const queryMessage = (t, prefix, code, params) =>
+  typeof code === "string" && t.has(`${prefix}.${code}`) ? t(`${prefix}.${code}`, params) : "";
+
+app.get("/login", (req, res) => {
+  res.status(200).send(
+    renderLoginPage({
+      t: req.t,
+      errorMessage: queryMessage(req.t, "login.error", req.query.error),
+      infoMessage: queryMessage(req.t, "login.info", req.query.info),
+      csrfToken: getCsrfToken(req),
+    })
+  );
+});
+
+app.get("/login/verify", (req, res) => {
+  const mailAddress =
+    typeof req.query.mailAddress === "string" ? req.query.mailAddress : "";
+  const infoMessage = queryMessage(req.t, "loginVerify.info", req.query.info);
+  res.status(200).send(
+    renderLoginVerifyPage({ t: req.t, mailAddress, infoMessage, csrfToken: getCsrfToken(req) })
+  );
+});
+
+// Mail scanners open links on their own, so opening the link only shows a
+// button; the token is used up when the member presses it.
+app.get("/login/magic", (req, res) => {
+  const token = typeof req.query.token === "string" ? req.query.token : "";
+  if (!token) {
+    res.redirect("/login?error=invalid_link");
+    return;
+  }
+  res.status(200).send(renderMagicLinkPage({ t: req.t, token, csrfToken: getCsrfToken(req) }));
+});
+
+app.post("/api/login/magic", async (req, res) => {
+  const token = typeof req.body.token === "string" ? req.body.token : "";
+  try {
+    const userId = await verifyLoginToken(token);
+    if (!userId) {
+      res.redirect("/login?error=invalid_link");
+      return;
+    }
+    await startUserSession(req, userId);
+    res.redirect(consumeReturnTo(req));
+  } catch (error) {
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.get("/signup", (req, res) => {
+  res.status(200).send(renderSignupPage({ t: req.t, csrfToken: getCsrfToken(req) }));
+});
+
+app.get("/profile", requireLoginPage, async (req, res) => {
+  try {
+    const identities = await getIdentitiesForUser(req.session.userId);
+    const errorMessage = queryMessage(req.t, "profile.error", req.query.error);
+    const infoMessage = queryMessage(req.t, "profile.info", req.query.info);
+    let profile = await getProfileByUserId(req.session.userId);
+    if (!profile) {
+      const identity = await getPrimaryIdentityForUser(req.session.userId);
+      profile = {
+        username: "",
+        mailAddress:
+          identity && identity.provider === "local" ? identity.providerKey : "",
+        description: "",
+        job: "",
+        hobbies: "",
+        locale: null,
+      };
+    }
+    res.status(200).send(
+      renderProfilePage({
+        t: req.t,
+        profile,
+        identities,
+        mailLocked: true,
+        message: errorMessage || infoMessage,
+        messageType: errorMessage ? "error" : "info",
+        csrfToken: getCsrfToken(req),
+      })
+    );
+  } catch (error) {
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.get("/user", requireLoginPage, async (req, res) => {
+  try {
+    const user = await getUserById(req.session.userId);
+    if (!user) {
+      res.status(404).send("User not found");
+      return;
+    }
+    const profile = await getProfileByUserId(user.id);
+    const programs = await listUserPrograms(user.id, req.t);
+    const program =
+      programs.find((item) => item.id === req.query.program) || programs[0];
+    res.status(200).send(
+      renderUserPage({
+        t: req.t,
+        userId: user.id,
+        program,
+        programs,
+        profile,
+        isAdmin: user.isAdmin,
+        deletion: await getPendingDeletion(user.id),
+        csrfToken: getCsrfToken(req),
+      })
+    );
+  } catch (error) {
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.get("/user/history", requireLoginPage, async (req, res) => {
+  try {
+    const user = await getUserById(req.session.userId);
+    if (!user) {
+      res.status(404).send("User not found");
+      return;
+    }
+    res.status(200).send(renderHistoryPage({ t: req.t, programs: await listUserPrograms(user.id, req.t) }));
+  } catch (error) {
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.get("/profile/email", requireLoginPage, async (req, res) => {
+  try {
+    const errorMessage = queryMessage(req.t, "emailChange.error", req.query.error);
+    const infoMessage = queryMessage(req.t, "emailChange.info", req.query.info);
+    const profile = await getProfileByUserId(req.session.userId);
+    res.status(200).send(
+      renderEmailChangePage({
+        t: req.t,
+        mailAddress: profile ? profile.mailAddress : "",
+        pending: await getPendingEmailChange(req.session.userId),
+        message: errorMessage || infoMessage,
+        messageType: errorMessage ? "error" : "info",
+        csrfToken: getCsrfToken(req),
+      })
+    );
+  } catch (error) {
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.get("/profile/delete", requireLoginPage, async (req, res) => {
+  try {
+    const errorMessage = queryMessage(req.t, "deletion.error", req.query.error, {
+      word: req.t("deletion.confirmationWord"),
+    });
+    const infoMessage = queryMessage(req.t, "deletion.info", req.query.info);
+    res.status(200).send(
+      renderAccountDeletionPage({
+        t: req.t,
+        deletion: await getPendingDeletion(req.session.userId),
+        message: errorMessage || infoMessage,
+        messageType: errorMessage ? "error" : "info",
+        csrfToken: getCsrfToken(req),
+      })
+    );
+  } catch (error) {
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.get("/logout", (req, res) => {
+  if (req.session) {
+    req.session.destroy(() => {
+      res.clearCookie("connect.sid");
+      res.redirect("/login?info=logged_out");
+    });
+    return;
+  }
+  res.redirect("/login");
+});
+
+if (hasGoogleAuth) {
+  app.get("/auth/google", (req, res, next) => {
+    delete req.session.linkGoogleFor;
+    passport.authenticate("google", { scope: ["profile", "email"] })(req, res, next);
+  });
+
+  app.get("/auth/google/callback", (req, res, next) => {
+    // A link request counts for one callback only, whatever its outcome,
+    // and only for the member who asked for it.
+    const link = req.session.linkGoogleFor;
+    delete req.session.linkGoogleFor;
+    req.linkGoogleFor =
+      link && link.userId === req.session.userId && link.expiresAt > Date.now()
+        ? link.userId
+        : null;
+    passport.authenticate("google", async (error, user, info) => {
+      if (error || !user) {
+        const code = info && info.error ? info.error : "google";
+        res.redirect(`/login?error=${code}`);
+        return;
+      }
+      // Linking happens in the member's own session; only a login moves to
+      // a new one.
+      if (user.linkResult) {
+        res.redirect(
+          user.linkResult === "confirm_merge"
+            ? "/profile/google-merge"
+            : `/profile?info=google_${user.linkResult}`
+        );
+        return;
+      }
+      try {
+        await startUserSession(req, user.id);
+        res.redirect(consumeReturnTo(req));
+      } catch (sessionError) {
+        next(sessionError);
+      }
+    })(req, res, next);
+  });
+
+  app.get("/profile/google-merge", requireLoginPage, async (req, res) => {
+    try {
+      const source = await getGoogleMergeSource(
+        req.session.userId,
+        req.session.pendingGoogleMerge
+      );
+      if (!source) {
+        delete req.session.pendingGoogleMerge;
+        res.redirect("/profile?error=google_merge_expired");
+        return;
+      }
+      const [current, sourceProfile] = await Promise.all([
+        getUserById(req.session.userId),
+        getProfileByUserId(source.id),
+      ]);
+      res.status(200).send(
+        renderGoogleMergePage({
+          t: req.t,
+          current,
+          source,
+          sourceProfile,
+          csrfToken: getCsrfToken(req),
+        })
+      );
+    } catch (error) {
+      res.status(500).send("Internal Server Error");
+    }
+  });
+
+  app.post("/api/profile/google-merge", requireLoginApi, async (req, res) => {
+    const pending = req.session.pendingGoogleMerge;
+    delete req.session.pendingGoogleMerge;
+    try {
+      const result = await mergeGoogleAccount(req.session.userId, pending, auditContext(req));
+      if (!result || result.error) {
+        res.redirect(`/profile?error=${result ? result.error : "google_merge_expired"}`);
+        return;
+      }
+      res.redirect("/profile?info=google_merged");
+      publishStampChange([req.session.userId]);
+    } catch (error) {
+      res.status(500).send("Internal Server Error");
+    }
+  });
+
+  app.post("/api/profile/google-merge/cancel", requireLoginApi, (req, res) => {
+    delete req.session.pendingGoogleMerge;
+    res.redirect("/profile?info=google_merge_cancelled");
+  });
+
+  app.get("/auth/google/link", requireLoginPage, (req, res, next) => {
+    req.session.linkGoogleFor = {
+      userId: req.session.userId,
+      expiresAt: Date.now() + GOOGLE_LINK_TTL_MINUTES * 60 * 1000,
+    };
+    passport.authenticate("google", { scope: ["profile", "email"] })(
+      req,
+      res,
+      next
+    );
+  });
+} else {
+  app.get(["/auth/google", "/auth/google/link"], (req, res) => {
+    res.status(500).send(req.t("common.googleNotConfigured"));
+  });
+}
+
+app.get("/admin", requireRolePage("staff"), async (req, res) => {
+  try {
+    const profile = await getProfileByUserId(req.adminUser.id);
+    res.status(200).send(renderAdminPage({ t: req.t, adminUser: req.adminUser, profile, csrfToken: getCsrfToken(req) }));
+  } catch (error) {
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.get("/admin/users", requireRolePage("staff"), async (req, res) => {
+  try {
+    const program = await getProgramById(DEFAULT_PROGRAM_ID);
+    res.status(200).send(renderRosterPage({
+        t: req.t,
+        stampCount: program.stampCount,
+        csrfToken: getCsrfToken(req),
+      }));
+  } catch (error) {
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.get("/admin/stats", requireRolePage("staff"), async (req, res) => {
+  try {
+    res.status(200).send(renderStatsPage({ t: req.t, programs: await listPrograms(req.t) }));
+  } catch (error) {
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.get("/admin/audit", requireRolePage("owner"), (req, res) => {
+  res.status(200).send(renderAuditPage({ t: req.t }));
+});
+
+app.get("/checkin", requireLoginPage, async (req, res) => {
+  const sessionId = typeof req.query.session === "string" ? req.query.session : "";
+  const code = typeof req.query.code === "string" ? req.query.code : "";
+  try {
+    const zazenSession = sessionId ? await getZazenSessionById(sessionId) : null;
+    res
+      .status(200)
+      .send(
+        renderCheckinPage({ t: req.t, code, sessionId, zazenSession, csrfToken: getCsrfToken(req) })
+      );
+  } catch (error) {
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+// Check-in codes are only six digits, so wrong codes count towards a
+// lockout of both the member and their IP address.
+const checkInWithRateLimit = async (req, res, { code, sessionId }) => {
+  const limitSubjects = { ip: req.ip, account: req.session.userId };
+  const lockedUntil = await rateLimits.getLockedUntil("checkin", limitSubjects);
+  if (lockedUntil) {
+    setRetryAfter(res, lockedUntil);
+    return { error: "too_many_attempts" };
+  }
+  const result = await checkInToZazenSession({ userId: req.session.userId, code, sessionId });
+  if (result.error === "invalid_code") {
+    await rateLimits.recordAttempt("checkin", limitSubjects);
+  } else if (!result.error) {
+    await rateLimits.clearAttempts("checkin", { account: req.session.userId });
+  }
+  return result;
+};
+
+app.post("/checkin", requireLoginPage, async (req, res) => {
+  const sessionId = req.body.sessionId || "";
+  const code = req.body.code || "";
+  try {
+    const result = await checkInWithRateLimit(req, res, { code, sessionId });
+    const zazenSession =
+      result.session || (sessionId ? await getZazenSessionById(sessionId) : null);
+    if (result.error) {
+      const failure = CHECKIN_ERRORS[result.error];
+      res.status(failure.status).send(
+        renderCheckinPage({
+          t: req.t,
+          code,
+          sessionId,
+          zazenSession,
+          message: req.t(`errors.${failure.error}`),
+          messageType: "error",
+          csrfToken: getCsrfToken(req),
+        })
+      );
+      return;
+    }
+    publishStampChange([req.session.userId]);
+    res.status(200).send(
+      renderCheckinPage({
+        t: req.t,
+        sessionId,
+        zazenSession,
+        message: req.t("checkin.done", {
+          program: localizeProgramText(result.program.id, "name", result.program.name, req.t),
+          stamps: result.stamps,
+          total: result.program.stampCount,
+        }),
+        csrfToken: getCsrfToken(req),
+      })
+    );
+  } catch (error) {
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.get("/api/me", requireLoginApi, async (req, res) => {
+  try {
+    const user = await getUserById(req.session.userId);
+    if (!user) {
+      sendError(req, res, 404, "user_not_found");
+      return;
+    }
+    res.json(await getUserStatus(user, req.t));
+  } catch (error) {
+    sendError(req, res, 500, "user_load_failed");
+  }
+});
+
+app.get("/api/me/stream", requireLoginApi, async (req, res) => {
+  try {
+    const user = await getUserById(req.session.userId);
+    if (!user) {
+      sendError(req, res, 404, "user_not_found");
+      return;
+    }
+    const send = stampStream.subscribe(req, res, user.id, req.locale);
+    send("stamps", await getUserStatus(user, req.t));
+  } catch (error) {
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    sendError(req, res, 500, "stream_open_failed");
+  }
+});
+
+app.get("/api/me/export", requireLoginApi, async (req, res) => {
+  try {
+    const user = await getUserById(req.session.userId);
+    if (!user) {
+      sendError(req, res, 404, "user_not_found");
+      return;
+    }
+    const bundle = await buildPersonalDataExport(user, req.t);
+    await recordAudit(auditContext(req), {
+      action: "personal_data_export",
+      targetUserId: user.id,
+    });
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="my-data-${bundle.exportedAt.slice(0, 10).replace(/-/g, "")}.json"`
+    );
+    res.type("application/json; charset=utf-8");
+    res.send(JSON.stringify(bundle, null, 2));
+  } catch (error) {
+    sendError(req, res, 500, "personal_data_export_failed");
+  }
+});
+
+app.get("/api/me/cycles", requireLoginApi, async (req, res) => {
+  const programId = req.query.programId || DEFAULT_PROGRAM_ID;
+  try {
+    const [summary, cycles] = await Promise.all([
+      getLifetimeSummary(req.session.userId, programId),
+      listCardCycles(req.session.userId, programId),
+    ]);
+    res.json({ programId, ...summary, cycles });
+  } catch (error) {
+    sendError(req, res, 500, "cycles_load_failed");
+  }
+});
+
+app.get("/api/me/history", requireLoginApi, async (req, res) => {
+  const query = (key) =>
+    typeof req.query[key] === "string" ? req.query[key].trim() : "";
+  const types = query("type")
+    ? query("type")
+        .split(",")
+        .map((type) => type.trim().toUpperCase())
+        .filter(Boolean)
+    : [];
+  if (types.some((type) => !STAMP_EVENT_TYPES.includes(type))) {
+    sendError(req, res, 400, "invalid_event_type");
+    return;
+  }
+  const cursor = query("cursor") ? decodeHistoryCursor(query("cursor")) : null;
+  if (query("cursor") && !cursor) {
+    sendError(req, res, 400, "invalid_cursor");
+    return;
+  }
+  try {
+    res.json(
+      await listStampHistory({
+        t: req.t,
+        userId: req.session.userId,
+        types,
+        programId: query("programId"),
+        from: query("from"),
+        to: query("to"),
+        cursor,
+        limit: query("limit"),
+      })
+    );
+  } catch (error) {
+    sendError(req, res, 500, "history_load_failed");
+  }
+});
+
+app.get("/api/user/:id", requireLoginApi, async (req, res) => {
+  if (req.params.id !== req.session.userId) {
+    sendError(req, res, 403, "forbidden");
+    return;
+  }
+  try {
+    const user = await getUserById(req.params.id);
+    if (!user) {
+      sendError(req, res, 404, "user_not_found");
+      return;
+    }
+    const lastUpdatedRow = await getDb(
+      "SELECT MAX(createdAt) AS lastUpdatedAt FROM stamp_events WHERE userId = ?",
+      [user.id]
+    );
+    const recentEvents = await getRecentStampEvents(user.id, req.t);
+    const programs = await listUserPrograms(user.id, req.t);
+    res.json({
+      id: user.id,
+      stamps: programs[0].stamps,
+      programs,
+      isAdmin: user.isAdmin,
+      lastUpdatedAt: lastUpdatedRow ? lastUpdatedRow.lastUpdatedAt : null,
+      recentEvents,
+    });
+  } catch (error) {
+    sendError(req, res, 500, "user_load_failed");
+  }
+});
+
+app.post("/api/login/code", async (req, res) => {
+  try {
+    if (typeof req.body.mailAddress !== "string") {
+      res.redirect("/login?error=invalid_mail");
+      return;
+    }
+    const mailAddress = normalizeMail(req.body.mailAddress);
+    if (!mailAddress) {
+      res.redirect("/login");
+      return;
+    }
+    const verifyUrl = `/login/verify?info=code_sent&mailAddress=${encodeURIComponent(
+      mailAddress
+    )}`;
+    // Sending codes has its own limit; only wrong codes count towards the
+    // "login" lockout, so asking for codes cannot lock a member out.
+    const limitSubjects = { ip: req.ip, account: mailAddress };
+    const lockedUntil = await rateLimits.getLockedUntil("login_code", limitSubjects);
+    if (lockedUntil) {
+      setRetryAfter(res, lockedUntil);
+      res.status(429).send(
+        renderLoginPage({
+          t: req.t,
+          errorMessage: req.t("errors.too_many_attempts"),
+          csrfToken: getCsrfToken(req),
+        })
+      );
+      return;
+    }
+    await rateLimits.recordAttempt("login_code", limitSubjects);
+    const identity = await getAuthIdentity("local", mailAddress);
+    if (identity) {
+      await sendLoginCode(req, identity.userId, mailAddress);
+    }
+    res.redirect(verifyUrl);
+  } catch (error) {
+    console.error("Failed to send login code:", error);
+    res.redirect("/login?error=mail");
+  }
+});
+
+app.post("/api/login/verify", async (req, res) => {
+  try {
+    if (typeof req.body.mailAddress !== "string") {
+      res.status(400).send(
+        renderLoginVerifyPage({
+          t: req.t,
+          mailAddress: "",
+          errorMessage: req.t("login.error.invalid_mail"),
+          csrfToken: getCsrfToken(req),
+        })
+      );
+      return;
+    }
+    const mailAddress = normalizeMail(req.body.mailAddress);
+    const code = normalizeNumericCode(bodyText(req.body.code));
+    const limitSubjects = { ip: req.ip, account: mailAddress };
+    const lockedUntil = await rateLimits.getLockedUntil("login", limitSubjects);
+    if (lockedUntil) {
+      setRetryAfter(res, lockedUntil);
+      res.status(429).send(
+        renderLoginVerifyPage({
+          t: req.t,
+          mailAddress,
+          errorMessage: req.t("errors.too_many_attempts"),
+          csrfToken: getCsrfToken(req),
+        })
+      );
+      return;
+    }
+    const userId =
+      mailAddress && code ? await verifyLoginCode(mailAddress, code) : null;
+    if (!userId) {
+      await rateLimits.recordAttempt("login", limitSubjects);
+      res.status(401).send(
+        renderLoginVerifyPage({
+          t: req.t,
+          mailAddress,
+          errorMessage: req.t("common.invalidCode"),
+          csrfToken: getCsrfToken(req),
+        })
+      );
+      return;
+    }
+    await rateLimits.clearAttempts("login", { account: mailAddress });
+    await startUserSession(req, userId);
+    res.redirect(consumeReturnTo(req));
+  } catch (error) {
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.post("/api/signup", async (req, res) => {
+  const username = normalizeUsername(req.body.username);
+  const mailAddressRaw = bodyText(req.body.mailAddress);
+  const mailAddress = normalizeMail(mailAddressRaw);
+  const description = bodyText(req.body.description);
+  const job = bodyText(req.body.job);
+  const hobbies = bodyText(req.body.hobbies);
+
+  if (!username || !mailAddress) {
+    res
+      .status(400)
+      .send(renderSignupPage({
+        t: req.t,
+        errorMessage: req.t("signup.required"),
+        values: { username, mailAddress: mailAddressRaw, description, job, hobbies },
+        csrfToken: getCsrfToken(req),
+      }));
+    return;
+  }
+
+  try {
+    const lockedUntil = await rateLimits.getLockedUntil("signup", { ip: req.ip });
+    if (lockedUntil) {
+      setRetryAfter(res, lockedUntil);
+      res
+        .status(429)
+        .send(renderSignupPage({
+          t: req.t,
+          errorMessage: req.t("errors.too_many_attempts"),
+          values: { username, mailAddress: mailAddressRaw, description, job, hobbies },
+          csrfToken: getCsrfToken(req),
+        }));
+      return;
+    }
+    await rateLimits.recordAttempt("signup", { ip: req.ip });
+    // New and registered addresses get the same answer and a login code,
+    // so the form does not tell whether an address is already in use.
+    const existing = await getAuthIdentity("local", mailAddress);
+    let userId = existing ? existing.userId : null;
+    if (!existing) {
+      userId = crypto.randomUUID();
+      const createdAt = nowIso();
+      await runDb(
+        "INSERT INTO users (id, stamps, isAdmin) VALUES (?, 0, 0)",
+        [userId]
+      );
+      await runDb(
+        "INSERT INTO user_profiles (userId, username, mailAddress, description, job, hobbies, updatedAt) VALUES (?, ?, ?, ?, ?, ?, ?)",
+        [userId, username, mailAddress, description, job, hobbies, createdAt]
+      );
+      await runDb(
+        "INSERT INTO auth_identities (userId, provider, providerKey, createdAt) VALUES (?, ?, ?, ?)",
+        [userId, "local", mailAddress, createdAt]
+      );
+    }
+    const limitSubjects = { account: mailAddress };
+    if (!(await rateLimits.getLockedUntil("login_code", limitSubjects))) {
+      await rateLimits.recordAttempt("login_code", limitSubjects);
+      await sendLoginCode(req, userId, mailAddress);
+    }
+    res.redirect(
+      `/login/verify?info=signup_sent&mailAddress=${encodeURIComponent(mailAddress)}`
+    );
+  } catch (error) {
+    console.error("Failed to sign up:", error);
+    res.redirect("/login?error=mail");
+  }
+});
+
+app.post("/api/profile", requireLoginApi, async (req, res) => {
+  try {
+    const profile = await getProfileByUserId(req.session.userId);
+    const identities = await getIdentitiesForUser(req.session.userId);
+    const username = normalizeUsername(req.body.username);
+    const mailAddressInput = normalizeMail(req.body.mailAddress || "");
+    const description = req.body.description || "";
+    const job = req.body.job || "";
+    const hobbies = req.body.hobbies || "";
+    const locale = isSupportedLocale(req.body.locale) ? req.body.locale : null;
+    const baseProfile = profile || {
+      mailAddress: mailAddressInput,
+      description,
+      job,
+      hobbies,
+      username,
+    };
+
+    if (!username) {
+      res
+        .status(400)
+        .send(
+          renderProfilePage({
+            t: req.t,
+            profile: { ...baseProfile, username, description, job, hobbies, locale },
+            identities,
+            message: req.t("profile.usernameRequired"),
+            messageType: "error",
+            csrfToken: getCsrfToken(req),
+          })
+        );
+      return;
+    }
+
+    if (profile && profile.mailAddress && mailAddressInput) {
+      const existingNormalized = normalizeMail(profile.mailAddress);
+      if (existingNormalized !== mailAddressInput) {
+        res
+          .status(400)
+          .send(
+            renderProfilePage({
+              t: req.t,
+              profile: {
+                ...baseProfile,
+                username,
+                description,
+                job,
+                hobbies,
+                locale,
+              },
+              identities,
+              message: req.t("profile.mailLocked"),
+              messageType: "error",
+              csrfToken: getCsrfToken(req),
+            })
+          );
+        return;
+      }
+    }
+
+    const nextMail = profile && profile.mailAddress
+      ? profile.mailAddress
+      : mailAddressInput;
+    const updatedAt = nowIso();
+
+    const nextValues = { username, description, job, hobbies, locale: locale || "" };
+    const changes = Object.keys(nextValues).reduce((acc, field) => {
+      const previous = profile ? profile[field] || "" : "";
+      if (previous !== nextValues[field]) {
+        acc[field] = { from: previous, to: nextValues[field] };
+      }
+      return acc;
+    }, {});
+
+    await withTransaction(async () => {
+      if (profile) {
+        await runDb(
+          "UPDATE user_profiles SET username = ?, description = ?, job = ?, hobbies = ?, locale = ?, updatedAt = ? WHERE userId = ?",
+          [username, description, job, hobbies, locale, updatedAt, req.session.userId]
+        );
+      } else {
+        await runDb(
+          "INSERT INTO user_profiles (userId, username, mailAddress, description, job, hobbies, locale, updatedAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+          [
+            req.session.userId,
+            username,
+            nextMail,
+            description,
+            job,
+            hobbies,
+            locale,
+            updatedAt,
+          ]
+        );
+      }
+      if (Object.keys(changes).length) {
+        await recordAudit(auditContext(req), {
+          action: "profile_update",
+          targetUserId: req.session.userId,
+          details: changes,
+        });
+      }
+    });
+
+    // The page is shown in the language just picked.
+    const t = createTranslator(locale || negotiateLocale(req.get("Accept-Language")));
+    res.status(200).send(
+      renderProfilePage({
+        t,
+        profile: {
+          username,
+          mailAddress: nextMail,
+          description,
+          job,
+          hobbies,
+          locale,
+        },
+        identities,
+        mailLocked: true,
+        message: t("profile.saved"),
+        messageType: "info",
+        csrfToken: getCsrfToken(req),
+      })
+    );
+  } catch (error) {
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.post(
+  "/api/profile/identities/:id/unlink",
+  requireLoginApi,
+  async (req, res) => {
+    try {
+      const result = await unlinkIdentity(
+        req.session.userId,
+        Number(req.params.id)
+      );
+      if (result === "unlinked") {
+        res.redirect("/profile?info=identity_unlinked");
+        return;
+      }
+      res.redirect(
+        `/profile?error=${result === "last_identity" ? "last_identity" : "identity_not_found"}`
+      );
+    } catch (error) {
+      res.status(500).send("Internal Server Error");
+    }
+  }
+);
+
+app.post("/api/profile/deletion", requireLoginApi, async (req, res) => {
+  try {
+    const { confirmation } = req.body;
+    if (
+      typeof confirmation !== "string" ||
+      confirmation.trim() !== req.t("deletion.confirmationWord")
+    ) {
+      res.redirect("/profile/delete?error=confirmation");
+      return;
+    }
+    const result = await requestDeletion(req.session.userId, {
+      keepHistory: Boolean(req.body.keepHistory),
+      context: auditContext(req),
+    });
+    if (result.error) {
+      res.redirect(`/profile/delete?error=${result.error === "not_found" ? "not_requested" : result.error}`);
+      return;
+    }
+    const profile = await getProfileByUserId(req.session.userId);
+    const identity = await getPrimaryIdentityForUser(req.session.userId);
+    const to =
+      (profile && profile.mailAddress) ||
+      (identity && identity.provider === "local" ? identity.providerKey : "");
+    if (to) {
+      sendDeletionRequestMail({ t: req.t, to, ...result }).catch((error) => {
+        console.error("Failed to send deletion mail:", error);
+      });
+    }
+    res.redirect("/profile/delete?info=deletion_requested");
+  } catch (error) {
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.post("/api/profile/deletion/cancel", requireLoginApi, async (req, res) => {
+  try {
+    const result = await cancelDeletion(req.session.userId, auditContext(req));
+    res.redirect(
+      result.error ? "/profile/delete?error=not_requested" : "/profile/delete?info=deletion_cancelled"
+    );
+  } catch (error) {
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+const emailChangeLimitSubjects = (req) => ({ ip: req.ip, account: req.session.userId });
+
+app.post("/api/profile/email", requireLoginApi, async (req, res) => {
+  try {
+    const mailAddress =
+      typeof req.body.mailAddress === "string" ? normalizeMail(req.body.mailAddress) : "";
+    if (!MAIL_PATTERN.test(mailAddress)) {
+      res.redirect("/profile/email?error=invalid_mail");
+      return;
+    }
+    if (await rateLimits.getLockedUntil("email_change", emailChangeLimitSubjects(req))) {
+      res.redirect("/profile/email?error=too_many_attempts");
+      return;
+    }
+    await rateLimits.recordAttempt("email_change", emailChangeLimitSubjects(req));
+    const result = await requestEmailChange(req.session.userId, mailAddress);
+    if (result.error) {
+      res.redirect(`/profile/email?error=${result.error}`);
+      return;
+    }
+    await sendEmailChangeCodeMail({ t: req.t, to: result.mailAddress, code: result.code });
+    res.redirect("/profile/email?info=code_sent");
+  } catch (error) {
+    console.error("Failed to send mail change code:", error);
+    res.redirect("/profile/email?error=mail");
+  }
+});
+
+app.post("/api/profile/email/verify", requireLoginApi, async (req, res) => {
+  const code = normalizeNumericCode(req.body.code);
+  try {
+    if (await rateLimits.getLockedUntil("email_change", emailChangeLimitSubjects(req))) {
+      res.redirect("/profile/email?error=too_many_attempts");
+      return;
+    }
+    const result = await confirmEmailChange(req.session.userId, code, auditContext(req));
+    if (result.error) {
+      if (result.error === "invalid_code") {
+        await rateLimits.recordAttempt("email_change", emailChangeLimitSubjects(req));
+      }
+      res.redirect(`/profile/email?error=${result.error}`);
+      return;
+    }
+    await rateLimits.clearAttempts("email_change", { account: req.session.userId });
+    if (result.previousMailAddress) {
+      sendEmailChangedMail({
+        t: req.t,
+        to: result.previousMailAddress,
+        mailAddress: result.mailAddress,
+      }).catch((error) => {
+        console.error("Failed to send mail change notice:", error);
+      });
+    }
+    res.redirect("/profile?info=mail_changed");
+  } catch (error) {
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.post("/api/profile/email/cancel", requireLoginApi, async (req, res) => {
+  try {
+    const result = await cancelEmailChange(req.session.userId);
+    res.redirect(
+      result.error ? "/profile/email?error=not_requested" : "/profile/email?info=cancelled"
+    );
+  } catch (error) {
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+app.post("/api/admin/stamp", adminGuard, async (req, res) => {
+  const userId = req.body.userId;
+  if (!userId) {
+    sendError(req, res, 400, "user_id_required");
+    return;
+  }
+  try {
+    const program = await getProgramById(req.body.programId);
+    if (!program) {
+      sendError(req, res, 404, "program_not_found");
+      return;
+    }
+    res.json(await grantStamp(userId, auditContext(req), { program }));
+    publishStampChange([userId]);
+  } catch (error) {
+    sendError(req, res, 500, "stamp_grant_failed");
+  }
+});
+
+app.post("/api/admin/stamp/bulk", adminGuard, async (req, res) => {
+  const identifiers = Array.isArray(req.body.identifiers)
+    ? req.body.identifiers.map((value) => String(value).trim()).filter(Boolean)
+    : parseBulkIdentifiers(req.body.csv);
+  const sessionId = req.body.sessionId || null;
+  if (!identifiers.length) {
+    sendError(req, res, 400, "bulk_input_required");
+    return;
+  }
+  if (identifiers.length > BULK_GRANT_MAX_ROWS) {
+    sendError(req, res, 400, "too_many_rows", { max: BULK_GRANT_MAX_ROWS });
+    return;
+  }
+  try {
+    const zazenSession = sessionId ? await getZazenSessionById(sessionId) : null;
+    if (sessionId && !zazenSession) {
+      sendError(req, res, 404, "session_not_found");
+      return;
+    }
+    const program = await getProgramById(
+      zazenSession ? zazenSession.programId : req.body.programId
+    );
+    if (!program) {
+      sendError(req, res, 404, "program_not_found");
+      return;
+    }
+    const report = await bulkGrantStamps(identifiers, auditContext(req), {
+      program,
+      sessionId,
+    });
+    res.json(report);
+    publishStampChange(
+      report.results
+        .filter((result) => result.status === "granted")
+        .map((result) => result.userId)
+    );
+  } catch (error) {
+    sendError(req, res, 500, "bulk_grant_failed");
+  }
+});
+
+app.post("/api/admin/import", ownerGuard, async (req, res) => {
+  const mode = req.body.mode || "skip";
+  if (mode !== "skip" && mode !== "update") {
+    sendError(req, res, 400, "invalid_import_mode");
+    return;
+  }
+  const parsed = parseImportCsv(req.body.csv);
+  if (parsed.error) {
+    sendError(req, res, 400, "missing_columns");
+    return;
+  }
+  if (!parsed.records.length) {
+    sendError(req, res, 400, "no_rows");
+    return;
+  }
+  if (parsed.records.length > IMPORT_MAX_ROWS) {
+    sendError(req, res, 400, "too_many_import_rows", { max: IMPORT_MAX_ROWS });
+    return;
+  }
+  try {
+    const report = await importMembers(parsed.records, auditContext(req), {
+      mode,
+      dryRun: req.body.dryRun !== false,
+    });
+    res.json(report);
+    if (!report.dryRun) {
+      publishStampChange(
+        report.results
+          .filter((result) => result.status === "updated")
+          .map((result) => result.userId)
+      );
+    }
+  } catch (error) {
+    sendError(req, res, 500, "import_failed");
+  }
+});
+
+app.get("/api/admin/programs", adminGuard, async (req, res) => {
+  try {
+    res.json({ programs: await listPrograms(req.t) });
+  } catch (error) {
+    sendError(req, res, 500, "programs_load_failed");
+  }
+});
+
+app.post("/api/admin/programs", ownerGuard, async (req, res) => {
+  try {
+    const input = parseProgramInput(req.body, req.t);
+    if (input.error) {
+      sendError(req, res, 400, input.error, input.params);
+      return;
+    }
+    res.status(201).json(await createProgram(input, auditContext(req)));
+  } catch (error) {
+    sendError(req, res, 500, "program_create_failed");
+  }
+});
+
+app.post("/api/admin/programs/:id", ownerGuard, async (req, res) => {
+  try {
+    const input = parseProgramInput(req.body, req.t);
+    if (input.error) {
+      sendError(req, res, 400, input.error, input.params);
+      return;
+    }
+    const program = await updateProgram(req.params.id, input, auditContext(req));
+    if (!program) {
+      sendError(req, res, 404, "program_not_found");
+      return;
+    }
+    if (program.error) {
+      sendError(req, res, 409, program.error, program.params);
+      return;
+    }
+    res.json(program);
+  } catch (error) {
+    sendError(req, res, 500, "program_update_failed");
+  }
+});
+
+const handleEnrollment = (enrolled) => async (req, res) => {
+  if (!req.body.userId) {
+    sendError(req, res, 400, "user_id_required");
+    return;
+  }
+  try {
+    const program = await getProgramById(req.params.id);
+    if (!program) {
+      sendError(req, res, 404, "program_not_found");
+      return;
+    }
+    const result = await changeEnrollment({
+      userId: req.body.userId,
+      program,
+      enrolled,
+      context: auditContext(req),
+    });
+    if (result.error === "user_not_found") {
+      sendError(req, res, 404, "user_not_found");
+      return;
+    }
+    if (result.error === "default_program") {
+      sendError(req, res, 400, "default_program");
+      return;
+    }
+    res.json(result);
+    publishStampChange([result.id]);
+  } catch (error) {
+    sendError(req, res, 500, "enrollment_update_failed");
+  }
+};
+
+app.post("/api/admin/programs/:id/enroll", adminGuard, handleEnrollment(true));
+app.post("/api/admin/programs/:id/unenroll", adminGuard, handleEnrollment(false));
+
+app.get("/api/admin/users/:id/events", adminGuard, async (req, res) => {
+  const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 20));
+  try {
+    const user = await getUserById(req.params.id);
+    if (!user) {
+      sendError(req, res, 404, "user_not_found");
+      return;
+    }
+    const events = await getRecentStampEvents(user.id, req.t, limit);
+    const revokedRows = await allDb(
+      "SELECT revokedEventId FROM stamp_events WHERE userId = ? AND revokedEventId IS NOT NULL",
+      [user.id]
+    );
+    const revokedIds = new Set(revokedRows.map((row) => row.revokedEventId));
+    res.json({
+      id: user.id,
+      stamps: user.stamps,
+      programs: await listUserPrograms(user.id, req.t),
+      events: events.map((event) => ({
+        ...event,
+        revoked: revokedIds.has(event.id),
+      })),
+    });
+  } catch (error) {
+    sendError(req, res, 500, "events_load_failed");
+  }
+});
+
+app.post("/api/admin/events/:id/revoke", adminGuard, async (req, res) => {
+  try {
+    if (req.body.reason !== undefined && typeof req.body.reason !== "string") {
+      sendError(req, res, 400, "invalid_reason");
+      return;
+    }
+    const reason = bodyText(req.body.reason).trim();
+    if (!reason) {
+      sendError(req, res, 400, "reason_required");
+      return;
+    }
+    const result = await revokeStampEvent({
+      eventId: req.params.id,
+      reason,
+      context: auditContext(req),
+    });
+    if (result.error) {
+      const failure = STAMP_CORRECTION_ERRORS[result.error];
+      sendError(req, res, failure.status, failure.error);
+      return;
+    }
+    res.json(result);
+    publishStampChange([result.id]);
+  } catch (error) {
+    sendError(req, res, 500, "revoke_failed");
+  }
+});
+
+app.post("/api/admin/users/:id/adjust", adminGuard, async (req, res) => {
+  try {
+    if (req.body.reason !== undefined && typeof req.body.reason !== "string") {
+      sendError(req, res, 400, "invalid_reason");
+      return;
+    }
+    const reason = bodyText(req.body.reason).trim();
+    const stamps = Number(req.body.stamps);
+    if (!reason) {
+      sendError(req, res, 400, "reason_required");
+      return;
+    }
+    const program = await getProgramById(req.body.programId);
+    if (!program) {
+      sendError(req, res, 404, "program_not_found");
+      return;
+    }
+    if (!Number.isInteger(stamps) || stamps !== clampStamps(stamps, program.stampCount)) {
+      sendError(req, res, 400, "invalid_stamps", { max: program.stampCount });
+      return;
+    }
+    const result = await adjustStamps({
+      userId: req.params.id,
+      program,
+      stamps,
+      reason,
+      context: auditContext(req),
+    });
+    if (result.error) {
+      const failure = STAMP_CORRECTION_ERRORS[result.error];
+      sendError(req, res, failure.status, failure.error);
+      return;
+    }
+    res.json(result);
+    publishStampChange([result.id]);
+  } catch (error) {
+    sendError(req, res, 500, "adjust_failed");
+  }
+});
+
+app.post("/api/admin/users/merge", ownerGuard, async (req, res) => {
+  const { sourceUserId, targetUserId } = req.body;
+  if (!sourceUserId || !targetUserId || sourceUserId === targetUserId) {
+    sendError(req, res, 400, "invalid_merge_users");
+    return;
+  }
+  try {
+    const result = await mergeUsers({
+      sourceUserId,
+      targetUserId,
+      context: auditContext(req),
+    });
+    if (!result) {
+      sendError(req, res, 404, "user_not_found");
+      return;
+    }
+    res.json(result);
+    publishStampChange([targetUserId]);
+  } catch (error) {
+    sendError(req, res, 500, "merge_failed");
+  }
+});
+
+app.get("/api/admin/users", adminGuard, async (req, res) => {
+  const query = (key) =>
+    typeof req.query[key] === "string" ? req.query[key].trim() : "";
+  try {
+    res.json(
+      await listRoster({
+        q: query("q"),
+        sort: query("sort"),
+        order: query("order"),
+        page: query("page"),
+        pageSize: query("pageSize"),
+      })
+    );
+  } catch (error) {
+    sendError(req, res, 500, "users_load_failed");
+  }
+});
+
+// Each per-period statistic shares the same range handling.
+const statsPeriodRoute = (load, failureCode) => async (req, res) => {
+  const range = parseStatsRange(req);
+  if (range.error) {
+    sendError(req, res, 400, range.error);
+    return;
+  }
+  const programId = statsQuery(req, "programId") || null;
+  try {
+    res.json({
+      ...toStatsRangeJson(range),
+      programId,
+      buckets: await load(range, programId),
+    });
+  } catch (error) {
+    sendError(req, res, 500, failureCode);
+  }
+};
+
+app.get(
+  "/api/admin/stats/stamps",
+  adminGuard,
+  statsPeriodRoute(stampsPerPeriod, "stamp_stats_failed")
+);
+app.get(
+  "/api/admin/stats/cycles",
+  adminGuard,
+  statsPeriodRoute(completedCardsPerPeriod, "cycle_stats_failed")
+);
+app.get(
+  "/api/admin/stats/signups",
+  adminGuard,
+  statsPeriodRoute((range) => signupsPerPeriod(range), "signup_stats_failed")
+);
+
+app.get("/api/admin/stats/members", adminGuard, async (req, res) => {
+  const activeDays = statsQuery(req, "activeDays")
+    ? Number(statsQuery(req, "activeDays"))
+    : STATS_DEFAULT_ACTIVE_DAYS;
+  if (!Number.isInteger(activeDays) || activeDays < 1 || activeDays > 365) {
+    sendError(req, res, 400, "invalid_active_days");
+    return;
+  }
+  const programId = statsQuery(req, "programId") || null;
+  try {
+    res.json({ programId, ...(await memberActivity({ activeDays, programId })) });
+  } catch (error) {
+    sendError(req, res, 500, "member_stats_failed");
+  }
+});
+
+app.get("/api/admin/stats/distribution", adminGuard, async (req, res) => {
+  try {
+    const program = await getProgramById(statsQuery(req, "programId"));
+    if (!program) {
+      sendError(req, res, 404, "program_not_found");
+      return;
+    }
+    res.json({
+      programId: program.id,
+      stampCount: program.stampCount,
+      distribution: await stampDistribution(program),
+    });
+  } catch (error) {
+    sendError(req, res, 500, "distribution_failed");
+  }
+});
+
+app.get("/api/admin/audit", ownerGuard, async (req, res) => {
+  const query = (key) =>
+    typeof req.query[key] === "string" ? req.query[key].trim() : "";
+  try {
+    const entries = await listAuditLogs({
+      actor: query("actor"),
+      target: query("target"),
+      from: query("from"),
+      to: query("to"),
+      limit: query("limit"),
+    });
+    res.json({ entries });
+  } catch (error) {
+    sendError(req, res, 500, "audit_load_failed");
+  }
+});
+
+app.get("/api/admin/staff", ownerGuard, async (req, res) => {
+  try {
+    const rows = await allDb(
+      "SELECT users.id, users.role, user_profiles.username, user_profiles.mailAddress FROM users LEFT JOIN user_profiles ON user_profiles.userId = users.id WHERE users.role IN ('staff', 'owner') ORDER BY CASE users.role WHEN 'owner' THEN 0 ELSE 1 END, user_profiles.username ASC"
+    );
+    res.json({ staff: rows });
+  } catch (error) {
+    sendError(req, res, 500, "staff_load_failed");
+  }
+});
+
+app.get("/api/admin/integrity", ownerGuard, async (req, res) => {
+  try {
+    const [issues, users] = await Promise.all([
+      findStampDrift(),
+      getDb("SELECT COUNT(*) AS count FROM users"),
+    ]);
+    res.json({ checkedAt: nowIso(), checkedUsers: users.count, issues });
   } catch (error) {
-    res.status(500).send("Internal Server Error");
+    sendError(req, res, 500, "integrity_check_failed");
   }
 });
 
-app.get("/user", requireLoginPage, async (req, res) => {
+app.get("/api/admin/export/:dataset", ownerGuard, async (req, res) => {
+  const name = req.params.dataset;
+  const dataset = Object.prototype.hasOwnProperty.call(EXPORT_DATASETS, name)
+    ? EXPORT_DATASETS[name]
+    : null;
+  if (!dataset) {
+    sendError(req, res, 404, "unknown_dataset");
+    return;
+  }
+  const format = req.query.format || "csv";
+  if (format !== "csv" && format !== "json") {
+    sendError(req, res, 400, "invalid_export_format");
+    return;
+  }
+  const from = req.query.from ? parseDateParam(req.query.from) : null;
+  const to = req.query.to ? parseDateParam(req.query.to) : null;
+  if ((req.query.from && !from) || (req.query.to && !to)) {
+    sendError(req, res, 400, "invalid_date");
+    return;
+  }
+  const exportedAt = nowIso();
+  const filename = `${name}-${exportedAt.slice(0, 10).replace(/-/g, "")}.${format}`;
+  const { sql, params } = buildExportQuery(dataset, { from, to });
   try {
-    const user = await getUserById(req.session.userId);
-    if (!user) {
-      res.status(404).send("User not found");
-      return;
+    await recordAudit(auditContext(req), {
+      action: "data_export",
+      details: { dataset: name, format, from: req.query.from || null, to: req.query.to || null },
+    });
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    if (format === "csv") {
+      res.type("text/csv; charset=utf-8");
+      res.write(CSV_BOM + toCsvLine(dataset.columns));
+      await eachDb(sql, params, (row) => {
+        res.write(toCsvLine(dataset.columns.map((column) => row[column])));
+      });
+    } else {
+      res.type("application/json; charset=utf-8");
+      res.write(
+        `{"dataset":${JSON.stringify(name)},"exportedAt":${JSON.stringify(exportedAt)},"rows":[`
+      );
+      let first = true;
+      await eachDb(sql, params, (row) => {
+        res.write(`${first ? "" : ","}\n${JSON.stringify(row)}`);
+        first = false;
+      });
+      res.write("\n]}\n");
     }
-    const profile = await getProfileByUserId(user.id);
-    res.status(200).send(
-      renderUserPage({ userId: user.id, stamps: user.stamps, profile })
-    );
+    res.end();
   } catch (error) {
-    res.status(500).send("Internal Server Error");
+    console.error("Failed to export data:", error);
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    sendError(req, res, 500, "export_failed");
   }
 });
 
-app.get("/logout", (req, res) => {
-  if (req.session) {
-    req.session.destroy(() => {
-      res.clearCookie("connect.sid");
-      res.redirect("/login?info=logged_out");
+app.get("/api/admin/backups", ownerGuard, (req, res) => {
+  try {
+    res.json({
+      backups: backups.listBackups(),
+      keep: BACKUP_KEEP,
+      intervalHours: BACKUP_INTERVAL_HOURS,
     });
-    return;
+  } catch (error) {
+    sendError(req, res, 500, "backups_load_failed");
   }
-  res.redirect("/login");
 });
 
-if (hasGoogleAuth) {
-  app.get(
-    "/auth/google",
-    passport.authenticate("google", { scope: ["profile", "email"] })
-  );
-
-  app.get(
-    "/auth/google/callback",
-    passport.authenticate("google", { failureRedirect: "/login?error=google" }),
-    (req, res) => {
-      req.session.userId = req.user.id;
-      res.redirect("/user");
-    }
-  );
-} else {
-  app.get("/auth/google", (req, res) => {
-    res.status(500).send("Googleログインは設定されていません。");
-  });
-}
+app.post("/api/admin/backups", ownerGuard, async (req, res) => {
+  try {
+    const backup = await backups.createBackup();
+    await recordAudit(auditContext(req), {
+      action: "backup_create",
+      details: { file: backup.file, removed: backup.removed },
+    });
+    res.status(201).json(backup);
+  } catch (error) {
+    console.error("Failed to back up database:", error);
+    sendError(req, res, 500, "backup_create_failed");
+  }
+});
 
-app.get("/admin", (req, res) => {
-  res.status(200).send(renderAdminPage());
+app.get("/api/admin/backups/:file", ownerGuard, async (req, res) => {
+  const filename = backups.resolveBackup(req.params.file);
+  if (!filename) {
+    sendError(req, res, 404, "backup_not_found");
+    return;
+  }
+  try {
+    await recordAudit(auditContext(req), {
+      action: "backup_download",
+      details: { file: req.params.file },
+    });
+    res.download(filename, req.params.file);
+  } catch (error) {
+    sendError(req, res, 500, "backup_download_failed");
+  }
 });
 
-app.get("/api/me", requireLoginApi, async (req, res) => {
+app.get("/api/admin/lockouts", ownerGuard, async (req, res) => {
   try {
-    const user = await getUserById(req.session.userId);
-    if (!user) {
-      res.status(404).json({ error: "User not found." });
-      return;
-    }
-    const profile = await getProfileByUserId(user.id);
-    const lastUpdatedRow = await getDb(
-      "SELECT MAX(createdAt) AS lastUpdatedAt FROM stamp_events WHERE userId = ?",
-      [user.id]
-    );
-    const eventRows = await allDb(
-      "SELECT eventType, reason, createdAt FROM stamp_events WHERE userId = ? ORDER BY createdAt DESC LIMIT 3",
-      [user.id]
-    );
     res.json({
-      id: user.id,
-      stamps: user.stamps,
-      isAdmin: user.isAdmin,
-      lastUpdatedAt: lastUpdatedRow ? lastUpdatedRow.lastUpdatedAt : null,
-      recentEvents: eventRows || [],
-      profile: profile
-        ? {
-            username: profile.username,
-            mailAddress: profile.mailAddress,
-            description: profile.description,
-            job: profile.job,
-            hobbies: profile.hobbies,
-            updatedAt: profile.updatedAt,
-          }
-        : null,
+      lockouts: await rateLimits.listLockouts(),
+      maxAttempts: RATE_LIMIT_MAX_ATTEMPTS,
+      ipMaxAttempts: RATE_LIMIT_IP_MAX_ATTEMPTS,
+      windowMinutes: RATE_LIMIT_WINDOW_MINUTES,
+      lockoutMinutes: RATE_LIMIT_LOCKOUT_MINUTES,
     });
   } catch (error) {
-    res.status(500).json({ error: "Failed to load user." });
+    sendError(req, res, 500, "lockouts_load_failed");
   }
 });
 
-app.get("/api/user/:id", requireLoginApi, async (req, res) => {
-  if (req.params.id !== req.session.userId) {
-    res.status(403).json({ error: "Forbidden." });
+app.post("/api/admin/lockouts/clear", ownerGuard, async (req, res) => {
+  const { scope, kind, subject } = req.body;
+  if (![scope, kind, subject].every((value) => typeof value === "string" && value)) {
+    sendError(req, res, 400, "lockout_fields_required");
     return;
   }
   try {
-    const user = await getUserById(req.params.id);
-    if (!user) {
-      res.status(404).json({ error: "User not found." });
+    if (!(await rateLimits.unlock({ scope, kind, subject }))) {
+      sendError(req, res, 404, "lockout_not_found");
       return;
     }
-    const lastUpdatedRow = await getDb(
-      "SELECT MAX(createdAt) AS lastUpdatedAt FROM stamp_events WHERE userId = ?",
-      [user.id]
-    );
-    const eventRows = await allDb(
-      "SELECT eventType, reason, createdAt FROM stamp_events WHERE userId = ? ORDER BY createdAt DESC LIMIT 3",
-      [user.id]
-    );
-    res.json({
-      id: user.id,
-      stamps: user.stamps,
-      isAdmin: user.isAdmin,
-      lastUpdatedAt: lastUpdatedRow ? lastUpdatedRow.lastUpdatedAt : null,
-      recentEvents: eventRows || [],
+    await recordAudit(auditContext(req), {
+      action: "lockout_clear",
+      details: { scope, kind, subject },
     });
+    res.json({ scope, kind, subject });
   } catch (error) {
-    res.status(500).json({ error: "Failed to load user." });
+    sendError(req, res, 500, "lockout_clear_failed");
   }
 });
 
-app.post("/api/login", async (req, res) => {
-  const username = normalizeUsername(req.body.username);
-  const mailAddress = normalizeMail(req.body.mailAddress);
-  if (!username || !mailAddress) {
-    res.redirect("/login?error=not_found");
+app.post("/api/admin/integrity/repair", ownerGuard, async (req, res) => {
+  const userIds = Array.isArray(req.body.userIds) ? req.body.userIds : undefined;
+  try {
+    const repaired = await repairStampCounts({
+      context: auditContext(req),
+      userIds,
+    });
+    res.json({ repaired });
+    publishStampChange(repaired.map((row) => row.userId));
+  } catch (error) {
+    sendError(req, res, 500, "repair_failed");
+  }
+});
+
+app.post("/api/admin/users/:id/role", ownerGuard, async (req, res) => {
+  const role = req.body.role;
+  if (!Object.prototype.hasOwnProperty.call(ROLE_LEVELS, role)) {
+    sendError(req, res, 400, "invalid_role");
     return;
   }
   try {
-    const identity = await getAuthIdentity("local", mailAddress);
-    if (!identity) {
-      res.redirect("/login?error=not_found");
+    const result = await changeUserRole(req.params.id, role, auditContext(req));
+    if (result.error === "not_found") {
+      sendError(req, res, 404, "user_not_found");
       return;
     }
-    const profile = await getProfileByUserId(identity.userId);
-    if (profile && normalizeUsername(profile.username) !== username) {
-      res.redirect("/login?error=username_mismatch");
+    if (result.error === "last_owner") {
+      sendError(req, res, 409, "last_owner");
       return;
     }
-    req.session.userId = identity.userId;
-    res.redirect("/user");
+    res.json(result);
   } catch (error) {
-    res.status(500).send("Internal Server Error");
+    sendError(req, res, 500, "role_change_failed");
   }
 });
 
-app.post("/api/signup", async (req, res) => {
-  const username = normalizeUsername(req.body.username);
-  const mailAddressRaw = req.body.mailAddress || "";
-  const mailAddress = normalizeMail(mailAddressRaw);
-  const description = req.body.description || "";
-  const job = req.body.job || "";
-  const hobbies = req.body.hobbies || "";
+app.post("/api/admin/users/:id/revoke-sessions", ownerGuard, (req, res) => {
+  sessionStore.destroyByUserId(req.params.id, async (err, revoked) => {
+    if (err) {
+      sendError(req, res, 500, "sessions_revoke_failed");
+      return;
+    }
+    try {
+      await recordAudit(auditContext(req), {
+        action: "sessions_revoke",
+        targetUserId: req.params.id,
+        details: { revoked },
+      });
+    } catch (auditErr) {
+      console.error("Failed to record audit log:", auditErr);
+    }
+    res.json({ id: req.params.id, revoked });
+  });
+});
 
-  if (!username || !mailAddress) {
-    res
-      .status(400)
-      .send(renderSignupPage({
-        errorMessage: "ユーザー名とメールアドレスは必須です。",
-        values: { username, mailAddress: mailAddressRaw, description, job, hobbies },
-      }));
-    return;
+app.get("/api/admin/sessions", adminGuard, async (req, res) => {
+  try {
+    const rows = await allDb(
+      "SELECT id, venue, startsAt, endsAt, createdAt, programId FROM zazen_sessions ORDER BY startsAt DESC LIMIT 50"
+    );
+    res.json({ sessions: rows.map(toZazenSessionJson) });
+  } catch (error) {
+    sendError(req, res, 500, "sessions_load_failed");
   }
+});
 
+app.post("/api/admin/sessions", adminGuard, async (req, res) => {
   try {
-    const existing = await getAuthIdentity("local", mailAddress);
-    if (existing) {
-      res
-        .status(409)
-        .send(renderSignupPage({
-          errorMessage: "すでに登録済みのメールアドレスです。ログインしてください。",
-          values: { username, mailAddress: mailAddressRaw, description, job, hobbies },
-        }));
+    const venue = bodyText(req.body.venue).trim();
+    const sessionWindow = parseZazenSessionWindow(req.body);
+    if (!venue || !sessionWindow) {
+      sendError(req, res, 400, "session_fields_required");
+      return;
+    }
+    const zazenSession = {
+      id: crypto.randomUUID(),
+      venue,
+      startsAt: sessionWindow.startsAt,
+      endsAt: sessionWindow.endsAt,
+      createdAt: nowIso(),
+      programId: req.body.programId || DEFAULT_PROGRAM_ID,
+    };
+    if (!(await getProgramById(zazenSession.programId))) {
+      sendError(req, res, 404, "program_not_found");
       return;
     }
-
-    const userId = crypto.randomUUID();
-    const createdAt = nowIso();
-
-    await runDb(
-      "INSERT INTO users (id, stamps, isAdmin) VALUES (?, 0, 0)",
-      [userId]
-    );
-    await runDb(
-      "INSERT INTO user_profiles (userId, username, mailAddress, description, job, hobbies, updatedAt) VALUES (?, ?, ?, ?, ?, ?, ?)",
-      [userId, username, mailAddress, description, job, hobbies, createdAt]
-    );
     await runDb(
-      "INSERT INTO auth_identities (userId, provider, providerKey, createdAt) VALUES (?, ?, ?, ?)",
-      [userId, "local", mailAddress, createdAt]
+      "INSERT INTO zazen_sessions (id, venue, startsAt, endsAt, checkInSecret, createdAt, programId) VALUES (?, ?, ?, ?, ?, ?, ?)",
+      [
+        zazenSession.id,
+        zazenSession.venue,
+        zazenSession.startsAt,
+        zazenSession.endsAt,
+        crypto.randomBytes(32).toString("hex"),
+        zazenSession.createdAt,
+        zazenSession.programId,
+      ]
     );
-
-    req.session.userId = userId;
-    res.redirect("/user");
+    await recordAudit(auditContext(req), {
+      action: "zazen_session_create",
+      details: toZazenSessionJson(zazenSession),
+    });
+    res.status(201).json(zazenSession);
   } catch (error) {
-    res.status(500).send("Internal Server Error");
+    sendError(req, res, 500, "session_create_failed");
   }
 });
 
-app.post("/api/profile", requireLoginApi, async (req, res) => {
+app.get("/api/admin/sessions/:id/checkin-code", adminGuard, async (req, res) => {
   try {
-    const profile = await getProfileByUserId(req.session.userId);
-    const username = normalizeUsername(req.body.username);
-    const mailAddressInput = normalizeMail(req.body.mailAddress || "");
-    const description = req.body.description || "";
-    const job = req.body.job || "";
-    const hobbies = req.body.hobbies || "";
-    const baseProfile = profile || {
-      mailAddress: mailAddressInput,
-      description,
-      job,
-      hobbies,
-      username,
-    };
-
-    if (!username) {
-      res
-        .status(400)
-        .send(
-          renderProfilePage({
-            profile: { ...baseProfile, username, description, job, hobbies },
-            message: "ユーザー名は必須です。",
-            messageType: "error",
-          })
-        );
+    const zazenSession = await getZazenSessionById(req.params.id);
+    if (!zazenSession) {
+      sendError(req, res, 404, "session_not_found");
       return;
     }
-
-    if (profile && profile.mailAddress && mailAddressInput) {
-      const existingNormalized = normalizeMail(profile.mailAddress);
-      if (existingNormalized !== mailAddressInput) {
-        res
-          .status(400)
-          .send(
-            renderProfilePage({
-              profile: {
-                ...baseProfile,
-                username,
-                description,
-                job,
-                hobbies,
-              },
-              message: "メールアドレスは変更できません。",
-              messageType: "error",
-            })
-          );
-        return;
-      }
-    }
-
-    const nextMail = profile && profile.mailAddress
-      ? profile.mailAddress
-      : mailAddressInput;
-    const updatedAt = nowIso();
-
-    if (profile) {
-      await runDb(
-        "UPDATE user_profiles SET username = ?, description = ?, job = ?, hobbies = ?, updatedAt = ? WHERE userId = ?",
-        [username, description, job, hobbies, updatedAt, req.session.userId]
-      );
-    } else {
-      await runDb(
-        "INSERT INTO user_profiles (userId, username, mailAddress, description, job, hobbies, updatedAt) VALUES (?, ?, ?, ?, ?, ?, ?)",
-        [
-          req.session.userId,
-          username,
-          nextMail,
-          description,
-          job,
-          hobbies,
-          updatedAt,
-        ]
-      );
-    }
-
-    res.status(200).send(
-      renderProfilePage({
-        profile: {
-          username,
-          mailAddress: nextMail,
-          description,
-          job,
-          hobbies,
-        },
-        mailLocked: true,
-        message: "保存しました。",
-        messageType: "info",
-      })
-    );
+    const time = Date.now();
+    const step = getCheckInStep(time);
+    const code = computeCheckInCode(zazenSession.checkInSecret, step);
+    const checkInUrl = `${req.protocol}://${req.get(
+      "host"
+    )}/checkin?session=${encodeURIComponent(zazenSession.id)}&code=${code}`;
+    const qrSvg = await QRCode.toString(checkInUrl, { type: "svg", margin: 1 });
+    res.json({
+      sessionId: zazenSession.id,
+      code,
+      isOpen: isZazenSessionOpen(zazenSession, time),
+      expiresAt: new Date(
+        (step + 1) * CHECKIN_CODE_PERIOD_SECONDS * 1000
+      ).toISOString(),
+      checkInUrl,
+      qrSvg,
+    });
   } catch (error) {
-    res.status(500).send("Internal Server Error");
+    sendError(req, res, 500, "checkin_code_failed");
   }
 });
 
-app.post("/api/admin/stamp", adminGuard, (req, res) => {
-  const userId = req.body.userId;
-  if (!userId) {
-    res.status(400).json({ error: "userId is required." });
-    return;
+app.post("/api/checkin", requireLoginApi, async (req, res) => {
+  try {
+    const result = await checkInWithRateLimit(req, res, {
+      code: req.body.code,
+      sessionId: req.body.sessionId,
+    });
+    if (result.error) {
+      const failure = CHECKIN_ERRORS[result.error];
+      sendError(req, res, failure.status, failure.error);
+      return;
+    }
+    res.json({
+      id: req.session.userId,
+      stamps: result.stamps,
+      programId: result.program.id,
+      stampCount: result.program.stampCount,
+      session: toZazenSessionJson(result.session),
+    });
+    publishStampChange([req.session.userId]);
+  } catch (error) {
+    sendError(req, res, 500, "checkin_failed");
   }
-
-  db.serialize(() => {
-    db.run("INSERT OR IGNORE INTO users (id, stamps) VALUES (?, 0)", [
-      userId,
-    ]);
-    db.run(
-      "UPDATE users SET stamps = CASE WHEN stamps < 13 THEN stamps + 1 ELSE 13 END WHERE id = ?",
-      [userId],
-      function updateCallback(err) {
-        if (err) {
-          res.status(500).json({ error: "Failed to update stamp." });
-          return;
-        }
-        db.get(
-          "SELECT id, stamps FROM users WHERE id = ?",
-          [userId],
-          (getErr, row) => {
-            if (getErr) {
-              res.status(500).json({ error: "Failed to fetch user." });
-              return;
-            }
-            const safeStamps = clampStamps(row.stamps);
-            db.run(
-              "INSERT INTO stamp_events (userId, createdAt, reason, eventType) VALUES (?, ?, ?, ?)",
-              [userId, new Date().toISOString(), "admin_grant", "ADD"]
-            );
-            res.json({ id: row.id, stamps: safeStamps });
-          }
-        );
-      }
-    );
-  });
 });
 
 app.post("/api/reset", requireLoginApi, async (req, res) => {
   const userId = req.session.userId;
   if (req.body.userId && req.body.userId !== userId) {
-    res.status(403).json({ error: "User mismatch." });
+    sendError(req, res, 403, "user_mismatch");
     return;
   }
   try {
     const user = await getUserById(userId);
     if (!user) {
-      res.status(404).json({ error: "User not found." });
+      sendError(req, res, 404, "user_not_found");
       return;
     }
   } catch (error) {
-    res.status(500).json({ error: "Failed to load user." });
+    sendError(req, res, 500, "user_load_failed");
     return;
   }
-  db.serialize(() => {
-    db.run("UPDATE users SET stamps = 0 WHERE id = ?", [userId], (err) => {
-      if (err) {
-        res.status(500).json({ error: "Failed to reset stamps." });
-        return;
-      }
-      db.run(
-        "INSERT INTO stamp_events (userId, createdAt, reason, eventType) VALUES (?, ?, ?, ?)",
-        [userId, new Date().toISOString(), "user_reset", "RESET"]
-      );
-      res.json({ id: userId, stamps: 0 });
-    });
-  });
+  try {
+    const program = await getProgramById(req.body.programId);
+    if (!program) {
+      sendError(req, res, 404, "program_not_found");
+      return;
+    }
+    const result = await resetStamps(userId, auditContext(req), program);
+    if (result.error) {
+      sendError(req, res, 409, "not_enrolled");
+      return;
+    }
+    res.json(result);
+    publishStampChange([userId]);
+  } catch (error) {
+    sendError(req, res, 500, "reset_failed");
+  }
 });
 
-app.listen(PORT, () => {
-  console.log(`Stamp app listening on http://localhost:${PORT}`);
+// The schema must be current before the first request, so migrations run
+// to completion before the server starts listening.
+const start = async () => {
+  const applied = await migrateUp();
+  applied.forEach((migration) => {
+    console.log(`Applied migration ${migration.version} ${migration.name}`);
+  });
+  await ensureAdminUser();
+  await backfillCardCycles();
+  await scheduleDeletionSweep(ACCOUNT_DELETION_SWEEP_MINUTES * 60 * 1000);
+  rateLimits.schedulePrune(RATE_LIMIT_PRUNE_MINUTES * 60 * 1000);
+  if (BACKUP_INTERVAL_HOURS) {
+    backups.scheduleBackups(BACKUP_INTERVAL_HOURS * 60 * 60 * 1000);
+  }
+  app.listen(PORT, () => {
+    console.log(`Stamp app listening on http://localhost:${PORT}`);
+  });
+};
+
+start().catch((error) => {
+  console.error("Failed to start server:", error);
+  process.exit(1);
 });
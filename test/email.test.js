@@ -0,0 +1,44 @@
+const { before, after, test } = require("node:test");
+const assert = require("node:assert/strict");
+const sqlite3 = require("sqlite3");
+const { createTestServer } = require("./helpers/server");
+
+const server = createTestServer();
+
+const runSql = (sql, params) =>
+  new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(server.dbPath);
+    db.run(sql, params, (runError) => {
+      db.close((closeError) => (runError || closeError ? reject(runError || closeError) : resolve()));
+    });
+  });
+
+before(() => server.start());
+
+after(() => server.cleanUp());
+
+test("a Google-only member can log in with codes at the address they confirm", async () => {
+  await server.signUp({ username: "google", mailAddress: "google@example.com" });
+  const member = await server.logIn("google@example.com");
+  const { id } = (await member.request("/api/me")).json();
+  // Turns the member into one who only ever logged in with Google.
+  await runSql("UPDATE auth_identities SET provider = 'google', providerKey = ? WHERE userId = ?", [
+    "google-subject",
+    id,
+  ]);
+
+  const requested = await member.request("/api/profile/email", {
+    method: "POST",
+    form: { _csrf: await member.csrfToken("/profile/email"), mailAddress: "moved@example.com" },
+  });
+  assert.equal(requested.location, "/profile/email?info=code_sent");
+  const code = /^\D*(\d{6})$/m.exec(server.latestMailTo("moved@example.com").text)[1];
+  const confirmed = await member.request("/api/profile/email/verify", {
+    method: "POST",
+    form: { _csrf: await member.csrfToken("/profile/email"), code },
+  });
+  assert.equal(confirmed.location, "/profile?info=mail_changed");
+
+  const again = await server.logIn("moved@example.com");
+  assert.equal((await again.request("/api/me")).json().id, id);
+});
@@ -0,0 +1,67 @@
+const { before, after, test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { createTestServer } = require("./helpers/server");
+
+const server = createTestServer();
+
+// Starts an OAuth round trip and returns the state Google would hand back.
+const startGoogle = async (client, pathname) => {
+  const response = await client.request(pathname);
+  assert.equal(response.status, 302);
+  const state = new URL(response.location).searchParams.get("state");
+  assert.ok(state, `${pathname} sends no state`);
+  return state;
+};
+
+const callback = (client, code, state) =>
+  client.request(`/auth/google/callback?code=${code}&state=${encodeURIComponent(state)}`);
+
+const hasGoogleLink = async (client) =>
+  !(await client.request("/profile")).body.includes('href="/auth/google/link"');
+
+before(async () => {
+  await server.start({
+    GOOGLE_CLIENT_ID: "test-client",
+    GOOGLE_CLIENT_SECRET: "test-secret",
+    GOOGLE_CALLBACK_URL: "http://127.0.0.1/auth/google/callback",
+    NODE_OPTIONS: `--require ${path.join(__dirname, "helpers", "fake-google.js")}`,
+  });
+  await server.signUp({ username: "member", mailAddress: "member@example.com" });
+});
+
+after(() => server.cleanUp());
+
+test("a callback without the state its session was sent off with is refused", async () => {
+  const attacker = server.createClient();
+  const attackerState = await startGoogle(attacker, "/auth/google");
+
+  // The attacker's own callback URL, opened in someone else's browser.
+  const victim = server.createClient();
+  await startGoogle(victim, "/auth/google");
+  const response = await callback(victim, "attacker", attackerState);
+  assert.equal(response.location, "/login?error=google");
+  assert.equal((await victim.request("/api/me")).status, 401);
+
+  const own = await callback(attacker, "attacker", attackerState);
+  assert.equal(own.location, "/user");
+});
+
+test("an abandoned link request does not link a later stray callback", async () => {
+  const member = await server.logIn("member@example.com");
+  const linkState = await startGoogle(member, "/auth/google/link");
+
+  // The member gives up at Google; a forged callback fails the state check
+  // and uses up the link request.
+  const forged = await callback(member, "attacker", "forged-state");
+  assert.equal(forged.location, "/login?error=google");
+  const late = await callback(member, "attacker", linkState);
+  assert.equal(late.location, "/login?error=google");
+  assert.equal(await hasGoogleLink(member), false);
+
+  // Asking again and finishing at Google links the member's own account.
+  const state = await startGoogle(member, "/auth/google/link");
+  const linked = await callback(member, "member-google", state);
+  assert.equal(linked.location, "/profile?info=google_linked");
+  assert.equal(await hasGoogleLink(member), true);
+});
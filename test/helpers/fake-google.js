@@ -0,0 +1,21 @@
+// Preloaded into the test server with --require. Answers the token and
+// profile requests passport sends to Google, so the OAuth callback runs
+// without the network. The authorization code names the Google account.
+const { OAuth2 } = require("oauth");
+
+OAuth2.prototype.getOAuthAccessToken = function getOAuthAccessToken(code, params, callback) {
+  callback(null, `token-${code}`, undefined, {});
+};
+
+OAuth2.prototype.get = function get(url, accessToken, callback) {
+  const subject = accessToken.replace(/^token-/, "");
+  callback(
+    null,
+    JSON.stringify({
+      sub: subject,
+      name: subject,
+      email: `${subject}@gmail.example`,
+      email_verified: true,
+    })
+  );
+};
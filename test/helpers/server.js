@@ -0,0 +1,160 @@
+const assert = require("node:assert/strict");
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+
+// Runs server.js as a child process against its own database and mail
+// directory, so tests never touch data/. The server can be restarted on the
+// same database, e.g. to pick up ADMIN_USER_ID.
+const createTestServer = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "stampapp-test-"));
+  const mailDir = path.join(dir, "mail");
+  const dbPath = path.join(dir, "stamps.db");
+  let child = null;
+  let baseUrl = "";
+
+  const start = async (env = {}) => {
+    const port = await freePort();
+    child = spawn(process.execPath, [path.join(__dirname, "..", "..", "server.js")], {
+      env: {
+        ...process.env,
+        ...env,
+        PORT: String(port),
+        DB_PATH: dbPath,
+        SESSION_SECRET: "test-session-secret",
+        MAIL_TRANSPORT: "file",
+        MAIL_FILE_DIR: mailDir,
+        BACKUP_DIR: path.join(dir, "backups"),
+        BACKUP_INTERVAL_HOURS: "0",
+      },
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+    const started = child;
+    await new Promise((resolve, reject) => {
+      let output = "";
+      const onData = (chunk) => {
+        output += chunk;
+        if (output.includes("listening on")) {
+          started.stdout.off("data", onData);
+          resolve();
+        }
+      };
+      started.stdout.on("data", onData);
+      started.stderr.on("data", (chunk) => {
+        output += chunk;
+      });
+      started.once("exit", (code) => reject(new Error(`Server exited with ${code}:\n${output}`)));
+    });
+    baseUrl = `http://127.0.0.1:${port}`;
+  };
+
+  const stop = async () => {
+    if (!child || child.exitCode !== null) {
+      return;
+    }
+    const exited = new Promise((resolve) => child.once("exit", resolve));
+    child.kill();
+    await exited;
+  };
+
+  const cleanUp = async () => {
+    await stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  // A browser stand-in: keeps cookies between requests and never follows
+  // redirects, so tests can look at where each step sends the member.
+  const createClient = (initialCookies = {}) => {
+    const cookies = new Map(Object.entries(initialCookies));
+    let csrf = "";
+    const request = async (pathname, { method = "GET", form, json, language = "ja" } = {}) => {
+      const headers = { "Accept-Language": language };
+      if (cookies.size) {
+        headers.Cookie = [...cookies].map(([name, value]) => `${name}=${value}`).join("; ");
+      }
+      let body;
+      if (form) {
+        headers["Content-Type"] = "application/x-www-form-urlencoded";
+        body = new URLSearchParams(form).toString();
+      }
+      if (json) {
+        headers["Content-Type"] = "application/json";
+        headers["X-CSRF-Token"] = csrf;
+        body = JSON.stringify(json);
+      }
+      const response = await fetch(baseUrl + pathname, { method, headers, body, redirect: "manual" });
+      response.headers.getSetCookie().forEach((cookie) => {
+        const [pair] = cookie.split(";");
+        const separator = pair.indexOf("=");
+        cookies.set(pair.slice(0, separator), pair.slice(separator + 1));
+      });
+      const text = await response.text();
+      return {
+        status: response.status,
+        location: response.headers.get("location"),
+        body: text,
+        json: () => JSON.parse(text),
+      };
+    };
+    // Reads the token from a page's form; later JSON requests send it too.
+    const csrfToken = async (pathname) => {
+      const page = await request(pathname);
+      const match = /name="_csrf" type="hidden" value="([^"]+)"/.exec(page.body);
+      assert.ok(match, `no CSRF field on ${pathname}`);
+      csrf = match[1];
+      return csrf;
+    };
+    return { request, csrfToken, cookie: (name) => cookies.get(name) };
+  };
+
+  const latestMailTo = (to) => {
+    const mails = (fs.existsSync(mailDir) ? fs.readdirSync(mailDir) : [])
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => JSON.parse(fs.readFileSync(path.join(mailDir, file), "utf8")))
+      .filter((mail) => mail.to === to)
+      .sort((a, b) => a.sentAt.localeCompare(b.sentAt));
+    assert.ok(mails.length, `no mail sent to ${to}`);
+    return mails[mails.length - 1];
+  };
+
+  const signUp = async (values) => {
+    const visitor = createClient();
+    return visitor.request("/api/signup", {
+      method: "POST",
+      form: { _csrf: await visitor.csrfToken("/signup"), ...values },
+    });
+  };
+
+  const logIn = async (mailAddress) => {
+    const client = createClient();
+    const sent = await client.request("/api/login/code", {
+      method: "POST",
+      form: { _csrf: await client.csrfToken("/login"), mailAddress },
+    });
+    assert.equal(sent.status, 302);
+    const code = /^\D*(\d{6})$/m.exec(latestMailTo(mailAddress).text)[1];
+    const verified = await client.request("/api/login/verify", {
+      method: "POST",
+      form: { _csrf: await client.csrfToken("/login/verify"), mailAddress, code },
+    });
+    assert.equal(verified.status, 302);
+    await client.csrfToken("/profile");
+    return client;
+  };
+
+  return { dbPath, start, stop, cleanUp, createClient, latestMailTo, signUp, logIn };
+};
+
+module.exports = { createTestServer };
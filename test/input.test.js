@@ -0,0 +1,68 @@
+const { before, after, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestServer } = require("./helpers/server");
+
+// JSON and extended form bodies can carry arrays and objects where a form
+// would send text. Each route must answer such a body, not crash the server.
+const server = createTestServer();
+let owner = null;
+let member = null;
+
+const assertStillUp = async (client) => {
+  assert.equal((await client.request("/api/me")).status, 200);
+};
+
+before(async () => {
+  await server.start();
+  await server.signUp({ username: "owner", mailAddress: "owner@example.com" });
+  await server.signUp({ username: "member", mailAddress: "member@example.com" });
+  const first = await server.logIn("owner@example.com");
+  const { id } = (await first.request("/api/me")).json();
+  await server.stop();
+  await server.start({ ADMIN_USER_ID: id });
+  owner = await server.logIn("owner@example.com");
+  member = await server.logIn("member@example.com");
+});
+
+after(() => server.cleanUp());
+
+test("deletion request turns away a confirmation that is not a string", async () => {
+  const response = await member.request("/api/profile/deletion", {
+    method: "POST",
+    json: { confirmation: ["削除"] },
+  });
+  assert.equal(response.location, "/profile/delete?error=confirmation");
+  await assertStillUp(member);
+});
+
+test("mail change turns away an address that is not a string", async () => {
+  const response = await member.request("/api/profile/email", {
+    method: "POST",
+    json: { mailAddress: ["new@example.com"] },
+  });
+  assert.equal(response.location, "/profile/email?error=invalid_mail");
+  await assertStillUp(member);
+});
+
+test("stamp corrections turn away a reason that is not a string", async () => {
+  const { id } = (await member.request("/api/me")).json();
+  for (const pathname of ["/api/admin/events/1/revoke", `/api/admin/users/${id}/adjust`]) {
+    const response = await owner.request(pathname, {
+      method: "POST",
+      json: { reason: { text: "typo" }, programId: "default", stamps: 1 },
+    });
+    assert.equal(response.status, 400);
+    assert.equal(response.json().error, "invalid_reason");
+  }
+  await assertStillUp(owner);
+});
+
+test("session creation turns away fields that are not strings", async () => {
+  const response = await owner.request("/api/admin/sessions", {
+    method: "POST",
+    json: { venue: ["hall"], date: ["2026-01-10"], startTime: "06:00", endTime: "07:00" },
+  });
+  assert.equal(response.status, 400);
+  assert.equal(response.json().error, "session_fields_required");
+  await assertStillUp(owner);
+});
@@ -0,0 +1,126 @@
+const { before, after, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestServer } = require("./helpers/server");
+
+const server = createTestServer();
+const MAX_ATTEMPTS = 3;
+
+const requestCode = async (client, mailAddress) =>
+  client.request("/api/login/code", {
+    method: "POST",
+    form: { _csrf: await client.csrfToken("/login"), mailAddress },
+  });
+
+const sendLoginMail = async (client, mailAddress) => {
+  const sent = await requestCode(client, mailAddress);
+  assert.equal(sent.status, 302);
+  return server.latestMailTo(mailAddress).text;
+};
+
+const codeFrom = (text) => /^\D*(\d{6})$/m.exec(text)[1];
+
+const verify = async (client, mailAddress, code) =>
+  client.request("/api/login/verify", {
+    method: "POST",
+    form: { _csrf: await client.csrfToken("/login/verify"), mailAddress, code },
+  });
+
+before(async () => {
+  await server.start({ RATE_LIMIT_MAX_ATTEMPTS: String(MAX_ATTEMPTS) });
+  for (const name of ["magic", "session", "codes"]) {
+    await server.signUp({ username: name, mailAddress: `${name}@example.com` });
+  }
+});
+
+after(() => server.cleanUp());
+
+test("opening a magic link asks before it uses up the token", async () => {
+  const client = server.createClient();
+  const link = /(\/login\/magic\?token=\S+)/.exec(
+    await sendLoginMail(client, "magic@example.com")
+  )[1];
+  const token = new URL(link, "http://localhost").searchParams.get("token");
+
+  // A mail scanner fetching the link twice leaves the token usable.
+  for (let count = 0; count < 2; count += 1) {
+    const page = await client.request(link);
+    assert.equal(page.status, 200);
+    assert.match(page.body, /action="\/api\/login\/magic"/);
+  }
+  assert.equal((await client.request("/api/me")).status, 401);
+
+  const form = { _csrf: await client.csrfToken(link), token };
+  const login = await client.request("/api/login/magic", { method: "POST", form });
+  assert.equal(login.status, 302);
+  assert.equal(login.location, "/user");
+  assert.equal((await client.request("/api/me")).status, 200);
+
+  const replay = server.createClient();
+  const again = await replay.request("/api/login/magic", {
+    method: "POST",
+    form: { _csrf: await replay.csrfToken(link), token },
+  });
+  assert.equal(again.location, "/login?error=invalid_link");
+});
+
+test("logging in moves to a new session id", async () => {
+  const client = server.createClient();
+  await client.csrfToken("/login");
+  const planted = client.cookie("connect.sid");
+  assert.ok(planted);
+
+  const code = codeFrom(await sendLoginMail(client, "session@example.com"));
+  const verified = await verify(client, "session@example.com", code);
+  assert.equal(verified.status, 302);
+  assert.notEqual(client.cookie("connect.sid"), planted);
+  assert.equal((await client.request("/api/me")).status, 200);
+
+  const attacker = server.createClient({ "connect.sid": planted });
+  assert.equal((await attacker.request("/api/me")).status, 401);
+});
+
+test("asking for codes has its own limit and does not lock out logging in", async () => {
+  const client = server.createClient();
+  // Signing up already sent the first code.
+  let text = "";
+  for (let count = 1; count < MAX_ATTEMPTS; count += 1) {
+    text = await sendLoginMail(client, "codes@example.com");
+  }
+  assert.equal((await requestCode(client, "codes@example.com")).status, 429);
+  const verified = await verify(client, "codes@example.com", codeFrom(text));
+  assert.equal(verified.status, 302);
+  assert.equal(verified.location, "/user");
+});
+
+test("signing up answers the same whether or not the address is registered", async () => {
+  const fresh = await server.signUp({ username: "fresh", mailAddress: "fresh@example.com" });
+  const taken = await server.signUp({ username: "again", mailAddress: "session@example.com" });
+  assert.equal(fresh.status, 302);
+  assert.equal(taken.status, fresh.status);
+  assert.equal(
+    taken.location.replace("session%40", ""),
+    fresh.location.replace("fresh%40", "")
+  );
+
+  // The registered address gets a code for its existing account.
+  const client = server.createClient();
+  const code = codeFrom(server.latestMailTo("session@example.com").text);
+  assert.equal((await verify(client, "session@example.com", code)).status, 302);
+  const me = (await client.request("/api/me")).json();
+  assert.equal(me.profile.username, "session");
+});
+
+test("login forms turn away a mail address that is not a string", async () => {
+  const client = server.createClient();
+  await client.csrfToken("/login");
+  const mailAddress = ["codes@example.com"];
+  const sent = await client.request("/api/login/code", { method: "POST", json: { mailAddress } });
+  assert.equal(sent.location, "/login?error=invalid_mail");
+  const verified = await client.request("/api/login/verify", {
+    method: "POST",
+    json: { mailAddress: { $gt: "" }, code: "000000" },
+  });
+  assert.equal(verified.status, 400);
+  // The server is still up to answer the next request.
+  assert.equal((await client.request("/login")).status, 200);
+});
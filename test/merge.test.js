@@ -0,0 +1,115 @@
+const { before, after, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestServer } = require("./helpers/server");
+
+const server = createTestServer();
+let owner = null;
+let source = null;
+let ownerId = "";
+let sourceId = "";
+
+const grant = async (userId, times) => {
+  for (let count = 0; count < times; count += 1) {
+    const response = await owner.request("/api/admin/stamp", {
+      method: "POST",
+      json: { userId, programId: "default" },
+    });
+    assert.equal(response.status, 200);
+  }
+};
+
+const reset = async (client) => {
+  const response = await client.request("/api/reset", {
+    method: "POST",
+    json: { programId: "default" },
+  });
+  assert.equal(response.status, 200);
+};
+
+before(async () => {
+  await server.start();
+  await server.signUp({ username: "target", mailAddress: "target@example.com" });
+  await server.signUp({ username: "source", mailAddress: "source@example.com" });
+  owner = await server.logIn("target@example.com");
+  ownerId = (await owner.request("/api/me")).json().id;
+  await server.stop();
+  await server.start({ ADMIN_USER_ID: ownerId });
+  owner = await server.logIn("target@example.com");
+  source = await server.logIn("source@example.com");
+  sourceId = (await source.request("/api/me")).json().id;
+});
+
+after(() => server.cleanUp());
+
+test("merging adds up both cards and keeps only the cycles each account completed", async () => {
+  // The source completes one card and resets an unfinished one while the
+  // target's stamps are interleaved; replayed together, that second RESET
+  // would look like a full card and wipe the target's stamps.
+  await grant(sourceId, 13);
+  await reset(source);
+  await grant(sourceId, 5);
+  await grant(ownerId, 10);
+  await reset(source);
+  await grant(sourceId, 2);
+
+  const merged = await owner.request("/api/admin/users/merge", {
+    method: "POST",
+    json: { sourceUserId: sourceId, targetUserId: ownerId },
+  });
+  assert.equal(merged.status, 200);
+  assert.equal(merged.json().stamps, 12);
+
+  const check = async () => {
+    assert.equal((await owner.request("/api/me")).json().stamps, 12);
+    const { cycles } = (await owner.request("/api/me/cycles")).json();
+    assert.deepEqual(
+      cycles.map((cycle) => [cycle.cycleNumber, cycle.stamps]),
+      [[1, 13]]
+    );
+    assert.deepEqual((await owner.request("/api/admin/integrity")).json().issues, []);
+  };
+  await check();
+  // Startup backfills cycles for RESETs without one; the merged ledger must
+  // not produce any.
+  await server.stop();
+  await server.start({ ADMIN_USER_ID: ownerId });
+  await check();
+});
+
+test("a sitting recorded on both accounts counts once and the ledger says why", async () => {
+  await server.signUp({ username: "left", mailAddress: "left@example.com" });
+  await server.signUp({ username: "right", mailAddress: "right@example.com" });
+  const leftId = (await (await server.logIn("left@example.com")).request("/api/me")).json().id;
+  const rightId = (await (await server.logIn("right@example.com")).request("/api/me")).json().id;
+  const session = await owner.request("/api/admin/sessions", {
+    method: "POST",
+    json: { venue: "hall", date: "2026-01-10", startTime: "06:00", endTime: "07:00" },
+  });
+  assert.equal(session.status, 201);
+  const attended = await owner.request("/api/admin/stamp/bulk", {
+    method: "POST",
+    json: { identifiers: [leftId, rightId], sessionId: session.json().id },
+  });
+  assert.equal(attended.status, 200);
+  await grant(leftId, 2);
+
+  const merged = await owner.request("/api/admin/users/merge", {
+    method: "POST",
+    json: { sourceUserId: leftId, targetUserId: rightId },
+  });
+  assert.equal(merged.json().stamps, 3);
+
+  const { events } = (await owner.request(`/api/admin/users/${rightId}/events?limit=100`)).json();
+  const duplicate = events.find((event) => event.reason === "user_merge_duplicate");
+  assert.ok(duplicate, "no REVOKE for the duplicate sitting");
+  assert.equal(duplicate.eventType, "REVOKE");
+  assert.ok(events.find((event) => event.id === duplicate.revokedEventId).revoked);
+  const [entry] = (await owner.request(`/api/admin/audit?target=${rightId}`))
+    .json()
+    .entries.filter((item) => item.action === "user_merge");
+  assert.deepEqual(
+    entry.details.duplicateEvents.map((item) => item.sessionId),
+    [session.json().id]
+  );
+  assert.deepEqual((await owner.request("/api/admin/integrity")).json().issues, []);
+});
@@ -0,0 +1,91 @@
+const { before, after, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { escapeHtml } = require("../lib/html");
+const { createTestServer } = require("./helpers/server");
+
+// Each field carries a script element, an attribute breakout, a javascript:
+// URL and quotes that would end an attribute value early.
+const hostile = (field) =>
+  `${field} <script>alert(1)</script> "><img src=x onerror=alert(1)> javascript:alert(1) '" onfocus='alert(1)' \``;
+
+const VALUES = {
+  username: hostile("name"),
+  description: hostile("about"),
+  job: hostile("job"),
+  hobbies: hostile("hobby"),
+};
+const MAIL_ADDRESS = "hostile@example.com";
+
+const server = createTestServer();
+
+const assertEscaped = (body, page) => {
+  assert.doesNotMatch(body, /<script>alert/, `${page}: script element`);
+  assert.doesNotMatch(body, /<img src=x/, `${page}: injected element`);
+  assert.doesNotMatch(body, /["'] onfocus=/, `${page}: attribute breakout`);
+  assert.doesNotMatch(
+    body,
+    /\b(?:href|src|action|formaction)\s*=\s*["']?\s*javascript:/i,
+    `${page}: javascript: URL`
+  );
+};
+
+const assertShown = (body, fields, page) => {
+  fields.forEach((field) => {
+    assert.ok(body.includes(escapeHtml(VALUES[field])), `${page}: escaped ${field} missing`);
+  });
+};
+
+let member = null;
+
+before(async () => {
+  await server.start();
+  await server.signUp({ mailAddress: MAIL_ADDRESS, ...VALUES });
+  member = await server.logIn(MAIL_ADDRESS);
+  const me = (await member.request("/api/me")).json();
+  // The member becomes the owner so the staff and owner pages render too.
+  await server.stop();
+  await server.start({ ADMIN_USER_ID: me.id });
+});
+
+after(() => server.cleanUp());
+
+test("login pages escape values taken from the query string", async () => {
+  const visitor = server.createClient();
+  const query = encodeURIComponent(VALUES.username);
+  const login = await visitor.request(`/login?error=${query}&info=${query}`);
+  assert.equal(login.status, 200);
+  assertEscaped(login.body, "login");
+  const verify = await visitor.request(`/login/verify?mailAddress=${query}`);
+  assert.equal(verify.status, 200);
+  assertEscaped(verify.body, "login/verify");
+  assertShown(verify.body, ["username"], "login/verify");
+});
+
+test("signup page escapes the values it fills back in", async () => {
+  const visitor = server.createClient();
+  const page = await visitor.request("/api/signup", {
+    method: "POST",
+    form: { _csrf: await visitor.csrfToken("/signup"), mailAddress: "", ...VALUES },
+  });
+  assert.equal(page.status, 400);
+  assertEscaped(page.body, "signup");
+  assertShown(page.body, ["username", "description", "job", "hobbies"], "signup");
+});
+
+[
+  ["profile", "/profile", ["username", "description", "job", "hobbies"]],
+  ["user", "/user", ["username"]],
+  ["history", "/user/history", []],
+  ["admin", "/admin", ["username"]],
+  ["roster", "/admin/users", []],
+  ["stats", "/admin/stats", []],
+  ["audit", "/admin/audit", []],
+  ["deletion", "/profile/delete", []],
+].forEach(([name, pathname, shown]) => {
+  test(`${name} page escapes the stored profile`, async () => {
+    const page = await member.request(pathname);
+    assert.equal(page.status, 200);
+    assertEscaped(page.body, name);
+    assertShown(page.body, shown, name);
+  });
+});
@@ -0,0 +1,103 @@
+const { before, after, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestServer } = require("./helpers/server");
+
+const server = createTestServer();
+let owner = null;
+
+before(async () => {
+  await server.start();
+  await server.signUp({ username: "owner", mailAddress: "owner@example.com" });
+  const member = await server.logIn("owner@example.com");
+  const { id } = (await member.request("/api/me")).json();
+  await server.stop();
+  await server.start({ ADMIN_USER_ID: id });
+  owner = await server.logIn("owner@example.com");
+});
+
+after(() => server.cleanUp());
+
+test("a card without a reward button text gets the default in the owner's language", async () => {
+  for (const [language, rewardText] of [
+    ["ja", "果報をうける"],
+    ["en", "Claim your reward"],
+  ]) {
+    const created = await owner.request("/api/admin/programs", {
+      method: "POST",
+      json: { name: `card-${language}`, stampCount: 5, rewardText: "" },
+      language,
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.json().rewardText, rewardText);
+  }
+});
+
+test("a program's card size cannot change once members' stamps depend on it", async () => {
+  const created = await owner.request("/api/admin/programs", {
+    method: "POST",
+    json: { name: "resizable", stampCount: 10 },
+  });
+  const { id } = created.json();
+  const { id: ownerId } = (await owner.request("/api/me")).json();
+
+  // Nobody holds stamps yet, so the size is free to change.
+  const empty = await owner.request(`/api/admin/programs/${id}`, {
+    method: "POST",
+    json: { name: "resizable", stampCount: 8 },
+  });
+  assert.equal(empty.status, 200);
+  assert.equal(empty.json().stampCount, 8);
+
+  await owner.request(`/api/admin/programs/${id}/enroll`, {
+    method: "POST",
+    json: { userId: ownerId },
+  });
+  for (let count = 0; count < 6; count += 1) {
+    await owner.request("/api/admin/stamp", { method: "POST", json: { userId: ownerId, programId: id } });
+  }
+  const smaller = await owner.request(`/api/admin/programs/${id}`, {
+    method: "POST",
+    json: { name: "resizable", stampCount: 5 },
+  });
+  assert.equal(smaller.status, 409);
+  assert.equal(smaller.json().error, "stamp_count_in_use");
+  // Six stamps still fit on a card of six.
+  const fits = await owner.request(`/api/admin/programs/${id}`, {
+    method: "POST",
+    json: { name: "resizable", stampCount: 6 },
+  });
+  assert.equal(fits.status, 200);
+  assert.deepEqual((await owner.request("/api/admin/integrity")).json().issues, []);
+});
+
+test("program fields that are not strings are turned away", async () => {
+  const response = await owner.request("/api/admin/programs", {
+    method: "POST",
+    json: { name: ["card"], stampCount: 5 },
+  });
+  assert.equal(response.status, 400);
+  assert.equal(response.json().error, "invalid_program_text");
+  assert.equal((await owner.request("/api/me")).status, 200);
+});
+
+test("the default card shows in the reader's language until an owner renames it", async () => {
+  const cardIn = async (language) =>
+    (await owner.request("/api/me", { language })).json().programs[0];
+  assert.deepEqual(
+    [(await cardIn("ja")).name, (await cardIn("ja")).rewardText],
+    ["坐禅会", "果報をうける"]
+  );
+  assert.deepEqual(
+    [(await cardIn("en")).name, (await cardIn("en")).rewardText],
+    ["Zazen sittings", "Claim your reward"]
+  );
+
+  const renamed = await owner.request("/api/admin/programs/default", {
+    method: "POST",
+    json: { name: "朝の坐禅", stampCount: 13, milestones: [5, 10], rewardText: "果報をうける" },
+  });
+  assert.equal(renamed.status, 200);
+  const card = await cardIn("en");
+  assert.equal(card.name, "朝の坐禅");
+  assert.equal(card.rewardText, "Claim your reward");
+});